@@ -0,0 +1,135 @@
+// Signed-in user, shared by every page that needs one
+let currentUser = null;
+let currentUserPromise = null;
+
+// How often the header bell checks for new notifications
+const NOTIFICATION_POLL_MS = 30000;
+
+const roleLabels = {
+    writer: 'Writer',
+    reviewer: 'Compliance reviewer',
+    admin: 'Admin'
+};
+
+// True when the signed-in user has the role or one above it
+function hasRole(role) {
+    return Boolean(currentUser) && currentUser.roles.indexOf(currentUser.role) >= currentUser.roles.indexOf(role);
+}
+
+// Load the signed-in user, show who it is in the header and hide features their role cannot use
+async function loadCurrentUser() {
+    const response = await fetch('/api/auth/me');
+    if (response.status === 401) {
+        window.location.href = `/login.html?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+        return null;
+    }
+    
+    const data = await response.json();
+    currentUser = { ...data.user, roles: data.roles };
+    
+    const userDiv = document.getElementById('currentUser');
+    if (userDiv) {
+        userDiv.innerHTML = `
+            <div class="notification-menu">
+                <button type="button" class="notification-bell" title="Notifications">🔔 <span class="notification-count" style="display: none;"></span></button>
+                <div class="notification-list" style="display: none;"></div>
+            </div>
+            <span class="current-user-name"></span>
+            <button type="button" class="logout-btn">Sign out</button>
+        `;
+        userDiv.querySelector('.current-user-name').textContent = `${currentUser.displayName} · ${roleLabels[currentUser.role]}`;
+        userDiv.querySelector('.logout-btn').addEventListener('click', signOut);
+        userDiv.querySelector('.notification-bell').addEventListener('click', toggleNotifications);
+        loadNotifications();
+        setInterval(loadNotifications, NOTIFICATION_POLL_MS);
+    }
+    
+    document.querySelectorAll('[data-role]').forEach(element => {
+        if (!hasRole(element.dataset.role)) {
+            element.remove();
+        }
+    });
+    
+    return currentUser;
+}
+
+// Refresh the unread count and list behind the header bell
+async function loadNotifications() {
+    try {
+        const response = await fetch('/api/notifications');
+        if (!response.ok) {
+            return;
+        }
+        renderNotifications(await response.json());
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+    }
+}
+
+function renderNotifications(data) {
+    const count = document.querySelector('.notification-count');
+    const list = document.querySelector('.notification-list');
+    count.textContent = data.unread;
+    count.style.display = data.unread > 0 ? 'inline-block' : 'none';
+    
+    list.innerHTML = data.notifications.length === 0 ? '<div class="notification-empty">No notifications</div>' : '';
+    data.notifications.forEach(notification => {
+        const link = document.createElement('a');
+        link.className = `notification-item${notification.read ? '' : ' unread'}`;
+        link.href = `reviews.html?id=${notification.reviewId}`;
+        link.innerHTML = '<span></span><small></small>';
+        link.querySelector('span').textContent = notification.message;
+        link.querySelector('small').textContent = new Date(notification.createdAt).toLocaleString();
+        link.addEventListener('click', () => markNotificationsRead([notification.id]));
+        list.appendChild(link);
+    });
+}
+
+// Open or close the list; opening it marks everything shown as read
+function toggleNotifications() {
+    const list = document.querySelector('.notification-list');
+    const opening = list.style.display === 'none';
+    list.style.display = opening ? 'block' : 'none';
+    if (opening && document.querySelector('.notification-count').textContent !== '0') {
+        markNotificationsRead();
+    }
+}
+
+// Without ids, marks all of the user's notifications as read
+async function markNotificationsRead(ids) {
+    try {
+        const response = await fetch('/api/notifications/read', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ ids })
+        });
+        if (response.ok) {
+            const data = await response.json();
+            // Keep unread highlighting visible while the list is open; only the count updates
+            document.querySelector('.notification-count').textContent = data.unread;
+            document.querySelector('.notification-count').style.display = data.unread > 0 ? 'inline-block' : 'none';
+        }
+    } catch (error) {
+        console.error('Error updating notifications:', error);
+    }
+}
+
+// Load the signed-in user once; page scripts await this before showing role-specific controls
+function getCurrentUser() {
+    if (!currentUserPromise) {
+        currentUserPromise = loadCurrentUser();
+    }
+    return currentUserPromise;
+}
+
+async function signOut() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } finally {
+        window.location.href = '/login.html';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', getCurrentUser);
@@ -0,0 +1,102 @@
+// DOM elements
+const historyForm = document.getElementById('historyForm');
+const historyQueryInput = document.getElementById('historyQuery');
+const historyFromInput = document.getElementById('historyFrom');
+const historyToInput = document.getElementById('historyTo');
+const historyContentTypeSelect = document.getElementById('historyContentType');
+const historySummaryDiv = document.getElementById('historySummary');
+const historyRunsDiv = document.getElementById('historyRuns');
+const historyPrevBtn = document.getElementById('historyPrevBtn');
+const historyNextBtn = document.getElementById('historyNextBtn');
+
+const complianceLabels = {
+    red: 'Red flags',
+    yellow: 'Review',
+    clean: 'Clean'
+};
+
+// Where a run's options came from
+const sourceLabels = {
+    gemini: 'Gemini',
+    openai: 'OpenAI',
+    local: 'Local model',
+    mock: 'Mock',
+    template: 'Templates'
+};
+
+let currentPage = 1;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Search runs with the current filters
+async function searchHistory(page) {
+    const params = new URLSearchParams({ page });
+    if (historyQueryInput.value.trim()) {
+        params.set('q', historyQueryInput.value.trim());
+    }
+    if (historyFromInput.value) {
+        params.set('from', historyFromInput.value);
+    }
+    if (historyToInput.value) {
+        params.set('to', historyToInput.value);
+    }
+    if (historyContentTypeSelect.value) {
+        params.set('contentType', historyContentTypeSelect.value);
+    }
+    
+    historySummaryDiv.textContent = 'Searching...';
+    
+    try {
+        const response = await fetch(`/api/history?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        currentPage = data.page;
+        renderRuns(data);
+    } catch (error) {
+        console.error('Error searching history:', error);
+        historySummaryDiv.textContent = `Could not load history: ${error.message}`;
+    }
+}
+
+function renderRuns(data) {
+    historyRunsDiv.innerHTML = '';
+    historySummaryDiv.textContent = data.total === 1 ? '1 run found' : `${data.total.toLocaleString()} runs found`;
+    
+    data.runs.forEach(run => {
+        const item = document.createElement('div');
+        item.className = 'history-run';
+        item.innerHTML = `
+            <div class="history-run-header">
+                <span>${new Date(run.createdAt).toLocaleString()} · ${escapeHtml(run.contentType || 'unspecified')} · ${escapeHtml(sourceLabels[run.source] || run.source || 'Templates')}${run.username ? ` · ${escapeHtml(run.username)}` : ''}</span>
+                <span class="compliance-badge ${run.complianceStatus}">${complianceLabels[run.complianceStatus]}</span>
+            </div>
+            <div class="history-run-title">${escapeHtml(run.selectedTitle || run.firstTitle)}</div>
+            <div class="history-run-preview">${escapeHtml(run.preview)}${run.preview.length >= 160 ? '…' : ''}</div>
+            <a class="export-btn" href="/?restore=${run.id}">Restore</a>
+        `;
+        historyRunsDiv.appendChild(item);
+    });
+    
+    historyPrevBtn.disabled = data.page <= 1;
+    historyNextBtn.disabled = data.page * data.pageSize >= data.total;
+}
+
+historyForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    searchHistory(1);
+});
+
+historyPrevBtn.addEventListener('click', () => searchHistory(currentPage - 1));
+historyNextBtn.addEventListener('click', () => searchHistory(currentPage + 1));
+
+// Initialize the page
+document.addEventListener('DOMContentLoaded', function() {
+    searchHistory(1);
+});
@@ -0,0 +1,82 @@
+// DOM elements
+const loginForm = document.getElementById('loginForm');
+const usernameInput = document.getElementById('username');
+const passwordInput = document.getElementById('password');
+const loginBtn = document.getElementById('loginBtn');
+const loginErrorDiv = document.getElementById('loginError');
+const ssoProvidersDiv = document.getElementById('ssoProviders');
+
+const params = new URLSearchParams(window.location.search);
+
+// Only return to pages on this site after signing in
+function getReturnPath() {
+    const next = params.get('next');
+    return next && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+function showError(message) {
+    loginErrorDiv.textContent = message;
+    loginErrorDiv.style.display = 'block';
+}
+
+loginForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    loginBtn.disabled = true;
+    loginErrorDiv.style.display = 'none';
+    
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                username: usernameInput.value,
+                password: passwordInput.value
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        window.location.href = getReturnPath();
+    } catch (error) {
+        console.error('Error signing in:', error);
+        showError(error.message);
+        passwordInput.value = '';
+        passwordInput.focus();
+    } finally {
+        loginBtn.disabled = false;
+    }
+});
+
+// Show a button for each configured single sign-on provider
+async function loadProviders() {
+    try {
+        const response = await fetch('/api/auth/providers');
+        const data = await response.json();
+        
+        data.providers
+            .filter(provider => provider.type === 'redirect')
+            .forEach(provider => {
+                const link = document.createElement('a');
+                link.className = 'export-btn';
+                link.href = `/api/auth/${encodeURIComponent(provider.name)}/login?next=${encodeURIComponent(getReturnPath())}`;
+                link.textContent = `Sign in with ${provider.label}`;
+                ssoProvidersDiv.appendChild(link);
+            });
+    } catch (error) {
+        console.error('Error loading sign-in providers:', error);
+    }
+}
+
+// Initialize the page
+document.addEventListener('DOMContentLoaded', function() {
+    if (params.get('error')) {
+        showError(params.get('error'));
+    }
+    loadProviders();
+    usernameInput.focus();
+});
@@ -0,0 +1,321 @@
+// DOM elements
+const reviewTabButtons = document.querySelectorAll('.review-tab');
+const reviewMineInput = document.getElementById('reviewMine');
+const reviewSummaryDiv = document.getElementById('reviewSummary');
+const reviewListDiv = document.getElementById('reviewList');
+const reviewDetailDiv = document.getElementById('reviewDetail');
+const reviewDetailTitle = document.getElementById('reviewDetailTitle');
+const reviewDetailStatus = document.getElementById('reviewDetailStatus');
+const reviewDetailMeta = document.getElementById('reviewDetailMeta');
+const reviewCommentInput = document.getElementById('reviewCommentInput');
+const reviewSaveBtn = document.getElementById('reviewSaveBtn');
+const reviewSubmitBtn = document.getElementById('reviewSubmitBtn');
+const reviewApproveBtn = document.getElementById('reviewApproveBtn');
+const reviewRejectBtn = document.getElementById('reviewRejectBtn');
+const reviewCommentBtn = document.getElementById('reviewCommentBtn');
+const reviewRecordJson = document.getElementById('reviewRecordJson');
+const reviewRecordCsv = document.getElementById('reviewRecordCsv');
+const reviewTimeline = document.getElementById('reviewTimeline');
+
+// Editable texts and their inputs
+const reviewFieldInputs = {
+    title: document.getElementById('reviewTitleInput'),
+    description: document.getElementById('reviewDescriptionInput'),
+    socialCopy: document.getElementById('reviewSocialCopyInput')
+};
+
+const statusLabels = {
+    draft: 'Draft',
+    in_review: 'In review',
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+
+const actionLabels = {
+    created: 'saved a draft',
+    submitted: 'submitted for review',
+    resubmitted: 'resubmitted for review',
+    edited: 'edited',
+    commented: 'commented',
+    dismissed: 'dismissed a finding',
+    approved: 'approved',
+    rejected: 'rejected'
+};
+
+const complianceLabels = {
+    red: 'Red flags',
+    yellow: 'Review',
+    clean: 'Clean'
+};
+
+const fieldLabels = {
+    title: 'Title',
+    description: 'Description',
+    socialCopy: 'Social copy'
+};
+
+let currentStatus = '';
+let currentReview = null;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+async function sendJson(url, method, body) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+}
+
+function selectTab(status) {
+    currentStatus = status;
+    reviewTabButtons.forEach(tab => tab.classList.toggle('active', tab.dataset.status === status));
+}
+
+async function loadReviews() {
+    const params = new URLSearchParams();
+    if (currentStatus) {
+        params.set('status', currentStatus);
+    }
+    if (reviewMineInput.checked) {
+        params.set('mine', 'true');
+    }
+
+    try {
+        const data = await sendJson(`/api/reviews?${params}`, 'GET');
+        renderReviews(data);
+    } catch (error) {
+        console.error('Error loading reviews:', error);
+        reviewSummaryDiv.textContent = `Could not load reviews: ${error.message}`;
+    }
+}
+
+function renderReviews(data) {
+    reviewTabButtons.forEach(tab => {
+        const count = tab.dataset.status ? data.counts[tab.dataset.status] : Object.values(data.counts).reduce((a, b) => a + b, 0);
+        tab.textContent = `${tab.dataset.status ? statusLabels[tab.dataset.status] : 'All'} (${count})`;
+    });
+
+    reviewListDiv.innerHTML = '';
+    reviewSummaryDiv.textContent = data.reviews.length === 0 ? 'Nothing here yet' : '';
+
+    data.reviews.forEach(review => {
+        const item = document.createElement('div');
+        item.className = 'history-run';
+        item.innerHTML = `
+            <div class="history-run-header">
+                <span>#${review.id} · ${new Date(review.updatedAt).toLocaleString()} · ${escapeHtml(review.author.displayName)}${review.reviewer ? ` → ${escapeHtml(review.reviewer.displayName)}` : ''}</span>
+                <span>
+                    <span class="review-state ${review.status}">${statusLabels[review.status]}</span>
+                    <span class="compliance-badge ${review.complianceStatus}">${complianceLabels[review.complianceStatus]}</span>
+                </span>
+            </div>
+            <div class="history-run-title">${escapeHtml(review.title || review.description || review.socialCopy)}</div>
+            <button type="button" class="export-btn">Open</button>
+        `;
+        item.querySelector('button').addEventListener('click', () => openReview(review.id));
+        reviewListDiv.appendChild(item);
+    });
+}
+
+async function openReview(id) {
+    try {
+        const data = await sendJson(`/api/reviews/${id}`, 'GET');
+        history.replaceState(null, '', `?id=${id}`);
+        renderReview(data.review);
+        reviewDetailDiv.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        console.error('Error loading review:', error);
+        alert(`Could not open review: ${error.message}`);
+    }
+}
+
+// Findings as chips; a reviewer deciding on the item can dismiss one with a justification
+function renderFindings(field, check, canDismiss) {
+    const container = reviewDetailDiv.querySelector(`.review-findings[data-field="${field}"]`);
+    container.innerHTML = '';
+    check.findings.forEach(finding => {
+        const chip = document.createElement('span');
+        chip.className = `compliance-badge ${finding.severity === 'info' ? 'yellow' : finding.severity}`;
+        chip.textContent = finding.match;
+        chip.title = [
+            `${finding.category.replace('_', ' ')}: ${finding.term}`,
+            finding.reason,
+            finding.suggestion ? `Suggested: ${finding.suggestion}` : null
+        ].filter(Boolean).join('. ');
+        if (canDismiss) {
+            const dismissBtn = document.createElement('button');
+            dismissBtn.type = 'button';
+            dismissBtn.className = 'dismiss-finding-btn';
+            dismissBtn.title = 'Dismiss this finding';
+            dismissBtn.textContent = '×';
+            dismissBtn.addEventListener('click', () => dismissFinding(field, finding));
+            chip.appendChild(dismissBtn);
+        }
+        container.appendChild(chip);
+    });
+    
+    // Findings stored before dismissals existed have no dismissed list
+    (check.dismissed || []).forEach(finding => {
+        const chip = document.createElement('span');
+        chip.className = 'compliance-badge dismissed';
+        chip.textContent = finding.match;
+        chip.title = `Dismissed by ${finding.dismissal.dismissedBy}: ${finding.dismissal.justification}`;
+        container.appendChild(chip);
+    });
+}
+
+function dismissFinding(field, finding) {
+    const justification = prompt(`Why is "${finding.match}" acceptable here? The same text will not be flagged for it again.`);
+    if (!justification || !justification.trim()) {
+        return;
+    }
+    reviewAction(`/api/reviews/${currentReview.id}/dismissals`, 'POST', {
+        field,
+        ruleId: finding.ruleId,
+        justification
+    });
+}
+
+function renderReview(review) {
+    currentReview = review;
+    const isAuthor = review.author.id === currentUser.id;
+    const authorCanEdit = isAuthor && ['draft', 'rejected'].includes(review.status);
+    const reviewerCanDecide = !isAuthor && review.status === 'in_review' && hasRole('reviewer');
+
+    reviewDetailTitle.textContent = `Review #${review.id}`;
+    reviewDetailStatus.className = `review-state ${review.status}`;
+    reviewDetailStatus.textContent = statusLabels[review.status];
+    reviewDetailMeta.textContent = [
+        `By ${review.author.displayName}`,
+        review.reviewer ? `reviewer ${review.reviewer.displayName}` : null,
+        review.contentType,
+        review.client ? `client ${review.client}` : null,
+        review.url,
+        review.ruleSetVersion ? `checked against rule set version ${review.ruleSetVersion}` : null
+    ].filter(Boolean).join(' · ');
+
+    Object.entries(reviewFieldInputs).forEach(([field, input]) => {
+        input.value = review[field] || '';
+        input.readOnly = !authorCanEdit && !reviewerCanDecide;
+        renderFindings(field, review.compliance[field], reviewerCanDecide);
+    });
+
+    reviewCommentInput.value = '';
+    reviewSaveBtn.style.display = authorCanEdit || reviewerCanDecide ? '' : 'none';
+    reviewSubmitBtn.style.display = authorCanEdit ? '' : 'none';
+    reviewSubmitBtn.textContent = review.status === 'rejected' ? 'Resubmit for Review' : 'Submit for Review';
+    reviewApproveBtn.style.display = reviewerCanDecide ? '' : 'none';
+    reviewRejectBtn.style.display = reviewerCanDecide ? '' : 'none';
+    reviewRecordJson.href = `/api/reviews/${review.id}/record?format=json`;
+    reviewRecordCsv.href = `/api/reviews/${review.id}/record?format=csv`;
+
+    reviewTimeline.innerHTML = '';
+    review.events.forEach(event => {
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <div class="review-event-header"></div>
+            <div class="review-event-comment"></div>
+            <ul class="review-event-changes"></ul>
+        `;
+        item.querySelector('.review-event-header').textContent =
+            `${new Date(event.createdAt).toLocaleString()} · ${event.user.displayName} ${actionLabels[event.action] || event.action}`;
+        item.querySelector('.review-event-comment').textContent = event.comment || '';
+        Object.entries(event.changes || {}).forEach(([field, change]) => {
+            const row = document.createElement('li');
+            row.innerHTML = '<strong></strong> <del></del> → <ins></ins>';
+            row.querySelector('strong').textContent = `${fieldLabels[field]}:`;
+            row.querySelector('del').textContent = change.before || '(empty)';
+            row.querySelector('ins').textContent = change.after || '(empty)';
+            item.querySelector('.review-event-changes').appendChild(row);
+        });
+        reviewTimeline.appendChild(item);
+    });
+
+    reviewDetailDiv.style.display = 'block';
+}
+
+function readFields() {
+    const fields = {};
+    Object.entries(reviewFieldInputs).forEach(([field, input]) => {
+        fields[field] = input.value;
+    });
+    return fields;
+}
+
+// Run one review action, then refresh the detail view and the list
+async function reviewAction(url, method, body) {
+    try {
+        const data = await sendJson(url, method, body);
+        renderReview(data.review);
+        loadReviews();
+    } catch (error) {
+        console.error('Error updating review:', error);
+        alert(error.message);
+    }
+}
+
+reviewSaveBtn.addEventListener('click', () => {
+    reviewAction(`/api/reviews/${currentReview.id}`, 'PUT', { ...readFields(), comment: reviewCommentInput.value });
+});
+
+reviewSubmitBtn.addEventListener('click', () => {
+    reviewAction(`/api/reviews/${currentReview.id}/submit`, 'POST', { comment: reviewCommentInput.value });
+});
+
+reviewApproveBtn.addEventListener('click', () => {
+    reviewAction(`/api/reviews/${currentReview.id}/decision`, 'POST', {
+        ...readFields(),
+        decision: 'approve',
+        comment: reviewCommentInput.value
+    });
+});
+
+reviewRejectBtn.addEventListener('click', () => {
+    reviewAction(`/api/reviews/${currentReview.id}/decision`, 'POST', {
+        ...readFields(),
+        decision: 'reject',
+        comment: reviewCommentInput.value
+    });
+});
+
+reviewCommentBtn.addEventListener('click', () => {
+    reviewAction(`/api/reviews/${currentReview.id}/comments`, 'POST', { comment: reviewCommentInput.value });
+});
+
+// Writers never see the checkbox, since they only ever see their own submissions
+reviewMineInput.addEventListener('change', loadReviews);
+
+reviewTabButtons.forEach(tab => {
+    tab.addEventListener('click', () => {
+        selectTab(tab.dataset.status);
+        loadReviews();
+    });
+});
+
+// Initialize the page: reviewers start on the queue waiting for them
+document.addEventListener('DOMContentLoaded', async function() {
+    const user = await getCurrentUser();
+    if (!user) {
+        return;
+    }
+
+    selectTab(hasRole('reviewer') ? 'in_review' : '');
+    loadReviews();
+
+    const id = new URLSearchParams(window.location.search).get('id');
+    if (id) {
+        openReview(id);
+    }
+});
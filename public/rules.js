@@ -0,0 +1,429 @@
+// DOM elements
+const ruleFilters = document.getElementById('ruleFilters');
+const ruleListFilter = document.getElementById('ruleListFilter');
+const ruleSearchInput = document.getElementById('ruleSearch');
+const ruleForm = document.getElementById('ruleForm');
+const ruleFormTitle = document.getElementById('ruleFormTitle');
+const ruleListSelect = document.getElementById('ruleList');
+const ruleTermInput = document.getElementById('ruleTerm');
+const ruleAlternativeInput = document.getElementById('ruleAlternative');
+const ruleCategoryInput = document.getElementById('ruleCategory');
+const ruleOwnerInput = document.getElementById('ruleOwner');
+const ruleEnabledInput = document.getElementById('ruleEnabled');
+const ruleReasonInput = document.getElementById('ruleReason');
+const ruleExceptionsInput = document.getElementById('ruleExceptions');
+const ruleContentTypesDiv = document.getElementById('ruleContentTypes');
+const ruleAllowedClientsInput = document.getElementById('ruleAllowedClients');
+const ruleChangeReasonInput = document.getElementById('ruleChangeReason');
+const ruleSaveBtn = document.getElementById('ruleSaveBtn');
+const ruleCancelBtn = document.getElementById('ruleCancelBtn');
+const ruleStatusDiv = document.getElementById('ruleStatus');
+const ruleSummaryDiv = document.getElementById('ruleSummary');
+const ruleRowsBody = document.getElementById('ruleRows');
+const ruleVersionInfoDiv = document.getElementById('ruleVersionInfo');
+const diffFromSelect = document.getElementById('diffFrom');
+const diffToSelect = document.getElementById('diffTo');
+const diffBtn = document.getElementById('diffBtn');
+const ruleDiffDiv = document.getElementById('ruleDiff');
+const versionRowsBody = document.getElementById('versionRows');
+const dismissalRowsBody = document.getElementById('dismissalRows');
+
+let ruleLists = [];
+
+// Rule being edited in the form, or null when adding
+let editingRuleId = null;
+
+// Send a JSON request and throw with the server's message on failure
+async function sendJson(url, method, body) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+}
+
+function listLabel(list) {
+    const match = ruleLists.find(entry => entry.list === list);
+    return match ? match.label : list;
+}
+
+// Fill the list and content type pickers the first time they are known
+function renderListOptions(contentTypes) {
+    if (ruleListSelect.options.length > 0) {
+        return;
+    }
+    ruleLists.forEach(({ list, label }) => {
+        ruleListSelect.add(new Option(label, list));
+        ruleListFilter.add(new Option(label, list));
+    });
+    contentTypes.forEach(type => {
+        const label = document.createElement('label');
+        label.innerHTML = `<input type="checkbox" value="${type}"> ${type}`;
+        ruleContentTypesDiv.appendChild(label);
+    });
+    updateListFields();
+}
+
+// Alternatives are offered as one-click replacements; emojis have no allowed phrases
+function updateListFields() {
+    const placeholders = {
+        us_specific_terms: 'Canadian alternative',
+        prohibited_emojis: 'Replacement emoji (blank removes it)'
+    };
+    ruleAlternativeInput.placeholder = placeholders[ruleListSelect.value] || 'Suggested alternative';
+    
+    const isEmoji = ruleListSelect.value === 'prohibited_emojis';
+    ruleExceptionsInput.style.display = isEmoji ? 'none' : '';
+    if (isEmoji) {
+        ruleExceptionsInput.value = '';
+    }
+}
+
+function selectedContentTypes() {
+    return Array.from(ruleContentTypesDiv.querySelectorAll('input:checked')).map(input => input.value);
+}
+
+// One line summarizing where a rule does not apply
+function describeAllowances(rule) {
+    return [
+        rule.exceptions.length > 0 ? `Phrases: ${rule.exceptions.join(', ')}` : null,
+        rule.allowedContentTypes.length > 0 ? `Content: ${rule.allowedContentTypes.join(', ')}` : null,
+        rule.allowedClients.length > 0 ? `Clients: ${rule.allowedClients.join(', ')}` : null
+    ].filter(Boolean).join(' · ');
+}
+
+async function loadRules() {
+    const params = new URLSearchParams();
+    if (ruleListFilter.value) {
+        params.set('list', ruleListFilter.value);
+    }
+    if (ruleSearchInput.value.trim()) {
+        params.set('q', ruleSearchInput.value.trim());
+    }
+    
+    try {
+        const data = await sendJson(`/api/rules?${params}`, 'GET');
+        ruleLists = data.lists;
+        ruleVersionInfoDiv.textContent = data.version ? `Rules in force: version ${data.version}` : '';
+        renderListOptions(data.contentTypes);
+        renderRules(data.rules);
+    } catch (error) {
+        console.error('Error loading rules:', error);
+        ruleSummaryDiv.textContent = `Could not load rules: ${error.message}`;
+    }
+}
+
+function renderRules(rules) {
+    ruleRowsBody.innerHTML = '';
+    ruleSummaryDiv.textContent = `${rules.length} rule${rules.length === 1 ? '' : 's'}`;
+    
+    rules.forEach(rule => {
+        const row = document.createElement('tr');
+        if (!rule.enabled) {
+            row.className = 'disabled-user';
+        }
+        row.innerHTML = `
+            <td><strong class="rule-term"></strong><br><small class="rule-alternative"></small></td>
+            <td><span class="rule-list ${rule.list}"></span></td>
+            <td class="rule-category"></td>
+            <td class="rule-reason"></td>
+            <td class="rule-allowed"></td>
+            <td class="rule-owner"></td>
+            <td class="rule-actions"></td>
+        `;
+        row.querySelector('.rule-term').textContent = rule.term;
+        row.querySelector('.rule-alternative').textContent = rule.alternative ? `→ ${rule.alternative}` : '';
+        row.querySelector('.rule-list').textContent = listLabel(rule.list);
+        row.querySelector('.rule-category').textContent = rule.category || '';
+        row.querySelector('.rule-reason').textContent = rule.reason || '';
+        row.querySelector('.rule-allowed').textContent = describeAllowances(rule);
+        row.querySelector('.rule-owner').textContent = rule.owner || '';
+        
+        // Reviewers can read the rules; only admins change them
+        if (hasRole('admin')) {
+            row.querySelector('.rule-actions').innerHTML = `
+                <button type="button" class="copy-btn edit-btn">Edit</button>
+                <button type="button" class="copy-btn toggle-btn">${rule.enabled ? 'Disable' : 'Enable'}</button>
+                <button type="button" class="copy-btn delete-btn">Delete</button>
+            `;
+            row.querySelector('.edit-btn').addEventListener('click', () => editRule(rule));
+            row.querySelector('.toggle-btn').addEventListener('click', () => toggleRule(rule));
+            row.querySelector('.delete-btn').addEventListener('click', () => deleteRule(rule));
+        }
+        
+        ruleRowsBody.appendChild(row);
+    });
+}
+
+function editRule(rule) {
+    editingRuleId = rule.id;
+    ruleFormTitle.textContent = `Edit "${rule.term}"`;
+    ruleListSelect.value = rule.list;
+    ruleTermInput.value = rule.term;
+    ruleAlternativeInput.value = rule.alternative || '';
+    ruleCategoryInput.value = rule.category || '';
+    ruleOwnerInput.value = rule.owner || '';
+    ruleEnabledInput.checked = rule.enabled;
+    ruleReasonInput.value = rule.reason || '';
+    ruleExceptionsInput.value = rule.exceptions.join('\n');
+    ruleContentTypesDiv.querySelectorAll('input').forEach(input => {
+        input.checked = rule.allowedContentTypes.includes(input.value);
+    });
+    ruleAllowedClientsInput.value = rule.allowedClients.join(', ');
+    ruleSaveBtn.textContent = 'Save Rule';
+    ruleCancelBtn.style.display = '';
+    updateListFields();
+    ruleForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetForm() {
+    editingRuleId = null;
+    ruleForm.reset();
+    ruleFormTitle.textContent = 'Add a Rule';
+    ruleSaveBtn.textContent = 'Add Rule';
+    ruleCancelBtn.style.display = 'none';
+    updateListFields();
+}
+
+// Create a rule, or update one when an id is given
+async function saveRule(id, changes) {
+    try {
+        const { rule } = id
+            ? await sendJson(`/api/rules/${id}`, 'PUT', changes)
+            : await sendJson('/api/rules', 'POST', changes);
+        ruleStatusDiv.textContent = `Saved "${rule.term}". The change is live for all users.`;
+        return true;
+    } catch (error) {
+        console.error('Error saving rule:', error);
+        ruleStatusDiv.textContent = error.message;
+        return false;
+    } finally {
+        loadRules();
+        loadVersions();
+    }
+}
+
+// Every change is recorded with a reason; null means the admin cancelled
+function askChangeReason(action) {
+    const reason = prompt(`Why are you ${action}? This is recorded in the audit trail.`);
+    return reason && reason.trim() ? reason.trim() : null;
+}
+
+function toggleRule(rule) {
+    const changeReason = askChangeReason(`${rule.enabled ? 'disabling' : 'enabling'} "${rule.term}"`);
+    if (changeReason) {
+        saveRule(rule.id, { enabled: !rule.enabled, changeReason });
+    }
+}
+
+async function deleteRule(rule) {
+    const changeReason = askChangeReason(`deleting "${rule.term}" from ${listLabel(rule.list).toLowerCase()} (disabling keeps it for later)`);
+    if (!changeReason) {
+        return;
+    }
+    
+    try {
+        await sendJson(`/api/rules/${rule.id}`, 'DELETE', { changeReason });
+        ruleStatusDiv.textContent = `Deleted "${rule.term}"`;
+    } catch (error) {
+        console.error('Error deleting rule:', error);
+        ruleStatusDiv.textContent = error.message;
+    }
+    loadRules();
+    loadVersions();
+}
+
+async function loadVersions() {
+    try {
+        const data = await sendJson('/api/rules/versions', 'GET');
+        renderVersions(data.versions, data.current);
+    } catch (error) {
+        console.error('Error loading rule versions:', error);
+        ruleVersionInfoDiv.textContent = `Could not load versions: ${error.message}`;
+    }
+}
+
+function renderVersions(versions, current) {
+    const options = versions.map(version => `<option value="${version.version}">Version ${version.version}</option>`).join('');
+    diffFromSelect.innerHTML = options;
+    diffToSelect.innerHTML = options;
+    diffToSelect.value = current;
+    diffFromSelect.value = versions.length > 1 ? versions[1].version : current;
+    
+    versionRowsBody.innerHTML = '';
+    versions.forEach(version => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${version.version}${version.version === current ? ' <small>(in force)</small>' : ''}</td>
+            <td><strong class="version-summary"></strong><br><small class="version-reason"></small></td>
+            <td class="version-author"></td>
+            <td>${new Date(version.createdAt).toLocaleString()}</td>
+            <td class="rule-actions"></td>
+        `;
+        row.querySelector('.version-summary').textContent = version.summary;
+        row.querySelector('.version-reason').textContent = version.reason;
+        row.querySelector('.version-author').textContent = version.author;
+        
+        if (version.version !== current && hasRole('admin')) {
+            const rollbackBtn = document.createElement('button');
+            rollbackBtn.type = 'button';
+            rollbackBtn.className = 'copy-btn';
+            rollbackBtn.textContent = 'Roll back';
+            rollbackBtn.addEventListener('click', () => rollbackTo(version.version));
+            row.querySelector('.rule-actions').appendChild(rollbackBtn);
+        }
+        
+        versionRowsBody.appendChild(row);
+    });
+}
+
+async function loadDismissals() {
+    try {
+        const data = await sendJson('/api/compliance/dismissals', 'GET');
+        renderDismissals(data.dismissals);
+    } catch (error) {
+        console.error('Error loading dismissals:', error);
+        ruleStatusDiv.textContent = `Could not load dismissed findings: ${error.message}`;
+    }
+}
+
+function renderDismissals(dismissals) {
+    dismissalRowsBody.innerHTML = dismissals.length === 0 ? '<tr><td colspan="5">No findings have been dismissed</td></tr>' : '';
+    dismissals.forEach(dismissal => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="dismissal-text"></td>
+            <td><strong class="dismissal-match"></strong><br><small class="dismissal-rule"></small></td>
+            <td class="dismissal-justification"></td>
+            <td><span class="dismissal-by"></span><br><small>${new Date(dismissal.createdAt).toLocaleString()}</small></td>
+            <td class="rule-actions"><button type="button" class="copy-btn delete-btn">Withdraw</button></td>
+        `;
+        row.querySelector('.dismissal-text').textContent = dismissal.text;
+        row.querySelector('.dismissal-match').textContent = dismissal.match;
+        row.querySelector('.dismissal-rule').textContent = dismissal.ruleId;
+        row.querySelector('.dismissal-justification').textContent = dismissal.justification;
+        row.querySelector('.dismissal-by').textContent = dismissal.dismissedBy || '';
+        row.querySelector('.delete-btn').addEventListener('click', () => withdrawDismissal(dismissal));
+        dismissalRowsBody.appendChild(row);
+    });
+}
+
+async function withdrawDismissal(dismissal) {
+    if (!confirm(`Flag "${dismissal.match}" in this text again?`)) {
+        return;
+    }
+    
+    try {
+        await sendJson(`/api/compliance/dismissals/${dismissal.id}`, 'DELETE');
+        ruleStatusDiv.textContent = `"${dismissal.match}" will be flagged in this text again`;
+    } catch (error) {
+        console.error('Error withdrawing dismissal:', error);
+        ruleStatusDiv.textContent = error.message;
+    }
+    loadDismissals();
+}
+
+async function showDiff() {
+    try {
+        const params = new URLSearchParams({ from: diffFromSelect.value, to: diffToSelect.value });
+        renderDiff(await sendJson(`/api/rules/versions/diff?${params}`, 'GET'));
+    } catch (error) {
+        console.error('Error comparing versions:', error);
+        ruleDiffDiv.textContent = error.message;
+        ruleDiffDiv.style.display = 'block';
+    }
+}
+
+function describeRule(rule) {
+    return `"${rule.term}" (${listLabel(rule.list).toLowerCase()}${rule.enabled ? '' : ', disabled'})`;
+}
+
+function renderDiff(diff) {
+    ruleDiffDiv.innerHTML = '';
+    const lines = [
+        ...diff.added.map(rule => ({ type: 'added', text: `+ ${describeRule(rule)}` })),
+        ...diff.removed.map(rule => ({ type: 'removed', text: `− ${describeRule(rule)}` })),
+        ...diff.changed.map(change => ({
+            type: 'changed',
+            text: `~ "${change.before.term}": ${change.fields.map(field => (
+                `${field} ${JSON.stringify(change.before[field])} → ${JSON.stringify(change.after[field])}`
+            )).join(', ')}`
+        }))
+    ];
+    
+    const heading = document.createElement('div');
+    heading.className = 'rule-diff-heading';
+    heading.textContent = `Version ${diff.from.version} → version ${diff.to.version}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`;
+    ruleDiffDiv.appendChild(heading);
+    
+    lines.forEach(line => {
+        const item = document.createElement('div');
+        item.className = `rule-diff-line ${line.type}`;
+        item.textContent = line.text;
+        ruleDiffDiv.appendChild(item);
+    });
+    ruleDiffDiv.style.display = 'block';
+}
+
+async function rollbackTo(version) {
+    const changeReason = askChangeReason(`rolling the rules back to version ${version}`);
+    if (!changeReason) {
+        return;
+    }
+    
+    try {
+        const result = await sendJson(`/api/rules/versions/${version}/rollback`, 'POST', { changeReason });
+        ruleStatusDiv.textContent = `Rolled back to version ${version}. The rules are now version ${result.version}.`;
+    } catch (error) {
+        console.error('Error rolling back rules:', error);
+        ruleStatusDiv.textContent = error.message;
+    }
+    loadRules();
+    loadVersions();
+}
+
+ruleForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const saved = await saveRule(editingRuleId, {
+        list: ruleListSelect.value,
+        term: ruleTermInput.value,
+        alternative: ruleAlternativeInput.value,
+        category: ruleCategoryInput.value,
+        owner: ruleOwnerInput.value,
+        enabled: ruleEnabledInput.checked,
+        reason: ruleReasonInput.value,
+        exceptions: ruleExceptionsInput.value,
+        allowedContentTypes: selectedContentTypes(),
+        allowedClients: ruleAllowedClientsInput.value,
+        changeReason: ruleChangeReasonInput.value
+    });
+    if (saved) {
+        resetForm();
+    }
+});
+
+ruleFilters.addEventListener('submit', function(e) {
+    e.preventDefault();
+    loadRules();
+});
+
+ruleListFilter.addEventListener('change', loadRules);
+ruleListSelect.addEventListener('change', updateListFields);
+ruleCancelBtn.addEventListener('click', resetForm);
+diffBtn.addEventListener('click', showDiff);
+
+// Initialize the page
+document.addEventListener('DOMContentLoaded', async function() {
+    await getCurrentUser();
+    loadRules();
+    loadVersions();
+    loadDismissals();
+});
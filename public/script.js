@@ -4,21 +4,253 @@ const contentTypeSelect = document.getElementById('contentType');
 const contentTextarea = document.getElementById('content');
 const targetAudienceInput = document.getElementById('targetAudience');
 const toneSelect = document.getElementById('tone');
+const clientInput = document.getElementById('client');
+const providerSelect = document.getElementById('provider');
+const modelSelect = document.getElementById('model');
+const temperatureInput = document.getElementById('temperature');
+const temperatureValueSpan = document.getElementById('temperatureValue');
+
+// Variant count inputs for each metadata section
+const variantInputs = {
+    titles: document.getElementById('titleVariants'),
+    descriptions: document.getElementById('descriptionVariants'),
+    socialCopy: document.getElementById('socialVariants')
+};
 const generateBtn = document.getElementById('generateBtn');
+const cancelGenerateBtn = document.getElementById('cancelGenerateBtn');
 const charCountSpan = document.getElementById('charCount');
+const contentFindingsDiv = document.getElementById('contentFindings');
+const contentFindingsSummary = document.getElementById('contentFindingsSummary');
+const contentHighlightsDiv = document.getElementById('contentHighlights');
 const resultsDiv = document.getElementById('results');
 const titlesDiv = document.getElementById('titles');
 const descriptionsDiv = document.getElementById('descriptions');
 const socialCopyDiv = document.getElementById('socialCopy');
+const sectionDivs = {
+    titles: titlesDiv,
+    descriptions: descriptionsDiv,
+    socialCopy: socialCopyDiv
+};
+const sectionSourceDivs = {
+    titles: document.getElementById('titlesSource'),
+    descriptions: document.getElementById('descriptionsSource'),
+    socialCopy: document.getElementById('socialCopySource')
+};
 const complianceWarningsDiv = document.getElementById('complianceWarnings');
 const warningsListDiv = document.getElementById('warningsList');
+const serpPathSpan = document.getElementById('serpPath');
+const serpTitleDiv = document.getElementById('serpTitle');
+const serpDescriptionDiv = document.getElementById('serpDescription');
+const socialPreviewDiv = document.getElementById('socialPreview');
+const socialMetaDiv = document.getElementById('socialMeta');
+const socialTextDiv = document.getElementById('socialText');
+const socialCardTitleDiv = document.getElementById('socialCardTitle');
+const socialCardDescriptionDiv = document.getElementById('socialCardDescription');
+const socialTabButtons = document.querySelectorAll('.social-tab');
+const exportUrlInput = document.getElementById('exportUrl');
+const exportImageUrlInput = document.getElementById('exportImageUrl');
+const exportOutputDiv = document.getElementById('exportOutput');
+const exportCodeTextarea = document.getElementById('exportCode');
+const reviewCommentInput = document.getElementById('reviewComment');
+const reviewDraftBtn = document.getElementById('reviewDraftBtn');
+const reviewSubmitBtn = document.getElementById('reviewSubmitBtn');
+const reviewStatusDiv = document.getElementById('reviewStatus');
+const importSourceSelect = document.getElementById('importSource');
+const importUrlInput = document.getElementById('importUrl');
+const importUrlBtn = document.getElementById('importUrlBtn');
+const importFileInput = document.getElementById('importFile');
+const importStatusDiv = document.getElementById('importStatus');
+const currentPreviewDiv = document.getElementById('currentPreview');
+const currentSourceDiv = document.getElementById('currentSource');
+const currentTitleDiv = document.getElementById('currentTitle');
+const currentDescriptionDiv = document.getElementById('currentDescription');
+const currentStatsDiv = document.getElementById('currentStats');
+const batchFileInput = document.getElementById('batchFile');
+const batchStartBtn = document.getElementById('batchStartBtn');
+const batchProgressDiv = document.getElementById('batchProgress');
+const batchProgressFill = document.getElementById('batchProgressFill');
+const batchProgressText = document.getElementById('batchProgressText');
+const batchRowsBody = document.getElementById('batchRows');
+const batchCsvBtn = document.getElementById('batchCsvBtn');
+const batchJsonBtn = document.getElementById('batchJsonBtn');
+
+// Option id prefixes and the response sections they belong to
+const sectionsByPrefix = {
+    title: 'titles',
+    description: 'descriptions',
+    social: 'socialCopy'
+};
+
+// Form data behind the results currently on screen, reused when regenerating an option
+let lastFormData = null;
+
+// Stored history run behind the results on screen, so selections can be saved with it
+let currentHistoryId = null;
+
+// Aborts the generation streaming in, if one is
+let generationController = null;
+
+// How Google renders result titles and snippets on desktop
+const serpLimits = {
+    title: { font: '20px Arial', maxPixels: 600 },
+    description: { font: '14px Arial', maxPixels: 920 }
+};
+
+// How much of a post each network shows before cutting it off
+const socialNetworks = {
+    linkedin: { visibleCharacters: 210, moreLabel: '…see more', meta: 'Just now · 🌐', showCardDescription: false },
+    facebook: { visibleCharacters: 250, moreLabel: '… See more', meta: 'Just now · 🌎', showCardDescription: true },
+    x: { maxCharacters: 280, meta: '@yourcompany · now', showCardDescription: false }
+};
+
+let selectedNetwork = 'linkedin';
+
+// Title and description of the page or document the content was imported from
+let importedMetadata = null;
+const measureCanvas = document.createElement('canvas').getContext('2d');
+
+// How long typing has to pause before the content is checked again
+const CONTENT_CHECK_DELAY_MS = 600;
+let contentCheckTimer = null;
+
+const findingLabels = {
+    red_word: 'Red word',
+    yellow_word: 'Yellow word',
+    us_term: 'US-specific term',
+    emoji: 'Prohibited emoji'
+};
 
 // Character counter
 contentTextarea.addEventListener('input', function() {
     const count = this.value.length;
     charCountSpan.textContent = count.toLocaleString();
+    scheduleContentCheck();
 });
 
+// Allow-lists depend on the content type and client
+contentTypeSelect.addEventListener('change', scheduleContentCheck);
+clientInput.addEventListener('input', scheduleContentCheck);
+
+function scheduleContentCheck() {
+    clearTimeout(contentCheckTimer);
+    contentCheckTimer = setTimeout(checkContent, CONTENT_CHECK_DELAY_MS);
+}
+
+// Check text against the compliance rules. context holds the content type and client whose
+// allow-lists apply; a section also measures the text for that section.
+async function checkCompliance(text, context, section) {
+    const response = await fetch('/api/compliance/check', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ content: text, contentType: context.contentType, client: context.client, section })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+}
+
+// Re-check the content being edited and highlight what was found
+async function checkContent() {
+    const content = contentTextarea.value;
+    if (!content.trim()) {
+        contentFindingsDiv.style.display = 'none';
+        return;
+    }
+    
+    try {
+        const data = await checkCompliance(content, { contentType: contentTypeSelect.value, client: clientInput.value });
+        // Typing carried on while the check ran; the next check will catch up
+        if (contentTextarea.value === content) {
+            renderContentFindings(content, data);
+        }
+    } catch (error) {
+        console.error('Error checking content:', error);
+    }
+}
+
+function renderContentFindings(content, compliance) {
+    const { summary } = compliance;
+    const counts = [
+        summary.red > 0 ? `${summary.red} red` : null,
+        summary.yellow > 0 ? `${summary.yellow} yellow` : null,
+        summary.info > 0 ? `${summary.info} US-specific` : null
+    ].filter(Boolean);
+    contentFindingsSummary.textContent = counts.length > 0 ? counts.join(' · ') : 'No findings';
+    contentFindingsSummary.className = `compliance-badge ${summary.status}`;
+    
+    renderHighlights(contentHighlightsDiv, content, compliance.findings, finding => {
+        contentTextarea.value = applySuggestion(content, finding);
+        charCountSpan.textContent = contentTextarea.value.length.toLocaleString();
+        checkContent();
+    });
+    contentFindingsDiv.style.display = 'block';
+}
+
+// Hover text for a highlighted finding: what rule it broke, why, and what to use instead
+function describeFinding(finding) {
+    let text = `${findingLabels[finding.category] || 'Finding'}: "${finding.term}"`;
+    if (finding.reason) {
+        text += `. ${finding.reason}`;
+    }
+    if (hasSuggestion(finding)) {
+        text += finding.suggestion ? `. Click to replace with "${finding.suggestion}"` : '. Click to remove';
+    }
+    return text;
+}
+
+// Findings stored before suggestions existed have none; an empty suggestion means remove the match
+function hasSuggestion(finding) {
+    return typeof finding.suggestion === 'string';
+}
+
+// Swap one finding's match for its suggestion; removing a match also removes one of the spaces around it
+function applySuggestion(text, finding) {
+    let before = text.slice(0, finding.start);
+    const after = text.slice(finding.end);
+    if (!finding.suggestion) {
+        if (/ $/.test(before) && /^[ \n.,!?]|^$/.test(after)) {
+            before = before.slice(0, -1);
+        }
+        return before + after;
+    }
+    return before + finding.suggestion + after;
+}
+
+// Render text into element with each finding wrapped in a mark colored by severity.
+// Clicking a mark that has a suggestion calls onReplace with its finding.
+function renderHighlights(element, text, findings, onReplace) {
+    element.textContent = '';
+    let cursor = 0;
+    
+    [...findings].sort((a, b) => a.start - b.start).forEach(finding => {
+        // A US-specific term can overlap a red or yellow word; the first one wins
+        if (finding.start < cursor) {
+            return;
+        }
+        
+        element.appendChild(document.createTextNode(text.slice(cursor, finding.start)));
+        const mark = document.createElement('mark');
+        mark.className = `finding ${finding.severity}`;
+        mark.textContent = text.slice(finding.start, finding.end);
+        mark.title = describeFinding(finding);
+        if (hasSuggestion(finding) && onReplace) {
+            mark.classList.add('replaceable');
+            mark.addEventListener('click', event => {
+                event.stopPropagation();
+                onReplace(finding);
+            });
+        }
+        element.appendChild(mark);
+        cursor = finding.end;
+    });
+    
+    element.appendChild(document.createTextNode(text.slice(cursor)));
+}
+
 // Form submission
 form.addEventListener('submit', async function(e) {
     e.preventDefault();
@@ -31,30 +263,48 @@ form.addEventListener('submit', async function(e) {
         contentType: contentTypeSelect.value,
         content: contentTextarea.value,
         targetAudience: targetAudienceInput.value,
-        tone: toneSelect.value
+        tone: toneSelect.value,
+        client: clientInput.value,
+        provider: providerSelect.value,
+        settings: readSettings()
     };
     
+    // Options are shown as they stream in
+    clearResults();
+    resultsDiv.style.display = 'block';
+    resultsDiv.scrollIntoView({ behavior: 'smooth' });
+    generationController = new AbortController();
+    
     try {
         // Call the API to generate metadata
-        const result = await generateMetadata(formData);
+        const result = await generateMetadata(formData, generationController.signal);
+        
+        lastFormData = formData;
         
         // Display results
         displayResults(result);
         
-        // Show results section
-        resultsDiv.style.display = 'block';
-        
-        // Scroll to results
-        resultsDiv.scrollIntoView({ behavior: 'smooth' });
-        
     } catch (error) {
-        console.error('Error generating metadata:', error);
-        alert('Error generating metadata. Please try again.');
+        if (error.name === 'AbortError') {
+            // Keep what arrived before the cancel so it can still be copied or regenerated
+            lastFormData = formData;
+            finishCancelledResults();
+        } else {
+            console.error('Error generating metadata:', error);
+            alert(`Error generating metadata: ${error.message}`);
+        }
     } finally {
+        generationController = null;
         setLoadingState(false);
     }
 });
 
+cancelGenerateBtn.addEventListener('click', () => {
+    if (generationController) {
+        generationController.abort();
+    }
+});
+
 // Loading state management
 function setLoadingState(isLoading) {
     const btnText = generateBtn.querySelector('.btn-text');
@@ -64,32 +314,54 @@ function setLoadingState(isLoading) {
         btnText.style.display = 'none';
         btnLoading.style.display = 'flex';
         generateBtn.disabled = true;
+        cancelGenerateBtn.style.display = 'block';
     } else {
         btnText.style.display = 'inline';
         btnLoading.style.display = 'none';
         generateBtn.disabled = false;
+        cancelGenerateBtn.style.display = 'none';
     }
 }
 
-// Generate metadata using the API
-async function generateMetadata(formData) {
+// Generate metadata using the streaming API, showing each option as it arrives. Aborting signal
+// cancels the generation on the server too.
+async function generateMetadata(formData, signal) {
     try {
         console.log('Sending request with data:', formData);
         
-        const response = await fetch('/api/generate', {
+        const response = await fetch('/api/generate/stream', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Cache-Control': 'no-cache'
             },
-            body: JSON.stringify(formData)
+            body: JSON.stringify(formData),
+            signal
         });
         
+        // Bad requests are refused with a JSON { error } before any streaming starts
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
         }
         
-        const data = await response.json();
+        let data = null;
+        let streamError = null;
+        await readEventStream(response, (event, payload) => {
+            if (event === 'option') {
+                showStreamedOption(payload.section, payload.index, payload.text);
+            } else if (event === 'section') {
+                showStreamedSection(payload.section, payload.options, payload.provenance);
+            } else if (event === 'result') {
+                data = payload;
+            } else if (event === 'error') {
+                streamError = payload.error;
+            }
+        });
+        
+        if (!data) {
+            throw new Error(streamError || 'The response ended before the results arrived');
+        }
         console.log('Received response:', data);
         
         // Also check compliance
@@ -98,21 +370,111 @@ async function generateMetadata(formData) {
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ content: formData.content })
+            body: JSON.stringify({ content: formData.content, contentType: formData.contentType, client: formData.client })
         });
         
         if (complianceResponse.ok) {
             const complianceData = await complianceResponse.json();
             data.warnings = [...(data.warnings || []), ...complianceData.warnings];
+            if (contentTextarea.value === formData.content) {
+                renderContentFindings(formData.content, complianceData);
+            }
         }
         
         return data;
     } catch (error) {
-        console.error('Error calling API:', error);
+        if (error.name !== 'AbortError') {
+            console.error('Error calling API:', error);
+        }
         throw error;
     }
 }
 
+// Read a Server-Sent Events response, calling onEvent(event, data) for each message as it arrives
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+            return;
+        }
+        buffer += decoder.decode(value, { stream: true });
+        
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const message = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            
+            let event = 'message';
+            const data = [];
+            message.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data.push(line.slice(5).trim());
+                }
+            });
+            if (data.length > 0) {
+                onEvent(event, JSON.parse(data.join('\n')));
+            }
+        }
+    }
+}
+
+// Empty the results view before a new run streams into it
+function clearResults() {
+    Object.values(sectionDivs).forEach(div => {
+        div.innerHTML = '';
+    });
+    Object.values(sectionSourceDivs).forEach(div => renderSectionSource(div, null));
+    currentHistoryId = null;
+    reviewStatusDiv.style.display = 'none';
+    complianceWarningsDiv.style.display = 'none';
+    updatePreview();
+}
+
+// Show one streamed option, replacing an earlier version of it from a retried request
+function showStreamedOption(section, index, text) {
+    const prefix = Object.keys(sectionsByPrefix).find(key => sectionsByPrefix[key] === section);
+    const option = createMetadataOption(text, `${prefix}-${index}`);
+    option.classList.add('streaming');
+    
+    const existing = sectionDivs[section].querySelector(`.metadata-option[data-id="${prefix}-${index}"]`);
+    if (existing) {
+        existing.replaceWith(option);
+    } else {
+        sectionDivs[section].appendChild(option);
+    }
+}
+
+// Replace a section's streamed options with its finished ones, which may be templates after a failure
+function showStreamedSection(section, options, provenance) {
+    const prefix = Object.keys(sectionsByPrefix).find(key => sectionsByPrefix[key] === section);
+    sectionDivs[section].innerHTML = '';
+    options.forEach((text, index) => {
+        const option = createMetadataOption(text, `${prefix}-${index}`, undefined, undefined, provenance.source);
+        option.classList.add('streaming');
+        sectionDivs[section].appendChild(option);
+    });
+    renderSectionSource(sectionSourceDivs[section], provenance);
+}
+
+// After a cancel, options that arrived become usable and unfinished sections say why they stopped
+function finishCancelledResults() {
+    document.querySelectorAll('.metadata-option.streaming').forEach(option => {
+        option.classList.remove('streaming');
+    });
+    Object.values(sectionSourceDivs).forEach(div => {
+        if (!div.textContent) {
+            div.className = 'section-source failed';
+            div.textContent = 'Generation cancelled before this section finished';
+        }
+    });
+}
+
 // Display results
 function displayResults(data) {
     // Clear previous results
@@ -120,24 +482,48 @@ function displayResults(data) {
     descriptionsDiv.innerHTML = '';
     socialCopyDiv.innerHTML = '';
     
+    currentHistoryId = data.historyId || null;
+    
+    reviewStatusDiv.style.display = 'none';
+    
+    const compliance = data.compliance || {};
+    const fit = data.fit || {};
+    
+    // Runs from before per-section provenance was recorded have no sections
+    const sections = data.sections || {};
+    Object.entries(sectionSourceDivs).forEach(([section, div]) => {
+        renderSectionSource(div, sections[section]);
+    });
+    const sourceOf = section => (sections[section] ? sections[section].source : data.source === 'template' ? 'template' : null);
+    
+    // Attach the provider's auto-repair outcome to each option's compliance result
+    (data.repairs || []).forEach(repair => {
+        const result = (compliance[repair.section] || [])[repair.index];
+        if (result) {
+            result.repair = repair;
+        }
+    });
+    
     // Display titles
     data.titles.forEach((title, index) => {
-        const option = createMetadataOption(title, `title-${index}`);
+        const option = createMetadataOption(title, `title-${index}`, (compliance.titles || [])[index], (fit.titles || [])[index], sourceOf('titles'));
         titlesDiv.appendChild(option);
     });
     
     // Display descriptions
     data.descriptions.forEach((description, index) => {
-        const option = createMetadataOption(description, `description-${index}`);
+        const option = createMetadataOption(description, `description-${index}`, (compliance.descriptions || [])[index], (fit.descriptions || [])[index], sourceOf('descriptions'));
         descriptionsDiv.appendChild(option);
     });
     
     // Display social copy
     data.socialCopy.forEach((copy, index) => {
-        const option = createMetadataOption(copy, `social-${index}`);
+        const option = createMetadataOption(copy, `social-${index}`, (compliance.socialCopy || [])[index], (fit.socialCopy || [])[index], sourceOf('socialCopy'));
         socialCopyDiv.appendChild(option);
     });
     
+    updatePreview();
+    
     // Display compliance warnings
     if (data.warnings && data.warnings.length > 0) {
         warningsListDiv.innerHTML = '';
@@ -153,24 +539,74 @@ function displayResults(data) {
     }
 }
 
-// Create metadata option element
-function createMetadataOption(text, id) {
+// Say where a section's options came from: the model that wrote them, or why templates stood in
+function renderSectionSource(div, provenance) {
+    div.className = 'section-source';
+    div.textContent = '';
+    if (!provenance) {
+        return;
+    }
+    
+    const provider = providersByName[provenance.provider];
+    const providerLabel = provider ? provider.label : provenance.provider;
+    const seconds = `${(provenance.latencyMs / 1000).toFixed(1)}s`;
+    
+    if (provenance.source === 'ai') {
+        div.textContent = `Generated by ${providerLabel}${provenance.model ? ` (${provenance.model})` : ''} · ${seconds}`;
+    } else if (provenance.source === 'template') {
+        div.classList.add('template');
+        div.textContent = `Template options: ${provenance.error || 'the AI provider was not used'}`;
+    } else {
+        div.classList.add('failed');
+        div.textContent = `No options could be generated: ${provenance.error || 'unknown error'}`;
+    }
+}
+
+// Create metadata option element; source is 'template' for options that did not come from the model
+function createMetadataOption(text, id, compliance, fit, source) {
     const option = document.createElement('div');
     option.className = 'metadata-option';
     option.dataset.id = id;
+    if (source) {
+        option.dataset.source = source;
+    }
+    
+    const badge = createComplianceBadge(compliance);
+    if (compliance) {
+        option.classList.add(`compliance-${compliance.summary.status}`);
+    }
+    const isTemplate = source === 'template';
+    if (isTemplate) {
+        option.classList.add('from-template');
+    }
     
     option.innerHTML = `
-        <div class="metadata-text">${text}</div>
+        <div class="metadata-text"></div>
+        ${createFitInfo(fit)}
         <div class="metadata-actions">
-            <button class="copy-btn" onclick="copyToClipboard('${text.replace(/'/g, "\\'")}', event)">
-                Copy
-            </button>
-            <button class="regenerate-btn" onclick="regenerateOption('${id}')">
-                Regenerate
-            </button>
+            ${isTemplate ? '<span class="source-tag" title="Written from a template, not by the AI provider">Template</span>' : ''}
+            ${badge}
         </div>
     `;
     
+    // Buttons get listeners rather than inline handlers, so quotes or markup in the text cannot break out
+    const actions = option.querySelector('.metadata-actions');
+    const copyButton = document.createElement('button');
+    copyButton.className = 'copy-btn';
+    copyButton.textContent = 'Copy';
+    copyButton.addEventListener('click', event => {
+        copyToClipboard(option.querySelector('.metadata-text').textContent, event);
+    });
+    const regenerateButton = document.createElement('button');
+    regenerateButton.className = 'regenerate-btn';
+    regenerateButton.textContent = 'Regenerate';
+    regenerateButton.addEventListener('click', () => regenerateOption(option.dataset.id));
+    actions.append(copyButton, regenerateButton);
+    
+    renderHighlights(option.querySelector('.metadata-text'), text, compliance ? compliance.findings : [], finding => {
+        applySuggestionToOption(option, finding);
+    });
+    
     // Add click handler for selection
     option.addEventListener('click', function(e) {
         if (!e.target.classList.contains('copy-btn') && !e.target.classList.contains('regenerate-btn')) {
@@ -181,12 +617,572 @@ function createMetadataOption(text, id) {
             });
             // Add selection to this option
             this.classList.add('selected');
+            updatePreview();
+            saveSelection(this);
         }
     });
     
     return option;
 }
 
+// Create the red/yellow/clean badge for an option's compliance result
+function createComplianceBadge(compliance) {
+    if (!compliance) {
+        return '';
+    }
+    
+    const labels = {
+        red: 'Red words',
+        yellow: 'Review',
+        clean: 'Clean'
+    };
+    const status = compliance.summary.status;
+    const terms = [...new Set(
+        compliance.findings
+            .filter(finding => finding.severity !== 'info')
+            .map(finding => finding.term)
+    )];
+    let tooltip = terms.length > 0 ? `Flagged: ${terms.join(', ')}` : 'No red or yellow words found';
+    let label = labels[status];
+    
+    if (compliance.repair) {
+        const { repair } = compliance;
+        if (repair.status === 'repaired') {
+            label += ' · Auto-repaired';
+            tooltip += `. Replaced "${repair.original}" (${repair.terms.join(', ')})`;
+        } else {
+            tooltip += `. Still contains red words after ${repair.attempts} repair attempt(s)`;
+        }
+    }
+    
+    if (compliance.dismissed && compliance.dismissed.length > 0) {
+        tooltip += `. Dismissed by a reviewer: ${compliance.dismissed.map(finding => `${finding.match} (${finding.dismissal.justification})`).join(', ')}`;
+    }
+    
+    if (compliance.ruleSetVersion) {
+        tooltip += `. Checked against rule set version ${compliance.ruleSetVersion}`;
+    }
+    
+    return `<span class="compliance-badge ${status}" title="${tooltip.replace(/"/g, '&quot;')}">${label}</span>`;
+}
+
+// Create the character count and SERP pixel width line for an option
+function createFitInfo(fit) {
+    if (!fit) {
+        return '';
+    }
+    
+    const labels = {
+        fits: 'Fits',
+        short: 'Short',
+        truncated: 'Truncated'
+    };
+    let details = `${fit.characters}/${fit.maxCharacters} chars`;
+    if (fit.pixels !== null) {
+        details += ` · ${fit.pixels}/${fit.maxPixels}px`;
+    }
+    
+    let tooltip = `Target ${fit.minCharacters}-${fit.maxCharacters} characters`;
+    if (fit.trimmed) {
+        tooltip += `. Trimmed from ${fit.originalCharacters} characters to fit`;
+    }
+    
+    return `<div class="fit-info ${fit.status}" title="${tooltip}">${details} · ${labels[fit.status]}${fit.trimmed ? ' (trimmed)' : ''}</div>`;
+}
+
+// Text of the selected option in a section, or its first option if none is selected
+function getPreviewText(sectionDiv) {
+    const option = sectionDiv.querySelector('.metadata-option.selected') || sectionDiv.querySelector('.metadata-option');
+    return option ? option.querySelector('.metadata-text').textContent : '';
+}
+
+// Cut text at a word boundary so it fits in maxPixels, the way Google adds an ellipsis
+function truncateToWidth(text, font, maxPixels) {
+    measureCanvas.font = font;
+    if (measureCanvas.measureText(text).width <= maxPixels) {
+        return text;
+    }
+    
+    const words = text.split(' ');
+    let fitted = '';
+    for (const word of words) {
+        const candidate = fitted ? `${fitted} ${word}` : word;
+        if (measureCanvas.measureText(`${candidate} ...`).width > maxPixels) {
+            break;
+        }
+        fitted = candidate;
+    }
+    return `${fitted.replace(/[\s,;:\-–—|]+$/, '')} ...`;
+}
+
+// Render the selected options as a Google result and a social post
+function updatePreview() {
+    const title = getPreviewText(titlesDiv);
+    const description = getPreviewText(descriptionsDiv);
+    const social = getPreviewText(socialCopyDiv);
+    
+    serpPathSpan.textContent = lastFormData && lastFormData.contentType ? lastFormData.contentType : 'article';
+    serpTitleDiv.textContent = truncateToWidth(title, serpLimits.title.font, serpLimits.title.maxPixels);
+    serpDescriptionDiv.textContent = truncateToWidth(description, serpLimits.description.font, serpLimits.description.maxPixels);
+    
+    const network = socialNetworks[selectedNetwork];
+    socialPreviewDiv.className = `social-preview ${selectedNetwork}`;
+    socialMetaDiv.textContent = network.meta;
+    socialTextDiv.innerHTML = '';
+    
+    if (network.visibleCharacters && social.length > network.visibleCharacters) {
+        const visible = social.slice(0, network.visibleCharacters).replace(/\s+\S*$/, '');
+        const more = document.createElement('span');
+        more.className = 'social-more';
+        more.textContent = network.moreLabel;
+        socialTextDiv.append(visible, more);
+    } else {
+        socialTextDiv.textContent = social;
+    }
+    
+    if (network.maxCharacters) {
+        const counter = document.createElement('div');
+        counter.className = `social-counter${social.length > network.maxCharacters ? ' over' : ''}`;
+        counter.textContent = `${social.length}/${network.maxCharacters}`;
+        socialTextDiv.appendChild(counter);
+    }
+    
+    socialCardTitleDiv.textContent = title;
+    socialCardDescriptionDiv.textContent = description;
+    socialCardDescriptionDiv.style.display = network.showCardDescription ? 'block' : 'none';
+    
+    updateCurrentPreview();
+}
+
+// Show the imported page's existing metadata next to the new options for comparison
+function updateCurrentPreview() {
+    if (!importedMetadata || (!importedMetadata.title && !importedMetadata.description)) {
+        currentPreviewDiv.style.display = 'none';
+        return;
+    }
+    
+    const { title, description, source } = importedMetadata;
+    currentSourceDiv.textContent = source;
+    currentTitleDiv.textContent = title ? truncateToWidth(title, serpLimits.title.font, serpLimits.title.maxPixels) : '(no title)';
+    currentDescriptionDiv.textContent = description
+        ? truncateToWidth(description, serpLimits.description.font, serpLimits.description.maxPixels)
+        : '(no meta description)';
+    currentStatsDiv.textContent = `Title ${title.length} chars · Description ${description.length} chars`;
+    currentPreviewDiv.style.display = 'block';
+}
+
+// Import content from a URL or an uploaded HTML, DOCX or PDF file
+async function importContent(request) {
+    importStatusDiv.textContent = 'Importing...';
+    importStatusDiv.className = 'import-status';
+    importUrlBtn.disabled = true;
+    
+    try {
+        const response = await fetch('/api/ingest', { method: 'POST', ...request });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        contentTextarea.value = data.content;
+        charCountSpan.textContent = data.content.length.toLocaleString();
+        checkContent();
+        importedMetadata = { ...data.existing, source: data.source.name };
+        importStatusDiv.textContent = `Imported ${data.wordCount.toLocaleString()} words from ${data.source.name}`;
+    } catch (error) {
+        console.error('Error importing content:', error);
+        importStatusDiv.textContent = error.message;
+        importStatusDiv.className = 'import-status error';
+    } finally {
+        importUrlBtn.disabled = false;
+    }
+}
+
+// Placeholder for the reference each import source expects
+const importPlaceholders = {
+    url: 'https://example.com/article',
+    'google-docs': 'https://docs.google.com/document/d/...',
+    local: 'path/to/article.docx'
+};
+
+importUrlBtn.addEventListener('click', () => {
+    const reference = importUrlInput.value.trim();
+    if (!reference) {
+        return;
+    }
+    
+    const source = importSourceSelect.value;
+    importContent({
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(source === 'url' ? { url: reference } : { source, reference })
+    });
+});
+
+importSourceSelect.addEventListener('change', () => {
+    importUrlInput.placeholder = importPlaceholders[importSourceSelect.value] || '';
+});
+
+// Add the document sources configured on the server to the import menu
+async function loadImportSources() {
+    try {
+        const response = await fetch('/api/sources', { headers: { 'Cache-Control': 'no-cache' } });
+        if (!response.ok) {
+            return;
+        }
+        
+        const { sources } = await response.json();
+        sources
+            .filter(source => source.configured)
+            .forEach(source => {
+                const option = document.createElement('option');
+                option.value = source.name;
+                option.textContent = source.label;
+                importSourceSelect.appendChild(option);
+            });
+    } catch (error) {
+        console.error('Error loading import sources:', error);
+    }
+}
+
+// Providers from the server, by name, and the one it uses by default
+let providersByName = {};
+let defaultProviderName = null;
+
+// Settings for the Advanced panel, sent with generate, regenerate and batch requests
+function readSettings() {
+    const variants = {};
+    Object.entries(variantInputs).forEach(([section, input]) => {
+        variants[section] = Number(input.value);
+    });
+    return {
+        model: modelSelect.value || undefined,
+        temperature: Number(temperatureInput.value),
+        variants
+    };
+}
+
+// Put settings echoed back with a stored run into the Advanced panel
+function applySettings(settings) {
+    if (providerSelect.querySelector(`option[value="${settings.provider}"]`)) {
+        providerSelect.value = settings.provider;
+    }
+    updateModelOptions();
+    if (modelSelect.querySelector(`option[value="${settings.model}"]`)) {
+        modelSelect.value = settings.model;
+    }
+    temperatureInput.value = settings.temperature;
+    temperatureValueSpan.textContent = temperatureInput.value;
+    Object.entries(variantInputs).forEach(([section, input]) => {
+        input.value = settings.variants[section];
+    });
+}
+
+// List the chosen provider's models, keeping the current choice when it is still offered
+function updateModelOptions() {
+    const provider = providersByName[providerSelect.value || defaultProviderName];
+    const current = modelSelect.value;
+    
+    modelSelect.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = provider ? `Provider default (${provider.model})` : 'Provider default';
+    modelSelect.appendChild(defaultOption);
+    
+    (provider ? provider.models : []).forEach(model => {
+        const option = document.createElement('option');
+        option.value = model;
+        option.textContent = model;
+        modelSelect.appendChild(option);
+    });
+    modelSelect.value = provider && provider.models.includes(current) ? current : '';
+}
+
+// Add the configured AI providers to the provider menu, naming the one the server uses by default
+async function loadProviders() {
+    try {
+        const response = await fetch('/api/providers', { headers: { 'Cache-Control': 'no-cache' } });
+        if (!response.ok) {
+            return;
+        }
+        
+        const { providers, limits, defaults } = await response.json();
+        providers.forEach(provider => {
+            providersByName[provider.name] = provider;
+        });
+        providers
+            .filter(provider => provider.configured)
+            .forEach(provider => {
+                const option = document.createElement('option');
+                option.value = provider.name;
+                option.textContent = `${provider.label} (${provider.model})`;
+                providerSelect.appendChild(option);
+            });
+        
+        const fallback = providers.find(provider => provider.default);
+        if (fallback) {
+            defaultProviderName = fallback.name;
+            providerSelect.options[0].textContent = `Server default (${fallback.configured ? fallback.label : 'templates'})`;
+        }
+        
+        // Hold the Advanced panel to the server's limits
+        temperatureInput.min = limits.temperature.min;
+        temperatureInput.max = limits.temperature.max;
+        temperatureInput.value = defaults.temperature;
+        temperatureValueSpan.textContent = temperatureInput.value;
+        Object.entries(variantInputs).forEach(([section, input]) => {
+            input.min = limits.variants.min;
+            input.max = limits.variants.max;
+            input.value = defaults.variants[section];
+        });
+        updateModelOptions();
+    } catch (error) {
+        console.error('Error loading AI providers:', error);
+    }
+}
+
+providerSelect.addEventListener('change', updateModelOptions);
+
+temperatureInput.addEventListener('input', () => {
+    temperatureValueSpan.textContent = temperatureInput.value;
+});
+
+importFileInput.addEventListener('change', () => {
+    const file = importFileInput.files[0];
+    if (!file) {
+        return;
+    }
+    const body = new FormData();
+    body.append('file', file);
+    importContent({ body });
+});
+
+// Switch the social preview between networks
+socialTabButtons.forEach(button => {
+    button.addEventListener('click', function() {
+        socialTabButtons.forEach(tab => tab.classList.remove('active'));
+        this.classList.add('active');
+        selectedNetwork = this.dataset.network;
+        updatePreview();
+    });
+});
+
+// Selected options plus page details, as sent to the export endpoint
+function getExportSelection() {
+    return {
+        contentType: lastFormData ? lastFormData.contentType : '',
+        url: exportUrlInput.value,
+        imageUrl: exportImageUrlInput.value,
+        title: getPreviewText(titlesDiv),
+        description: getPreviewText(descriptionsDiv),
+        socialCopy: getPreviewText(socialCopyDiv)
+    };
+}
+
+async function requestExport(format) {
+    const response = await fetch('/api/export', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+        },
+        body: JSON.stringify({ ...getExportSelection(), format })
+    });
+    
+    // Bad input, such as a URL that is not a web address, comes back with a message for the writer
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    
+    return response;
+}
+
+// Show ready-to-paste meta tags and JSON-LD
+async function exportSnippet() {
+    try {
+        const response = await requestExport('snippet');
+        const data = await response.json();
+        exportCodeTextarea.value = `${data.metaTags}\n${data.jsonLd}`;
+        exportOutputDiv.style.display = 'block';
+    } catch (error) {
+        console.error('Error exporting metadata:', error);
+        alert(`Error exporting metadata: ${error.message}`);
+    }
+}
+
+// Download the selection as a CSV or JSON file for CMS import
+async function downloadExport(format) {
+    try {
+        const response = await requestExport(format);
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `metadata.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Error downloading export:', error);
+        alert(`Error downloading export: ${error.message}`);
+    }
+}
+
+document.getElementById('exportSnippetBtn').addEventListener('click', exportSnippet);
+document.getElementById('exportCsvBtn').addEventListener('click', () => downloadExport('csv'));
+document.getElementById('exportJsonBtn').addEventListener('click', () => downloadExport('json'));
+document.getElementById('exportCopyBtn').addEventListener('click', event => {
+    copyToClipboard(exportCodeTextarea.value, event);
+});
+
+// Send the selected options to the review workflow, as a draft or straight to the reviewers
+async function sendForReview(submit) {
+    const selection = getExportSelection();
+    if (!selection.title && !selection.description && !selection.socialCopy) {
+        alert('Select at least one option to send for review.');
+        return;
+    }
+    
+    reviewDraftBtn.disabled = true;
+    reviewSubmitBtn.disabled = true;
+    try {
+        const response = await fetch('/api/reviews', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                runId: currentHistoryId,
+                contentType: selection.contentType,
+                client: lastFormData ? lastFormData.client : '',
+                url: selection.url,
+                title: selection.title,
+                description: selection.description,
+                socialCopy: selection.socialCopy,
+                comment: reviewCommentInput.value,
+                submit
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        reviewCommentInput.value = '';
+        reviewStatusDiv.innerHTML = `${submit ? 'Submitted for review' : 'Saved as a draft'}. <a href="reviews.html?id=${data.review.id}">Open review #${data.review.id}</a>`;
+        reviewStatusDiv.style.display = 'block';
+    } catch (error) {
+        console.error('Error sending for review:', error);
+        alert(`Could not send for review: ${error.message}`);
+    } finally {
+        reviewDraftBtn.disabled = false;
+        reviewSubmitBtn.disabled = false;
+    }
+}
+
+reviewDraftBtn.addEventListener('click', () => sendForReview(false));
+reviewSubmitBtn.addEventListener('click', () => sendForReview(true));
+
+// Batch job currently shown in the batch panel
+let batchJobId = null;
+let batchPollTimer = null;
+
+// Upload a CSV or JSON file and start a batch job
+async function startBatch() {
+    const file = batchFileInput.files[0];
+    if (!file) {
+        alert('Choose a CSV or JSON file first.');
+        return;
+    }
+    
+    const body = new FormData();
+    body.append('file', file);
+    body.append('provider', providerSelect.value);
+    body.append('settings', JSON.stringify(readSettings()));
+    
+    batchStartBtn.disabled = true;
+    try {
+        const response = await fetch('/api/batch', { method: 'POST', body });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        batchJobId = data.id;
+        batchCsvBtn.disabled = true;
+        batchJsonBtn.disabled = true;
+        batchProgressDiv.style.display = 'block';
+        renderBatchStatus(data);
+        pollBatch();
+    } catch (error) {
+        console.error('Error starting batch:', error);
+        alert(`Error starting batch: ${error.message}`);
+        batchStartBtn.disabled = false;
+    }
+}
+
+// Poll the job until every item has finished
+function pollBatch() {
+    clearTimeout(batchPollTimer);
+    batchPollTimer = setTimeout(async () => {
+        try {
+            const response = await fetch(`/api/batch/${batchJobId}`, { headers: { 'Cache-Control': 'no-cache' } });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            renderBatchStatus(data);
+            if (data.status === 'running') {
+                pollBatch();
+            }
+        } catch (error) {
+            console.error('Error checking batch progress:', error);
+            batchStartBtn.disabled = false;
+        }
+    }, 1500);
+}
+
+// Render overall progress and one row per item
+function renderBatchStatus(data) {
+    const finished = data.completed + data.failed;
+    batchProgressFill.style.width = `${Math.round(finished / data.total * 100)}%`;
+    batchProgressText.textContent = `${finished} of ${data.total} done${data.failed ? `, ${data.failed} failed` : ''}`;
+    
+    batchRowsBody.innerHTML = '';
+    data.items.forEach(item => {
+        const row = document.createElement('tr');
+        [item.id, item.contentType, item.error ? `failed: ${item.error}` : item.status, item.compliance || ''].forEach((value, i) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (i === 2) {
+                cell.className = `batch-status ${item.status}`;
+            }
+            if (i === 3 && item.compliance) {
+                cell.className = `batch-compliance ${item.compliance}`;
+            }
+            row.appendChild(cell);
+        });
+        batchRowsBody.appendChild(row);
+    });
+    
+    if (data.status !== 'running') {
+        batchStartBtn.disabled = false;
+        batchCsvBtn.disabled = false;
+        batchJsonBtn.disabled = false;
+    }
+}
+
+function downloadBatch(format) {
+    if (batchJobId) {
+        window.location.href = `/api/batch/${batchJobId}/results?format=${format}`;
+    }
+}
+
+batchStartBtn.addEventListener('click', startBatch);
+batchCsvBtn.addEventListener('click', () => downloadBatch('csv'));
+batchJsonBtn.addEventListener('click', () => downloadBatch('json'));
+
 // Copy to clipboard function
 function copyToClipboard(text, event) {
     navigator.clipboard.writeText(text).then(() => {
@@ -216,16 +1212,181 @@ function copyToClipboard(text, event) {
 }
 
 // Regenerate option function
-function regenerateOption(id) {
-    // This will be implemented when we have the backend
-    console.log('Regenerating option:', id);
-    alert('Regenerate functionality will be implemented with the backend integration');
+async function regenerateOption(id) {
+    const option = document.querySelector(`.metadata-option[data-id="${id}"]`);
+    if (!option || !lastFormData) {
+        return;
+    }
+    
+    const hint = prompt('Optional: how should the new version differ? (e.g. "shorter", "mention retirement")', '');
+    if (hint === null) {
+        return;
+    }
+    
+    const [prefix, index] = id.split('-');
+    const section = sectionsByPrefix[prefix];
+    const existing = Array.from(option.parentElement.querySelectorAll('.metadata-text'))
+        .map(text => text.textContent);
+    
+    const button = option.querySelector('.regenerate-btn');
+    button.textContent = 'Regenerating...';
+    button.disabled = true;
+    
+    try {
+        const response = await fetch('/api/regenerate', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-cache'
+            },
+            body: JSON.stringify({
+                ...lastFormData,
+                section,
+                index: Number(index),
+                hint: hint.trim(),
+                existing
+            })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        const compliance = data.compliance;
+        if (data.repair) {
+            compliance.repair = data.repair;
+        }
+        
+        replaceOption(option, createMetadataOption(data.text, id, compliance, data.fit, data.provenance && data.provenance.source));
+    } catch (error) {
+        console.error('Error regenerating option:', error);
+        alert(`Error regenerating option: ${error.message}`);
+        button.textContent = 'Regenerate';
+        button.disabled = false;
+    }
+}
+
+// Swap an option in place, keeping its selection state
+function replaceOption(option, replacement) {
+    if (option.classList.contains('selected')) {
+        replacement.classList.add('selected');
+    }
+    option.replaceWith(replacement);
+    updatePreview();
+    if (replacement.classList.contains('selected')) {
+        saveSelection(replacement);
+    }
+}
+
+// Use a finding's suggestion in a generated option, then re-check and re-measure the new text
+async function applySuggestionToOption(option, finding) {
+    const text = applySuggestion(option.querySelector('.metadata-text').textContent, finding);
+    const section = sectionsByPrefix[option.dataset.id.split('-')[0]];
+    
+    try {
+        const compliance = await checkCompliance(text, lastFormData || {}, section);
+        replaceOption(option, createMetadataOption(text, option.dataset.id, compliance, compliance.fit, option.dataset.source));
+    } catch (error) {
+        console.error('Error applying suggestion:', error);
+        alert('Error applying suggestion. Please try again.');
+    }
+}
+
+// Record the selected option against the stored history run
+async function saveSelection(option) {
+    if (!currentHistoryId) {
+        return;
+    }
+    
+    const [prefix, index] = option.dataset.id.split('-');
+    const selection = {
+        [sectionsByPrefix[prefix]]: {
+            index: Number(index),
+            text: option.querySelector('.metadata-text').textContent
+        }
+    };
+    
+    try {
+        await fetch(`/api/history/${currentHistoryId}/selection`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ selection })
+        });
+    } catch (error) {
+        console.error('Error saving selection:', error);
+    }
+}
+
+// Load a stored run back into the form and results view
+async function restoreRun(id) {
+    try {
+        const response = await fetch(`/api/history/${encodeURIComponent(id)}`);
+        const run = await response.json();
+        if (!response.ok) {
+            throw new Error(run.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        contentTypeSelect.value = run.contentType || '';
+        contentTextarea.value = run.content;
+        targetAudienceInput.value = run.targetAudience || '';
+        toneSelect.value = run.tone || toneSelect.value;
+        clientInput.value = run.result.client || '';
+        // Runs from before settings were recorded keep the current settings
+        if (run.result.settings) {
+            applySettings(run.result.settings);
+        }
+        charCountSpan.textContent = contentTextarea.value.length.toLocaleString();
+        checkContent();
+        
+        lastFormData = {
+            contentType: contentTypeSelect.value,
+            content: contentTextarea.value,
+            targetAudience: targetAudienceInput.value,
+            tone: toneSelect.value,
+            client: clientInput.value,
+            provider: providerSelect.value,
+            settings: readSettings()
+        };
+        
+        displayResults({ ...run.result, historyId: run.id });
+        
+        // Re-select the chosen options; a regenerated option replaces the one it was generated over.
+        // Its compliance and fit were never stored, so check it again rather than show it as clean.
+        for (const [section, choice] of Object.entries(run.selection)) {
+            const prefix = Object.keys(sectionsByPrefix).find(key => sectionsByPrefix[key] === section);
+            const option = document.querySelector(`.metadata-option[data-id="${prefix}-${choice.index}"]`);
+            if (!option) {
+                continue;
+            }
+            
+            let selected = option;
+            if (option.querySelector('.metadata-text').textContent !== choice.text) {
+                const compliance = await checkCompliance(choice.text, lastFormData, section);
+                selected = createMetadataOption(choice.text, option.dataset.id, compliance, compliance.fit);
+                option.replaceWith(selected);
+            }
+            selected.classList.add('selected');
+        }
+        updatePreview();
+        
+        resultsDiv.style.display = 'block';
+        resultsDiv.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        console.error('Error restoring run:', error);
+        alert(`Could not restore this run: ${error.message}`);
+    }
 }
 
 // Initialize the page
 document.addEventListener('DOMContentLoaded', function() {
     console.log('Metadata Generator initialized');
     
+    loadImportSources();
+    const providersLoaded = loadProviders();
+    
     // Add some sample content for testing
     contentTextarea.value = `Social Security has been a fact of retirement life ever since it was established in 1935. We all think we know how it works, but how much do you really know? Here are nine things that might surprise you.
 
@@ -235,4 +1396,11 @@ You don't have to work long to be eligible. If you were born in 1929 or later, y
     
     // Update character count
     charCountSpan.textContent = contentTextarea.value.length.toLocaleString();
+    checkContent();
+    
+    // Opened from the history page; wait for the providers so the run's settings can be shown
+    const restoreId = new URLSearchParams(window.location.search).get('restore');
+    if (restoreId) {
+        providersLoaded.then(() => restoreRun(restoreId));
+    }
 });
@@ -0,0 +1,113 @@
+// DOM elements
+const userRowsBody = document.getElementById('userRows');
+const userForm = document.getElementById('userForm');
+const newUsernameInput = document.getElementById('newUsername');
+const newDisplayNameInput = document.getElementById('newDisplayName');
+const newPasswordInput = document.getElementById('newPassword');
+const newRoleSelect = document.getElementById('newRole');
+const userStatusDiv = document.getElementById('userStatus');
+
+let availableRoles = [];
+
+// Send a JSON request and throw with the server's message on failure
+async function sendJson(url, method, body) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+}
+
+function roleOptions(selected) {
+    return availableRoles.map(role => (
+        `<option value="${role}"${role === selected ? ' selected' : ''}>${roleLabels[role] || role}</option>`
+    )).join('');
+}
+
+async function loadUsers() {
+    try {
+        const data = await sendJson('/api/users', 'GET');
+        availableRoles = data.roles;
+        newRoleSelect.innerHTML = roleOptions('writer');
+        renderUsers(data.users);
+    } catch (error) {
+        console.error('Error loading users:', error);
+        userStatusDiv.textContent = `Could not load users: ${error.message}`;
+    }
+}
+
+function renderUsers(users) {
+    userRowsBody.innerHTML = '';
+    users.forEach(user => {
+        const row = document.createElement('tr');
+        if (user.disabled) {
+            row.className = 'disabled-user';
+        }
+        row.innerHTML = `
+            <td><strong></strong><br><small></small></td>
+            <td>${user.provider === 'local' ? 'Password' : 'Single sign-on'}</td>
+            <td><select class="role-select">${roleOptions(user.role)}</select></td>
+            <td>${user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}</td>
+            <td>
+                ${user.provider === 'local' ? '<button type="button" class="copy-btn reset-btn">Reset password</button>' : ''}
+                <button type="button" class="copy-btn disable-btn">${user.disabled ? 'Enable' : 'Disable'}</button>
+            </td>
+        `;
+        row.querySelector('strong').textContent = user.displayName;
+        row.querySelector('small').textContent = user.username;
+        
+        row.querySelector('.role-select').addEventListener('change', e => updateUser(user.id, { role: e.target.value }));
+        row.querySelector('.disable-btn').addEventListener('click', () => updateUser(user.id, { disabled: !user.disabled }));
+        const resetBtn = row.querySelector('.reset-btn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                const password = prompt(`New password for ${user.username} (at least 10 characters):`);
+                if (password) {
+                    updateUser(user.id, { password });
+                }
+            });
+        }
+        
+        userRowsBody.appendChild(row);
+    });
+}
+
+async function updateUser(id, changes) {
+    try {
+        await sendJson(`/api/users/${id}`, 'PUT', changes);
+        userStatusDiv.textContent = 'Saved';
+    } catch (error) {
+        console.error('Error updating user:', error);
+        userStatusDiv.textContent = error.message;
+    }
+    loadUsers();
+}
+
+userForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    try {
+        const { user } = await sendJson('/api/users', 'POST', {
+            username: newUsernameInput.value,
+            displayName: newDisplayNameInput.value,
+            password: newPasswordInput.value,
+            role: newRoleSelect.value
+        });
+        userStatusDiv.textContent = `Added ${user.username}`;
+        userForm.reset();
+        loadUsers();
+    } catch (error) {
+        console.error('Error adding user:', error);
+        userStatusDiv.textContent = error.message;
+    }
+});
+
+// Initialize the page
+document.addEventListener('DOMContentLoaded', loadUsers);
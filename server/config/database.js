@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+// SQLite database file, kept in data/ unless DATABASE_PATH says otherwise
+const databasePath = process.env.DATABASE_PATH || path.join(__dirname, '../../data/metadata.db');
+
+// Changes are written to disk this long after the first one, so a burst of writes (such as every
+// request touching its session) costs one file write rather than one each
+const SAVE_DELAY_MS = 1000;
+
+// Schema changes applied in order; PRAGMA user_version records how many have run
+const MIGRATIONS = [
+    `CREATE TABLE generation_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL,
+        content_type TEXT,
+        content TEXT NOT NULL,
+        target_audience TEXT,
+        tone TEXT,
+        source TEXT,
+        result TEXT NOT NULL,
+        selection TEXT
+    );
+    CREATE INDEX generation_runs_created_at ON generation_runs (created_at);`,
+    `CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        display_name TEXT,
+        email TEXT,
+        password_hash TEXT,
+        role TEXT NOT NULL,
+        provider TEXT NOT NULL DEFAULT 'local',
+        subject TEXT,
+        disabled INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        last_login_at TEXT
+    );
+    CREATE UNIQUE INDEX users_provider_subject ON users (provider, subject);
+    CREATE TABLE sessions (
+        sid TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+    );
+    ALTER TABLE generation_runs ADD COLUMN user_id INTEGER REFERENCES users (id);`,
+    `CREATE TABLE compliance_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        list TEXT NOT NULL,
+        term TEXT NOT NULL,
+        normalized TEXT NOT NULL,
+        alternative TEXT,
+        category TEXT,
+        reason TEXT,
+        owner TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        updated_by TEXT
+    );
+    CREATE UNIQUE INDEX compliance_rules_list_normalized ON compliance_rules (list, normalized);`,
+    `CREATE TABLE rule_set_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL,
+        author TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        summary TEXT NOT NULL,
+        rules TEXT NOT NULL
+    );`,
+    `CREATE TABLE reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER REFERENCES generation_runs (id),
+        status TEXT NOT NULL,
+        content_type TEXT,
+        url TEXT,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL,
+        social_copy TEXT NOT NULL,
+        compliance TEXT NOT NULL,
+        rule_set_version INTEGER,
+        author_id INTEGER NOT NULL REFERENCES users (id),
+        reviewer_id INTEGER REFERENCES users (id),
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        submitted_at TEXT,
+        decided_at TEXT
+    );
+    CREATE INDEX reviews_status ON reviews (status);
+    CREATE TABLE review_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        review_id INTEGER NOT NULL REFERENCES reviews (id),
+        user_id INTEGER NOT NULL REFERENCES users (id),
+        action TEXT NOT NULL,
+        status TEXT NOT NULL,
+        comment TEXT,
+        changes TEXT,
+        rule_set_version INTEGER,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX review_events_review ON review_events (review_id);
+    CREATE TABLE notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id),
+        review_id INTEGER REFERENCES reviews (id),
+        message TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        read_at TEXT
+    );
+    CREATE INDEX notifications_user ON notifications (user_id, read_at);`,
+    // Exceptions and allow-lists are JSON arrays of phrases, content types and client names
+    `ALTER TABLE compliance_rules ADD COLUMN exceptions TEXT;
+    ALTER TABLE compliance_rules ADD COLUMN allowed_content_types TEXT;
+    ALTER TABLE compliance_rules ADD COLUMN allowed_clients TEXT;
+    ALTER TABLE reviews ADD COLUMN client TEXT;
+    CREATE TABLE finding_dismissals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id TEXT NOT NULL,
+        text_hash TEXT NOT NULL,
+        text TEXT NOT NULL,
+        match TEXT NOT NULL,
+        justification TEXT NOT NULL,
+        dismissed_by INTEGER NOT NULL REFERENCES users (id),
+        created_at TEXT NOT NULL,
+        UNIQUE (rule_id, text_hash)
+    );`
+];
+
+// Thin wrapper over sql.js that writes the database back to disk shortly after it changes
+class Database {
+    constructor(db, filePath) {
+        this.db = db;
+        this.filePath = filePath;
+        this.inTransaction = false;
+        this.saveTimer = null;
+    }
+
+    all(sql, params = []) {
+        const statement = this.db.prepare(sql);
+        const rows = [];
+        try {
+            statement.bind(params);
+            while (statement.step()) {
+                rows.push(statement.getAsObject());
+            }
+        } finally {
+            statement.free();
+        }
+        return rows;
+    }
+
+    get(sql, params = []) {
+        return this.all(sql, params)[0] || null;
+    }
+
+    // Run a statement and return the id of the inserted row, if any
+    run(sql, params = []) {
+        this.db.run(sql, params);
+        const { id } = this.get('SELECT last_insert_rowid() AS id');
+        this.scheduleSave();
+        return id;
+    }
+
+    // Run several statements atomically, saving once they commit
+    transaction(callback) {
+        this.db.run('BEGIN');
+        this.inTransaction = true;
+        try {
+            const result = callback();
+            this.db.run('COMMIT');
+            this.inTransaction = false;
+            this.scheduleSave();
+            return result;
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            this.inTransaction = false;
+            throw error;
+        }
+    }
+
+    scheduleSave() {
+        // Inside a transaction; transaction() saves once it commits
+        if (this.inTransaction || this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            try {
+                this.save();
+            } catch (error) {
+                console.error('Failed to save the database:', error.message);
+            }
+        }, SAVE_DELAY_MS);
+        // A pending save never keeps the process alive; flush() writes it on the way out
+        this.saveTimer.unref();
+    }
+
+    // Write any change still waiting for its timer
+    flush() {
+        if (this.saveTimer) {
+            this.save();
+        }
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        // Write to a temporary file first so a crash never leaves a half-written database
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, Buffer.from(this.db.export()));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // Each migration commits together with its user_version bump, so a failure part way through
+    // leaves the database at the last version that applied in full
+    migrate() {
+        const { user_version: version } = this.get('PRAGMA user_version');
+        MIGRATIONS.slice(version).forEach((migration, i) => {
+            this.transaction(() => {
+                this.db.exec(migration);
+                this.db.exec(`PRAGMA user_version = ${version + i + 1}`);
+            });
+        });
+        if (version < MIGRATIONS.length) {
+            console.log(`🗄️ Database migrated to version ${MIGRATIONS.length}`);
+        }
+    }
+}
+
+let databasePromise = null;
+
+// Open (and create or migrate) the database once; later calls share the same instance
+function getDatabase() {
+    if (!databasePromise) {
+        databasePromise = initSqlJs().then(SQL => {
+            const data = fs.existsSync(databasePath) ? fs.readFileSync(databasePath) : null;
+            const database = new Database(new SQL.Database(data), databasePath);
+            database.migrate();
+            database.flush();
+            process.once('exit', () => {
+                try {
+                    database.flush();
+                } catch (error) {
+                    console.error('Failed to save the database:', error.message);
+                }
+            });
+            return database;
+        });
+    }
+    return databasePromise;
+}
+
+module.exports = {
+    getDatabase,
+    databasePath
+};
@@ -1,20 +0,0 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-// Initialize Gemini API
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// Get the model (using Gemini 1.5 Flash for better performance)
-const model = genAI.getGenerativeModel({ 
-    model: "gemini-1.5-flash",
-    generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 2048,
-    }
-});
-
-module.exports = {
-    genAI,
-    model
-};
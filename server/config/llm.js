@@ -0,0 +1,61 @@
+// Provider used when a request does not name one: gemini, openai, local or mock
+const defaultProvider = (process.env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+
+// Sampling settings shared by every provider; each maps them onto its own API
+const generationConfig = {
+    temperature: 0.7,
+    topK: 40,
+    topP: 0.95,
+    maxOutputTokens: 2048,
+};
+
+// What a request may ask for in its settings; anything outside these limits is refused
+const settingsLimits = {
+    temperature: { min: 0, max: 1 },
+    variants: { min: 1, max: 10 }
+};
+
+// How many options of each type are generated when a request does not say
+const defaultVariants = {
+    titles: 5,
+    descriptions: 3,
+    socialCopy: 3
+};
+
+// Models a provider may be asked for, from a comma-separated list like "gpt-4o-mini,gpt-4o".
+// The provider's default model is always allowed.
+function modelList(model, list) {
+    const extra = String(list || '').split(',').map(name => name.trim()).filter(Boolean);
+    return [...new Set([model, ...extra])];
+}
+
+function envInt(name, fallback) {
+    const value = Number.parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// How calls to providers are timed out and retried, when a provider's circuit opens after repeated
+// failures and for how long, and how often providers are health-checked in the background (0 turns it off)
+const callPolicy = {
+    timeoutMs: envInt('LLM_TIMEOUT_MS', 30000),
+    retries: envInt('LLM_RETRIES', 2),
+    backoffMs: envInt('LLM_BACKOFF_MS', 500),
+    failureThreshold: Math.max(1, envInt('LLM_FAILURE_THRESHOLD', 3)),
+    cooldownMs: envInt('LLM_COOLDOWN_MS', 30000),
+    maxCooldownMs: envInt('LLM_MAX_COOLDOWN_MS', 10 * 60 * 1000),
+    healthIntervalMs: envInt('LLM_HEALTH_INTERVAL_MS', 60000)
+};
+
+// How many times to re-prompt the model for replacements of options containing red words;
+// GEMINI_COMPLIANCE_RETRIES is the name older deployments set
+const complianceRetries = envInt('LLM_COMPLIANCE_RETRIES', envInt('GEMINI_COMPLIANCE_RETRIES', 2));
+
+module.exports = {
+    defaultProvider,
+    generationConfig,
+    settingsLimits,
+    defaultVariants,
+    modelList,
+    callPolicy,
+    complianceRetries
+};
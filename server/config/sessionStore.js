@@ -0,0 +1,53 @@
+const session = require('express-session');
+const { getDatabase } = require('./database');
+
+// Fallback lifetime for sessions whose cookie has no expiry
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// express-session store that keeps sessions in the SQLite database so sign-ins survive restarts
+class SqliteSessionStore extends session.Store {
+    constructor() {
+        super();
+        this.prune().catch(error => console.error('Failed to prune sessions:', error));
+    }
+
+    get(sid, callback) {
+        getDatabase().then(db => {
+            const row = db.get('SELECT data, expires_at FROM sessions WHERE sid = ?', [sid]);
+            if (!row) {
+                return callback(null, null);
+            }
+            if (row.expires_at < Date.now()) {
+                db.run('DELETE FROM sessions WHERE sid = ?', [sid]);
+                return callback(null, null);
+            }
+            callback(null, JSON.parse(row.data));
+        }).catch(callback);
+    }
+
+    set(sid, data, callback = () => {}) {
+        const expires = data.cookie && data.cookie.expires ? new Date(data.cookie.expires).getTime() : Date.now() + DEFAULT_TTL_MS;
+        getDatabase().then(db => {
+            db.run(
+                'INSERT OR REPLACE INTO sessions (sid, data, expires_at) VALUES (?, ?, ?)',
+                [sid, JSON.stringify(data), expires]
+            );
+            callback(null);
+        }).catch(callback);
+    }
+
+    destroy(sid, callback = () => {}) {
+        getDatabase().then(db => {
+            db.run('DELETE FROM sessions WHERE sid = ?', [sid]);
+            callback(null);
+        }).catch(callback);
+    }
+
+    // Remove expired sessions left behind by users who never signed out
+    async prune() {
+        const db = await getDatabase();
+        db.run('DELETE FROM sessions WHERE expires_at < ?', [Date.now()]);
+    }
+}
+
+module.exports = SqliteSessionStore;
@@ -0,0 +1,76 @@
+const userService = require('../services/userService');
+
+// Pages anyone can load, so the sign-in screen works before there is a session
+const PUBLIC_PAGES = ['/login.html', '/login.js', '/styles.css'];
+
+// Pages that need more than a signed-in writer
+const PAGE_ROLES = {
+    '/users.html': 'admin',
+    '/rules.html': 'reviewer'
+};
+
+// Look up the signed-in user on every request so role changes and disabled accounts apply straight away
+async function loadUser(req, res, next) {
+    req.user = null;
+    if (!req.session || !req.session.userId) {
+        return next();
+    }
+
+    try {
+        const user = await userService.findById(req.session.userId);
+        if (user && !user.disabled) {
+            req.user = user;
+        } else {
+            delete req.session.userId;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Sign in to continue' });
+    }
+    next();
+}
+
+// Allow the given role and any role above it
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Sign in to continue' });
+        }
+        if (!userService.hasRole(req.user, role)) {
+            return res.status(403).json({ error: 'You do not have permission to do this' });
+        }
+        next();
+    };
+}
+
+// Send signed-out visitors to the sign-in page and keep role-restricted pages from other users
+function protectPages(req, res, next) {
+    if (req.path.startsWith('/api/') || PUBLIC_PAGES.includes(req.path)) {
+        return next();
+    }
+
+    const isPage = req.path === '/' || req.path.endsWith('.html');
+    if (!isPage) {
+        return next();
+    }
+    if (!req.user) {
+        return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    if (PAGE_ROLES[req.path] && !userService.hasRole(req.user, PAGE_ROLES[req.path])) {
+        return res.redirect('/');
+    }
+    next();
+}
+
+module.exports = {
+    loadUser,
+    requireAuth,
+    requireRole,
+    protectPages
+};
@@ -4,8 +4,32 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const bodyParser = require('body-parser');
-const geminiService = require('./services/geminiService');
+const multer = require('multer');
+const session = require('express-session');
+const SqliteSessionStore = require('./config/sessionStore');
+const { loadUser, requireAuth, requireRole, protectPages } = require('./middleware/auth');
+const generationService = require('./services/generationService');
+const providerService = require('./services/providerService');
+const providerHealthService = require('./services/providerHealthService');
+const { resolveSettings } = require('./services/generationSettings');
+const { generationConfig, settingsLimits, defaultVariants } = require('./config/llm');
+const complianceService = require('./services/complianceService');
+const localizationService = require('./services/localizationService');
+const serpFitService = require('./services/serpFitService');
+const exportService = require('./services/exportService');
+const batchService = require('./services/batchService');
+const ingestService = require('./services/ingestService');
+const contentSourceService = require('./services/contentSourceService');
+const historyService = require('./services/historyService');
+const userService = require('./services/userService');
+const authService = require('./services/authService');
+const loginThrottleService = require('./services/loginThrottleService');
+const ruleService = require('./services/ruleService');
+const reviewService = require('./services/reviewService');
+const notificationService = require('./services/notificationService');
+const dismissalService = require('./services/dismissalService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -15,6 +39,34 @@ app.use(cors());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// Sessions are stored in the database; without SESSION_SECRET everyone is signed out on restart
+if (!process.env.SESSION_SECRET) {
+    console.log('⚠️ SESSION_SECRET is not set, sessions will not survive a server restart');
+}
+if (process.env.NODE_ENV === 'production') {
+    app.set('trust proxy', 1);
+}
+app.use(session({
+    name: 'metadata.sid',
+    secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    store: new SqliteSessionStore(),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: Number.parseFloat(process.env.SESSION_HOURS || '12') * 60 * 60 * 1000
+    }
+}));
+app.use(loadUser);
+
+// Uploaded files are kept in memory and parsed straight away
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }
+});
+
 // Add cache-busting headers
 app.use((req, res, next) => {
     res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
@@ -23,6 +75,9 @@ app.use((req, res, next) => {
     next();
 });
 
+// Signed-out visitors only get the sign-in page
+app.use(protectPages);
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
@@ -126,7 +181,7 @@ function formatHashtags(text) {
 }
 
 // Helper function to generate titles
-function generateTitles(content, contentType, targetAudience, tone) {
+function generateTitles(content, contentType, targetAudience, tone, count = 5) {
     const topics = extractKeyTopics(content, 3);
     const mainTopic = ensureCompleteWord(topics[0]) || 'content';
     const secondaryTopic = ensureCompleteWord(topics[1]) || 'strategies';
@@ -371,9 +426,9 @@ function generateTitles(content, contentType, targetAudience, tone) {
     
     let templates = allTemplates[detectedType] || allTemplates[contentType] || allTemplates['article'];
     
-    // Randomly select 5 unique templates
+    // Randomly select up to count unique templates
     const shuffled = templates.sort(() => 0.5 - Math.random());
-    templates = shuffled.slice(0, 5);
+    templates = shuffled.slice(0, count);
     
     // Apply tone-specific modifications
     switch(tone) {
@@ -436,7 +491,7 @@ function generateTitles(content, contentType, targetAudience, tone) {
 }
 
 // Helper function to generate descriptions
-function generateDescriptions(content, contentType, targetAudience, tone) {
+function generateDescriptions(content, contentType, targetAudience, tone, count = 3) {
     const topics = extractKeyTopics(content, 2);
     const mainTopic = ensureCompleteWord(topics[0]) || 'content';
     const secondaryTopic = ensureCompleteWord(topics[1]) || 'information';
@@ -588,9 +643,9 @@ function generateDescriptions(content, contentType, targetAudience, tone) {
     
     let templates = allTemplates[detectedType] || allTemplates[contentType] || allTemplates['article'];
     
-    // Randomly select 3 unique templates
+    // Randomly select up to count unique templates
     const shuffled = templates.sort(() => 0.5 - Math.random());
-    templates = shuffled.slice(0, 3);
+    templates = shuffled.slice(0, count);
     
     // Apply tone-specific modifications
     switch(tone) {
@@ -640,7 +695,7 @@ function generateDescriptions(content, contentType, targetAudience, tone) {
 }
 
 // Helper function to generate social copy
-function generateSocialCopy(content, contentType, targetAudience, tone) {
+function generateSocialCopy(content, contentType, targetAudience, tone, count = 3) {
     const topics = extractKeyTopics(content, 2);
     const mainTopic = ensureCompleteWord(topics[0]) || 'content';
     const secondaryTopic = ensureCompleteWord(topics[1]) || 'strategies';
@@ -812,9 +867,9 @@ function generateSocialCopy(content, contentType, targetAudience, tone) {
     
     let templates = allTemplates[detectedType] || allTemplates[contentType] || allTemplates['article'];
     
-    // Randomly select 3 unique templates
+    // Randomly select up to count unique templates
     const shuffled = templates.sort(() => 0.5 - Math.random());
-    templates = shuffled.slice(0, 3);
+    templates = shuffled.slice(0, count);
     
     // Apply tone-specific modifications
     switch(tone) {
@@ -885,91 +940,995 @@ function generateSocialCopy(content, contentType, targetAudience, tone) {
     return templates;
 }
 
+// Helper function to check that request content is text worth generating from
+function hasContent(content) {
+    return typeof content === 'string' && content.trim().length > 0;
+}
+
+// Template generators for each metadata section
+const sectionGenerators = {
+    titles: generateTitles,
+    descriptions: generateDescriptions,
+    socialCopy: generateSocialCopy
+};
+
+// Helper function to generate, fit and compliance-check metadata for one piece of content.
+// client is optional and only selects which rule allow-lists apply; provider defaults to the server's,
+// and settings to that provider's model, temperature and variant counts. stream holds the hooks and abort
+// signal for streaming generation (see generationService.generateMetadata).
+async function generateMetadata(contentType, content, targetAudience, tone, client, provider = providerService.get(), settings = resolveSettings(null, provider), stream = {}) {
+    // Template fallback for one section, used wherever the language model could not produce it
+    const templateFallback = section => {
+        console.log(`🔄 Using template fallback for ${section}`);
+        return sectionGenerators[section](content, contentType, targetAudience, tone, settings.variants[section]);
+    };
+    
+    // Try the language model first, falling back to templates section by section
+    const result = await generationService.generateMetadata(
+        content, 
+        contentType, 
+        targetAudience, 
+        tone, 
+        templateFallback,
+        provider,
+        settings,
+        { ...stream, client }
+    );
+    
+    // Add warnings array if not present
+    if (!result.warnings) {
+        result.warnings = [];
+    }
+    
+    // Template output is never auto-repaired or rewritten
+    if (!result.repairs) {
+        result.repairs = [];
+    }
+    if (!result.rewrites) {
+        result.rewrites = [];
+    }
+    
+    // Measure each option and trim anything that would still be truncated
+    result.fit = serpFitService.fitMetadata(result);
+    
+    // Echo the settings used so the run can be repeated
+    result.settings = settings;
+    
+    // Check each generated option so writers can see which variants are safe to publish
+    result.client = client || null;
+    result.compliance = complianceService.checkMetadata(result, { contentType, client });
+    result.ruleSetVersion = complianceService.version;
+    
+    return result;
+}
+
+// Helper function to read the fields shared by the generate endpoints, importing the content from a
+// linked document when none was pasted. Throws with a message fit for the user on bad input.
+async function readGenerateRequest(body) {
+    const { contentType, targetAudience, tone, source, reference } = body;
+    const client = typeof body.client === 'string' ? body.client.trim() : '';
+    let { content } = body;
+    
+    const provider = providerService.get(body.provider);
+    const settings = resolveSettings(body.settings, provider);
+    
+    // Generation can start from a linked document instead of pasted content
+    if (!content && source) {
+        try {
+            ({ content } = await contentSourceService.load(source, reference));
+        } catch (error) {
+            throw new Error(`Could not import content: ${error.message}`);
+        }
+    }
+    
+    if (!hasContent(content)) {
+        throw new Error('Content is required');
+    }
+    
+    return { contentType, content, targetAudience, tone, client, provider, settings };
+}
+
+// Helper function to keep a history of every run; a storage problem should not lose the generated options
+async function saveRun(user, request, result) {
+    try {
+        return await historyService.save({
+            contentType: request.contentType,
+            content: request.content,
+            targetAudience: request.targetAudience,
+            tone: request.tone,
+            result,
+            userId: user.id
+        });
+    } catch (error) {
+        console.error('⚠️ Could not save generation history:', error.message);
+        return null;
+    }
+}
+
+// Helper function to start a fresh session for a signed-in user
+function signIn(req, user) {
+    return new Promise((resolve, reject) => {
+        const returnTo = req.session.returnTo;
+        // A new session id on sign-in stops a session fixed before login from being reused
+        req.session.regenerate(error => {
+            if (error) {
+                return reject(error);
+            }
+            req.session.userId = user.id;
+            req.session.save(saveError => (saveError ? reject(saveError) : resolve(returnTo)));
+        });
+    }).then(async returnTo => {
+        await userService.recordLogin(user.id);
+        return returnTo;
+    });
+}
+
+// Only same-site paths are accepted as places to return to after signing in
+function safeReturnPath(value) {
+    return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/';
+}
+
+// API endpoint listing the ways users can sign in
+app.get('/api/auth/providers', (req, res) => {
+    res.json({ providers: authService.list() });
+});
+
+// API endpoint for signing in with a username and password
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { provider: providerName = 'local', username, password } = req.body;
+        
+        let provider;
+        try {
+            provider = authService.get(providerName, 'password');
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const retryAfter = loginThrottleService.retryAfter(req.ip, username);
+        if (retryAfter > 0) {
+            const minutes = Math.ceil(retryAfter / 60);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.` });
+        }
+        
+        const user = await provider.authenticate({ username, password });
+        if (!user) {
+            loginThrottleService.recordFailure(req.ip, username);
+            return res.status(401).json({ error: 'Incorrect username or password' });
+        }
+        
+        loginThrottleService.recordSuccess(req.ip, username);
+        await signIn(req, user);
+        console.log(`🔐 ${user.username} signed in`);
+        res.json({ user });
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).json({ error: 'Failed to sign in' });
+    }
+});
+
+// API endpoint that starts sign-in with an external identity provider
+app.get('/api/auth/:provider/login', async (req, res) => {
+    try {
+        const provider = authService.get(req.params.provider, 'redirect');
+        req.session.returnTo = safeReturnPath(req.query.next);
+        res.redirect(await provider.getAuthorizationUrl(req.session));
+    } catch (error) {
+        console.error('Error starting sign-in:', error.message);
+        res.redirect(`/login.html?error=${encodeURIComponent(error.message)}`);
+    }
+});
+
+// API endpoint the identity provider sends users back to
+app.get('/api/auth/:provider/callback', async (req, res) => {
+    try {
+        const provider = authService.get(req.params.provider, 'redirect');
+        const user = await provider.handleCallback(req);
+        if (!user || user.disabled) {
+            return res.redirect(`/login.html?error=${encodeURIComponent('This account is not allowed to sign in')}`);
+        }
+        
+        const returnTo = await signIn(req, user);
+        console.log(`🔐 ${user.username} signed in with ${provider.label}`);
+        res.redirect(safeReturnPath(returnTo));
+    } catch (error) {
+        console.error('Error completing sign-in:', error.message);
+        res.redirect(`/login.html?error=${encodeURIComponent('Sign-in failed, please try again')}`);
+    }
+});
+
+// API endpoint for signing out
+app.post('/api/auth/logout', (req, res) => {
+    req.session.destroy(error => {
+        if (error) {
+            console.error('Error signing out:', error);
+            return res.status(500).json({ error: 'Failed to sign out' });
+        }
+        res.clearCookie('metadata.sid');
+        res.json({ success: true });
+    });
+});
+
+// API endpoint for the signed-in user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({ user: req.user, roles: userService.roles });
+});
+
+// API endpoint reporting whether each AI provider is answering; open to monitoring without signing in,
+// so it leaves out error messages and models
+app.get('/api/health', (req, res) => {
+    res.json(providerHealthService.summary());
+});
+
+// Every other API endpoint needs a signed-in user
+app.use('/api', (req, res, next) => {
+    if (req.path.startsWith('/auth/')) {
+        return next();
+    }
+    requireAuth(req, res, next);
+});
+
+// API endpoint with each provider's last error, models and latest check
+app.get('/api/health/providers', (req, res) => {
+    res.json(providerHealthService.health());
+});
+
+// API endpoint listing user accounts
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ users: await userService.list(), roles: userService.roles });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({ error: 'Failed to list users' });
+    }
+});
+
+// API endpoint for creating a local account
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    let user;
+    try {
+        user = await userService.createLocal(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    console.log(`✅ ${req.user.username} created account ${user.username} (${user.role})`);
+    res.status(201).json({ user });
+});
+
+// API endpoint for changing a user's role, name, password or disabled flag
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+    const { role, displayName, password, disabled } = req.body;
+    
+    // Admins cannot lock themselves out
+    if (Number(req.params.id) === req.user.id && ((role && role !== 'admin') || disabled)) {
+        return res.status(400).json({ error: 'You cannot remove your own admin access' });
+    }
+    
+    let user;
+    try {
+        user = await userService.update(req.params.id, { role, displayName, password, disabled });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({ user });
+});
+
+// API endpoint listing compliance rules, optionally filtered by list or keyword
+app.get('/api/rules', requireRole('reviewer'), async (req, res) => {
+    try {
+        const { list, q } = req.query;
+        res.json({
+            rules: await ruleService.list({ list, q }),
+            lists: ruleService.lists,
+            contentTypes: ruleService.contentTypes,
+            version: complianceService.version
+        });
+    } catch (error) {
+        console.error('Error listing rules:', error);
+        res.status(500).json({ error: 'Failed to list rules' });
+    }
+});
+
+// API endpoint for adding a compliance rule; takes effect immediately
+app.post('/api/rules', requireRole('admin'), async (req, res) => {
+    try {
+        const rule = await ruleService.create(req.body, req.user);
+        console.log(`📝 ${req.user.username} added ${rule.list} rule "${rule.term}"`);
+        res.status(201).json({ rule });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API endpoint for editing, moving between lists, or disabling a compliance rule
+app.put('/api/rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const rule = await ruleService.update(req.params.id, req.body, req.user);
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        
+        console.log(`📝 ${req.user.username} updated ${rule.list} rule "${rule.term}"`);
+        res.json({ rule });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API endpoint for deleting a compliance rule
+app.delete('/api/rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const rule = await ruleService.remove(req.params.id, req.body.changeReason, req.user);
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        
+        console.log(`📝 ${req.user.username} deleted ${rule.list} rule "${rule.term}"`);
+        res.json({ rule });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API endpoint listing every version of the rule set, newest first
+app.get('/api/rules/versions', requireRole('reviewer'), async (req, res) => {
+    try {
+        res.json({
+            versions: await ruleService.listVersions(),
+            current: complianceService.version
+        });
+    } catch (error) {
+        console.error('Error listing rule versions:', error);
+        res.status(500).json({ error: 'Failed to list rule versions' });
+    }
+});
+
+// API endpoint comparing two versions of the rule set
+app.get('/api/rules/versions/diff', requireRole('reviewer'), async (req, res) => {
+    const from = Number.parseInt(req.query.from, 10);
+    const to = Number.parseInt(req.query.to || complianceService.version, 10);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+        return res.status(400).json({ error: 'Give the versions to compare as from and to' });
+    }
+    
+    try {
+        res.json(await ruleService.diff(from, to));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// API endpoint for the full rule set in force at a version
+app.get('/api/rules/versions/:version', requireRole('reviewer'), async (req, res) => {
+    try {
+        const version = await ruleService.getVersion(req.params.version);
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+        
+        res.json(version);
+    } catch (error) {
+        console.error('Error loading rule version:', error);
+        res.status(500).json({ error: 'Failed to load rule version' });
+    }
+});
+
+// API endpoint for restoring the rules of an earlier version
+app.post('/api/rules/versions/:version/rollback', requireRole('admin'), async (req, res) => {
+    try {
+        const version = await ruleService.rollback(req.params.version, req.body.changeReason, req.user);
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+        
+        console.log(`⏪ ${req.user.username} rolled the rules back to version ${req.params.version}`);
+        res.json(version);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // API endpoint for metadata generation
 app.post('/api/generate', async (req, res) => {
     try {
-        const { contentType, content, targetAudience, tone } = req.body;
+        let request;
+        try {
+            request = await readGenerateRequest(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const { contentType, content, targetAudience, tone, client, provider, settings } = request;
+        const result = await generateMetadata(contentType, content, targetAudience, tone, client, provider, settings);
+        result.historyId = await saveRun(req.user, request, result);
+        
+        res.json(result);
+    } catch (error) {
+        console.error('Error generating metadata:', error);
+        res.status(500).json({ error: 'Failed to generate metadata' });
+    }
+});
+
+// Streaming version of /api/generate using Server-Sent Events. Sends an "option" event for each option
+// as the model writes it, a "section" event with the options and provenance of each finished section,
+// then a "result" event with the same body /api/generate returns. Closing the connection cancels the run.
+app.post('/api/generate/stream', async (req, res) => {
+    let request;
+    try {
+        request = await readGenerateRequest(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    
+    // The response only closes before it ends when the browser goes away or cancels
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+    
+    const { contentType, content, targetAudience, tone, client, provider, settings } = request;
+    try {
+        const result = await generateMetadata(contentType, content, targetAudience, tone, client, provider, settings, {
+            signal: controller.signal,
+            onOption: (section, index, text) => send('option', { section, index, text }),
+            onSection: (section, options, provenance) => send('section', { section, options, provenance })
+        });
+        
+        if (controller.signal.aborted) {
+            console.log('🛑 Streaming generation cancelled');
+            return;
+        }
+        
+        result.historyId = await saveRun(req.user, request, result);
+        send('result', result);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log('🛑 Streaming generation cancelled');
+            return;
+        }
+        console.error('Error streaming metadata:', error);
+        send('error', { error: 'Failed to generate metadata' });
+    }
+    res.end();
+});
+
+// Writers only see their own runs; reviewers and admins see everyone's
+function canAccessRun(user, run) {
+    return userService.hasRole(user, 'reviewer') || run.userId === user.id;
+}
+
+// API endpoint for searching past generation runs
+app.get('/api/history', async (req, res) => {
+    try {
+        const { q, from, to, contentType, page, pageSize } = req.query;
+        const userId = userService.hasRole(req.user, 'reviewer') ? null : req.user.id;
+        res.json(await historyService.search({ q, from, to, contentType, userId, page, pageSize }));
+    } catch (error) {
+        console.error('Error searching history:', error);
+        res.status(500).json({ error: 'Failed to search history' });
+    }
+});
+
+// API endpoint for loading one run so it can be restored into the results view
+app.get('/api/history/:id', async (req, res) => {
+    try {
+        const run = await historyService.get(req.params.id);
+        if (!run || !canAccessRun(req.user, run)) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        
+        res.json(run);
+    } catch (error) {
+        console.error('Error loading history:', error);
+        res.status(500).json({ error: 'Failed to load run' });
+    }
+});
+
+// API endpoint for recording the options the user selected in a run
+app.put('/api/history/:id/selection', async (req, res) => {
+    try {
+        const { selection } = req.body;
+        if (!selection || typeof selection !== 'object') {
+            return res.status(400).json({ error: 'Selection is required' });
+        }
+        
+        const run = await historyService.get(req.params.id);
+        if (!run || !canAccessRun(req.user, run)) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        
+        const saved = await historyService.updateSelection(req.params.id, selection);
+        if (!saved) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        
+        res.json({ selection: saved });
+    } catch (error) {
+        console.error('Error saving selection:', error);
+        res.status(500).json({ error: 'Failed to save selection' });
+    }
+});
+
+// Reply with the status a review error carries, or a 500 for anything unexpected
+function sendReviewError(res, error, failure) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Error: ${failure}:`, error);
+    res.status(500).json({ error: `Failed to ${failure}` });
+}
+
+// API endpoint listing reviews; reviewers see everyone's, writers only their own
+app.get('/api/reviews', async (req, res) => {
+    try {
+        const { status, mine } = req.query;
+        res.json(await reviewService.list({ status, mine: mine === 'true' }, req.user));
+    } catch (error) {
+        sendReviewError(res, error, 'list reviews');
+    }
+});
+
+// API endpoint for saving selected options as a review draft, or submitting them straight away
+app.post('/api/reviews', async (req, res) => {
+    try {
+        const review = await reviewService.create(req.body, req.user);
+        console.log(`📝 ${req.user.username} ${review.status === 'draft' ? 'saved review draft' : 'submitted review'} #${review.id}`);
+        res.status(201).json({ review });
+    } catch (error) {
+        sendReviewError(res, error, 'create review');
+    }
+});
+
+// API endpoint for one review with its timeline
+app.get('/api/reviews/:id', async (req, res) => {
+    try {
+        res.json({ review: await reviewService.get(req.params.id, req.user) });
+    } catch (error) {
+        sendReviewError(res, error, 'load review');
+    }
+});
+
+// API endpoint for editing the texts under review
+app.put('/api/reviews/:id', async (req, res) => {
+    try {
+        res.json({ review: await reviewService.update(req.params.id, req.body, req.user) });
+    } catch (error) {
+        sendReviewError(res, error, 'update review');
+    }
+});
+
+// API endpoint for sending a draft or rejected item to the reviewers
+app.post('/api/reviews/:id/submit', async (req, res) => {
+    try {
+        res.json({ review: await reviewService.submit(req.params.id, req.body, req.user) });
+    } catch (error) {
+        sendReviewError(res, error, 'submit review');
+    }
+});
+
+// API endpoint for approving or rejecting an item in review
+app.post('/api/reviews/:id/decision', requireRole('reviewer'), async (req, res) => {
+    try {
+        const review = await reviewService.decide(req.params.id, req.body, req.user);
+        console.log(`✅ ${req.user.username} ${review.status} review #${review.id}`);
+        res.json({ review });
+    } catch (error) {
+        sendReviewError(res, error, 'record decision');
+    }
+});
+
+// API endpoint for dismissing one finding on an item in review
+app.post('/api/reviews/:id/dismissals', requireRole('reviewer'), async (req, res) => {
+    try {
+        res.json({ review: await reviewService.dismissFinding(req.params.id, req.body, req.user) });
+    } catch (error) {
+        sendReviewError(res, error, 'dismiss finding');
+    }
+});
+
+// API endpoint for adding a comment to a review's timeline
+app.post('/api/reviews/:id/comments', async (req, res) => {
+    try {
+        res.json({ review: await reviewService.comment(req.params.id, req.body, req.user) });
+    } catch (error) {
+        sendReviewError(res, error, 'add comment');
+    }
+});
+
+// API endpoint for downloading the approval record as JSON or CSV
+app.get('/api/reviews/:id/record', async (req, res) => {
+    try {
+        const { format = 'json' } = req.query;
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be csv or json' });
+        }
         
-        // Template fallback function
+        const record = await reviewService.getRecord(req.params.id, req.user);
+        res.set('Content-Disposition', `attachment; filename="review-${record.id}.${format}"`);
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            return res.send(reviewService.recordToCsv(record));
+        }
+        res.json(record);
+    } catch (error) {
+        sendReviewError(res, error, 'export approval record');
+    }
+});
+
+// API endpoint for the signed-in user's notifications
+app.get('/api/notifications', async (req, res) => {
+    try {
+        res.json(await notificationService.list(req.user.id));
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+        res.status(500).json({ error: 'Failed to load notifications' });
+    }
+});
+
+// API endpoint for marking notifications as read; without ids, marks them all
+app.post('/api/notifications/read', async (req, res) => {
+    try {
+        const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number).filter(Number.isInteger) : null;
+        await notificationService.markRead(req.user.id, ids);
+        res.json(await notificationService.list(req.user.id));
+    } catch (error) {
+        console.error('Error updating notifications:', error);
+        res.status(500).json({ error: 'Failed to update notifications' });
+    }
+});
+
+// API endpoint for starting a batch from an uploaded CSV or JSON file
+app.post('/api/batch', upload.single('file'), async (req, res) => {
+    let items;
+    try {
+        if (req.file) {
+            items = batchService.parseFile(req.file.buffer, req.file.originalname);
+        } else if (Array.isArray(req.body.items)) {
+            items = batchService.normalizeItems(req.body.items);
+        } else {
+            return res.status(400).json({ error: 'Upload a CSV or JSON file of items' });
+        }
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read batch: ${error.message}` });
+    }
+    
+    // One provider and one set of settings for the whole batch
+    let provider;
+    let settings;
+    try {
+        provider = providerService.get(req.body.provider);
+        settings = resolveSettings(req.body.settings, provider);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        // Each item is kept in history like a single run
+        const job = batchService.createJob(items, async item => {
+            const result = await generateMetadata(
+                item.contentType,
+                item.content,
+                item.targetAudience,
+                item.tone,
+                item.client,
+                provider,
+                settings
+            );
+            result.historyId = await saveRun(req.user, item, result);
+            return result;
+        }, req.user.id);
+        
+        res.status(202).json(batchService.getStatus(job));
+    } catch (error) {
+        console.error('Error starting batch:', error);
+        res.status(500).json({ error: 'Failed to start batch' });
+    }
+});
+
+// API endpoint for batch progress
+app.get('/api/batch/:id', (req, res) => {
+    const job = batchService.getJob(req.params.id);
+    if (!job || !batchService.canView(job, req.user)) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    res.json(batchService.getStatus(job));
+});
+
+// API endpoint for downloading batch results
+app.get('/api/batch/:id/results', (req, res) => {
+    const job = batchService.getJob(req.params.id);
+    if (!job || !batchService.canView(job, req.user)) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    if (req.query.format === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="batch-${job.id}.csv"`);
+        return res.send(batchService.toCsv(job));
+    }
+    
+    res.set('Content-Disposition', `attachment; filename="batch-${job.id}.json"`);
+    res.json(batchService.toJson(job));
+});
+
+// API endpoint for regenerating a single option
+app.post('/api/regenerate', async (req, res) => {
+    try {
+        const { section, index, contentType, content, targetAudience, tone, hint, client } = req.body;
+        const existing = Array.isArray(req.body.existing) ? req.body.existing : [];
+        
+        if (!sectionGenerators[section]) {
+            return res.status(400).json({ error: 'Section must be titles, descriptions or socialCopy' });
+        }
+        
+        if (!hasContent(content)) {
+            return res.status(400).json({ error: 'Content is required' });
+        }
+        
+        let provider;
+        let settings;
+        try {
+            provider = providerService.get(req.body.provider);
+            settings = resolveSettings(req.body.settings, provider);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        // Template fallback picks a template the writer is not already looking at
         const templateFallback = () => {
-            console.log('🔄 Using template fallback for metadata generation');
+            const templates = sectionGenerators[section](content, contentType, targetAudience, tone);
+            const unused = templates.filter(template => !existing.includes(template));
+            const candidates = unused.length > 0 ? unused : templates;
             return {
-                titles: generateTitles(content, contentType, targetAudience, tone),
-                descriptions: generateDescriptions(content, contentType, targetAudience, tone),
-                socialCopy: generateSocialCopy(content, contentType, targetAudience, tone),
-                warnings: []
+                text: candidates[Math.floor(Math.random() * candidates.length)],
+                repair: null
             };
         };
         
-        // Try Gemini first, fallback to templates if needed
-        const result = await geminiService.generateMetadata(
-            content, 
-            contentType, 
-            targetAudience, 
-            tone, 
-            templateFallback
+        const result = await generationService.regenerateOption(
+            section,
+            content,
+            contentType,
+            targetAudience,
+            tone,
+            hint,
+            existing,
+            templateFallback,
+            provider,
+            settings,
+            { client }
         );
         
-        // Add warnings array if not present
-        if (!result.warnings) {
-            result.warnings = [];
-        }
+        const { text, fit } = serpFitService.fitOption(result.text, section);
         
-        // Simulate processing time for consistency
-        await new Promise(resolve => setTimeout(resolve, 800));
+        res.json({
+            section,
+            index,
+            text,
+            fit,
+            repair: result.repair,
+            provenance: result.provenance,
+            settings,
+            compliance: complianceService.check(text, { contentType, client })
+        });
+    } catch (error) {
+        console.error('Error regenerating option:', error);
+        res.status(500).json({ error: 'Failed to regenerate option' });
+    }
+});
+
+// API endpoint listing the AI providers metadata can be generated with, and the limits on request settings
+app.get('/api/providers', (req, res) => {
+    res.json({
+        providers: providerService.list(),
+        limits: settingsLimits,
+        defaults: { temperature: generationConfig.temperature, variants: defaultVariants }
+    });
+});
+
+// API endpoint listing the document sources content can be imported from
+app.get('/api/sources', (req, res) => {
+    res.json({ sources: contentSourceService.list() });
+});
+
+// API endpoint for importing content from a URL or an uploaded HTML, DOCX or PDF file
+app.post('/api/ingest', upload.single('file'), async (req, res) => {
+    try {
+        let result;
+        if (req.file) {
+            result = await ingestService.ingestFile(req.file.buffer, req.file.originalname, req.file.mimetype);
+        } else if (req.body.source) {
+            result = await contentSourceService.load(req.body.source, req.body.reference);
+        } else if (req.body.url) {
+            result = await ingestService.ingestUrl(String(req.body.url).trim());
+        } else {
+            return res.status(400).json({ error: 'Provide a URL or upload an HTML, DOCX or PDF file' });
+        }
         
         res.json(result);
     } catch (error) {
-        console.error('Error generating metadata:', error);
-        res.status(500).json({ error: 'Failed to generate metadata' });
+        console.error('Error importing content:', error.message);
+        res.status(400).json({ error: `Could not import content: ${error.message}` });
     }
 });
 
-// API endpoint for compliance checking
+// API endpoint for compliance checking. With a section (titles, descriptions or socialCopy) the
+// text is also measured, so an edited option can be shown with its fit.
 app.post('/api/compliance/check', async (req, res) => {
     try {
-        const { content } = req.body;
+        const { content, contentType, client, section } = req.body;
         
-        // Load prohibited words
-        const prohibitedWords = require('../data/prohibited-words.json');
-        const warnings = [];
+        const { findings, dismissed, summary, ruleSetVersion } = complianceService.check(content, { contentType, client });
         
-        // Check for red words
-        const redWordsFound = prohibitedWords.red_words.filter(word => 
-            content.toLowerCase().includes(word.toLowerCase())
-        );
+        res.json({
+            findings,
+            dismissed,
+            summary,
+            ruleSetVersion,
+            warnings: complianceService.formatWarnings(findings),
+            fit: serpFitService.hasSection(section) ? { ...serpFitService.measure(String(content || ''), section), trimmed: false } : null
+        });
+    } catch (error) {
+        console.error('Error checking compliance:', error);
+        res.status(500).json({ error: 'Failed to check compliance' });
+    }
+});
+
+// API endpoint listing dismissed findings, optionally filtered by keyword
+app.get('/api/compliance/dismissals', requireRole('reviewer'), async (req, res) => {
+    try {
+        res.json({ dismissals: await dismissalService.list({ q: req.query.q }) });
+    } catch (error) {
+        console.error('Error listing dismissals:', error);
+        res.status(500).json({ error: 'Failed to list dismissals' });
+    }
+});
+
+// API endpoint for dismissing one finding in one exact text, with a justification
+app.post('/api/compliance/dismissals', requireRole('reviewer'), async (req, res) => {
+    try {
+        const dismissal = await dismissalService.create(req.body, req.user);
+        console.log(`📝 ${req.user.username} dismissed ${dismissal.ruleId} in "${dismissal.text}"`);
+        res.status(201).json({ dismissal });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API endpoint for withdrawing a dismissal so the finding is raised again
+app.delete('/api/compliance/dismissals/:id', requireRole('reviewer'), async (req, res) => {
+    try {
+        const dismissal = await dismissalService.remove(req.params.id);
+        if (!dismissal) {
+            return res.status(404).json({ error: 'Dismissal not found' });
+        }
+        
+        console.log(`📝 ${req.user.username} withdrew the dismissal of ${dismissal.ruleId} in "${dismissal.text}"`);
+        res.json({ dismissal });
+    } catch (error) {
+        console.error('Error removing dismissal:', error);
+        res.status(500).json({ error: 'Failed to remove dismissal' });
+    }
+});
+
+// API endpoint for Canadian localization
+app.post('/api/localize', async (req, res) => {
+    try {
+        const { content, metadata, rewrite } = req.body;
         
-        if (redWordsFound.length > 0) {
-            warnings.push(`Red words found: ${redWordsFound.join(', ')}`);
+        let provider;
+        try {
+            provider = providerService.get(req.body.provider);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
         }
+        const options = { rewrite: Boolean(rewrite), provider };
         
-        // Check for yellow words
-        const yellowWordsFound = prohibitedWords.yellow_words.filter(word => 
-            content.toLowerCase().includes(word.toLowerCase())
-        );
+        if (metadata && typeof metadata === 'object') {
+            const localized = await localizationService.localizeMetadata(metadata, options);
+            return res.json({ metadata: localized });
+        }
         
-        if (yellowWordsFound.length > 0) {
-            warnings.push(`Yellow words found: ${yellowWordsFound.join(', ')}`);
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ error: 'Content or metadata is required' });
         }
         
-        // Check for US-specific terms
-        const usTermsFound = prohibitedWords.us_specific_terms.filter(term => 
-            content.toLowerCase().includes(term.toLowerCase())
-        );
+        const result = await localizationService.localize(content, options);
+        res.json(result);
+    } catch (error) {
+        console.error('Error localizing content:', error);
+        res.status(500).json({ error: 'Failed to localize content' });
+    }
+});
+
+// API endpoint for exporting the selected metadata
+app.post('/api/export', async (req, res) => {
+    try {
+        const { format = 'snippet', ...selection } = req.body;
         
-        if (usTermsFound.length > 0) {
-            warnings.push(`US-specific terms found: ${usTermsFound.join(', ')}`);
+        if (!selection.title && !selection.description && !selection.socialCopy) {
+            return res.status(400).json({ error: 'Select at least one option to export' });
         }
         
-        res.json({ warnings });
+        try {
+            exportService.normalize(selection);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        switch (format) {
+            case 'snippet':
+                return res.json(exportService.buildSnippet(selection));
+            case 'csv':
+                res.set('Content-Type', 'text/csv; charset=utf-8');
+                res.set('Content-Disposition', 'attachment; filename="metadata.csv"');
+                return res.send(exportService.toCsv(selection));
+            case 'json':
+                res.set('Content-Disposition', 'attachment; filename="metadata.json"');
+                return res.json(exportService.toJson(selection));
+            default:
+                return res.status(400).json({ error: 'Format must be snippet, csv or json' });
+        }
     } catch (error) {
-        console.error('Error checking compliance:', error);
-        res.status(500).json({ error: 'Failed to check compliance' });
+        console.error('Error exporting metadata:', error);
+        res.status(500).json({ error: 'Failed to export metadata' });
     }
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
-    console.log(`📁 Serving files from: ${path.join(__dirname, '../public')}`);
+// Return JSON for upload errors such as files over the size limit
+app.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        return res.status(400).json({ error: error.message });
+    }
+    next(error);
 });
+
+// Exit through process.exit() on Ctrl+C or a stop signal, so the database writes its pending changes
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, () => process.exit(0));
+});
+
+// Start server once the compliance rules and dismissals are loaded from the database
+ruleService.reload()
+    .then(rules => {
+        console.log(`✅ Loaded rule set version ${rules.version}: ${rules.red_words.length} red, ${rules.yellow_words.length} yellow and ${rules.us_specific_terms.length} US-specific rules`);
+        return dismissalService.load();
+    })
+    .then(dismissals => {
+        console.log(`✅ Loaded ${dismissals.length} dismissed finding(s)`);
+    })
+    .catch(error => {
+        console.error('⚠️ Could not load compliance rules from the database, using prohibited-words.json:', error.message);
+    })
+    .finally(() => {
+        // Health checks run in the background; a provider that is down only means template fallback
+        providerHealthService.start().catch(error => {
+            console.error('⚠️ Could not check AI providers:', error.message);
+        });
+        
+        app.listen(PORT, () => {
+            console.log(`🚀 Server running on http://localhost:${PORT}`);
+            console.log(`📁 Serving files from: ${path.join(__dirname, '../public')}`);
+            
+            userService.ensureAdmin().catch(error => {
+                console.error('Failed to create the admin account:', error.message);
+            });
+        });
+    });
@@ -0,0 +1,21 @@
+const userService = require('../userService');
+
+// Username and password accounts stored in the local database
+class LocalAuthProvider {
+    constructor() {
+        this.name = 'local';
+        this.label = 'Username and password';
+        this.type = 'password';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    // Resolve to the signed-in user, or null when the credentials are wrong
+    async authenticate({ username, password }) {
+        return userService.verifyPassword(username, password);
+    }
+}
+
+module.exports = LocalAuthProvider;
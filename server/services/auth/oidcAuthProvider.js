@@ -0,0 +1,108 @@
+const userService = require('../userService');
+
+// Helper function to read a claim by dotted path, e.g. "realm_access.roles"
+function readClaim(claims, path) {
+    return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+}
+
+// Sign-in through any OpenID Connect identity provider (Okta, Azure AD, Google Workspace, Keycloak...)
+class OidcAuthProvider {
+    // The client can be passed in, e.g. a stub with authorizationUrl/callbackParams/callback, instead of discovering the issuer
+    constructor(client = null) {
+        this.name = 'oidc';
+        this.label = process.env.OIDC_LABEL || 'Single sign-on';
+        this.type = 'redirect';
+        this.client = client;
+        this.clientPromise = null;
+    }
+
+    isConfigured() {
+        return Boolean(this.client || (process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID));
+    }
+
+    get redirectUri() {
+        return process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 3000}/api/auth/oidc/callback`;
+    }
+
+    // Discover the issuer once and reuse the client
+    async getClient() {
+        if (this.client) {
+            return this.client;
+        }
+        if (!this.clientPromise) {
+            const { Issuer } = require('openid-client');
+            this.clientPromise = Issuer.discover(process.env.OIDC_ISSUER).then(issuer => new issuer.Client({
+                client_id: process.env.OIDC_CLIENT_ID,
+                client_secret: process.env.OIDC_CLIENT_SECRET,
+                redirect_uris: [this.redirectUri],
+                response_types: ['code']
+            })).catch(error => {
+                this.clientPromise = null;
+                throw error;
+            });
+        }
+        this.client = await this.clientPromise;
+        return this.client;
+    }
+
+    // Build the identity provider's login URL, keeping the PKCE verifier, state and nonce in the session
+    async getAuthorizationUrl(session) {
+        const { generators } = require('openid-client');
+        const client = await this.getClient();
+        const codeVerifier = generators.codeVerifier();
+        const checks = {
+            codeVerifier,
+            state: generators.state(),
+            nonce: generators.nonce()
+        };
+        session.oidc = checks;
+
+        return client.authorizationUrl({
+            scope: process.env.OIDC_SCOPES || 'openid email profile',
+            code_challenge: generators.codeChallenge(codeVerifier),
+            code_challenge_method: 'S256',
+            state: checks.state,
+            nonce: checks.nonce
+        });
+    }
+
+    // Exchange the authorization code and resolve to the signed-in user
+    async handleCallback(req) {
+        const checks = req.session.oidc;
+        delete req.session.oidc;
+        if (!checks) {
+            throw new Error('Sign-in session expired, please try again');
+        }
+
+        const client = await this.getClient();
+        const tokenSet = await client.callback(this.redirectUri, client.callbackParams(req), {
+            code_verifier: checks.codeVerifier,
+            state: checks.state,
+            nonce: checks.nonce
+        });
+        const claims = tokenSet.claims();
+
+        return userService.upsertExternal(this.name, {
+            subject: claims.sub,
+            username: claims.preferred_username || claims.email,
+            displayName: claims.name,
+            email: claims.email,
+            role: this.mapRole(claims),
+            defaultRole: process.env.OIDC_DEFAULT_ROLE || 'writer'
+        });
+    }
+
+    // Most privileged app role named in the OIDC_ROLE_CLAIM claim, if any
+    mapRole(claims) {
+        if (!process.env.OIDC_ROLE_CLAIM) {
+            return null;
+        }
+
+        const value = readClaim(claims, process.env.OIDC_ROLE_CLAIM);
+        const values = Array.isArray(value) ? value : [value];
+        const matched = userService.roles.filter(role => values.includes(role));
+        return matched.length > 0 ? matched[matched.length - 1] : null;
+    }
+}
+
+module.exports = OidcAuthProvider;
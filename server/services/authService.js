@@ -0,0 +1,38 @@
+const LocalAuthProvider = require('./auth/localAuthProvider');
+const OidcAuthProvider = require('./auth/oidcAuthProvider');
+
+// Registry of the ways users can sign in. Each provider has a name, a label, a type and isConfigured().
+// Password providers implement authenticate(credentials); redirect providers implement
+// getAuthorizationUrl(session) and handleCallback(req). Both resolve to a user or null.
+class AuthService {
+    constructor() {
+        this.providers = new Map();
+        this.register(new LocalAuthProvider());
+        this.register(new OidcAuthProvider());
+    }
+
+    register(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    list() {
+        return [...this.providers.values()]
+            .filter(provider => provider.isConfigured())
+            .map(provider => ({
+                name: provider.name,
+                label: provider.label,
+                type: provider.type
+            }));
+    }
+
+    // Configured provider by name; throws for unknown or unconfigured providers
+    get(name, type) {
+        const provider = this.providers.get(name);
+        if (!provider || !provider.isConfigured() || (type && provider.type !== type)) {
+            throw new Error(`Sign-in method ${name} is not available`);
+        }
+        return provider;
+    }
+}
+
+module.exports = new AuthService();
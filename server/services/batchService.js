@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const exportService = require('./exportService');
+const userService = require('./userService');
+
+// Largest upload accepted in one batch, and how many items are sent to Gemini at once
+const MAX_ITEMS = 200;
+const CONCURRENCY = Number.parseInt(process.env.BATCH_CONCURRENCY || '3', 10);
+
+// Finished jobs are kept in memory for an hour so results can still be downloaded
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// Accepted spellings of each column in uploaded CSV or JSON files
+const FIELD_ALIASES = {
+    id: ['id'],
+    contentType: ['contentType', 'content_type', 'type'],
+    content: ['content', 'text', 'body'],
+    targetAudience: ['targetAudience', 'target_audience', 'audience'],
+    tone: ['tone'],
+    client: ['client', 'client_name']
+};
+
+const SECTION_COLUMNS = [
+    { section: 'titles', prefix: 'title', count: 5 },
+    { section: 'descriptions', prefix: 'description', count: 3 },
+    { section: 'socialCopy', prefix: 'social', count: 3 }
+];
+
+const STATUS_RANK = { clean: 0, yellow: 1, red: 2 };
+
+function pickField(record, field) {
+    const key = FIELD_ALIASES[field].find(alias => record[alias] !== undefined && record[alias] !== null);
+    return key ? String(record[key]).trim() : '';
+}
+
+class BatchService {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    // Read items from an uploaded CSV or JSON file. Throws with a message fit for the user on bad input.
+    parseFile(buffer, filename) {
+        const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+        const isJson = /\.json$/i.test(filename || '') || /^\s*[[{]/.test(text);
+
+        let records;
+        if (isJson) {
+            const parsed = JSON.parse(text);
+            records = Array.isArray(parsed) ? parsed : parsed.items;
+            if (!Array.isArray(records)) {
+                throw new Error('JSON uploads must be an array of items or an object with an "items" array');
+            }
+        } else {
+            records = parse(text, { columns: true, skip_empty_lines: true, trim: true });
+        }
+
+        return this.normalizeItems(records);
+    }
+
+    normalizeItems(records) {
+        if (records.length === 0) {
+            throw new Error('The upload does not contain any items');
+        }
+        if (records.length > MAX_ITEMS) {
+            throw new Error(`Batches are limited to ${MAX_ITEMS} items, this upload has ${records.length}`);
+        }
+
+        const items = records.map((record, index) => ({
+            id: pickField(record, 'id') || String(index + 1),
+            contentType: pickField(record, 'contentType') || 'article',
+            content: pickField(record, 'content'),
+            targetAudience: pickField(record, 'targetAudience'),
+            tone: pickField(record, 'tone'),
+            client: pickField(record, 'client')
+        }));
+
+        const missing = items.filter(item => !item.content).map(item => item.id);
+        if (missing.length > 0) {
+            throw new Error(`Items without content: ${missing.join(', ')}`);
+        }
+
+        return items;
+    }
+
+    // Start generating metadata for every item in the background and return the job, owned by userId
+    createJob(items, generate, userId) {
+        this.pruneJobs();
+
+        const job = {
+            id: crypto.randomUUID(),
+            userId,
+            status: 'running',
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            items: items.map(item => ({ ...item, status: 'pending', result: null, error: null }))
+        };
+        this.jobs.set(job.id, job);
+
+        this.runJob(job, generate).catch(error => {
+            console.error('Batch job failed:', error);
+            job.status = 'failed';
+        });
+
+        return job;
+    }
+
+    async runJob(job, generate) {
+        console.log(`📦 Starting batch ${job.id} with ${job.items.length} item(s)`);
+        let next = 0;
+
+        // Each worker takes the next pending item until none are left
+        const worker = async () => {
+            while (next < job.items.length) {
+                const item = job.items[next++];
+                item.status = 'running';
+                try {
+                    item.result = await generate(item);
+                    item.status = 'completed';
+                } catch (error) {
+                    console.log(`Batch item ${item.id} failed:`, error.message);
+                    item.status = 'failed';
+                    item.error = error.message;
+                }
+            }
+        };
+
+        const workers = Math.max(1, Math.min(CONCURRENCY, job.items.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+
+        job.status = 'completed';
+        job.completedAt = new Date().toISOString();
+        console.log(`✅ Batch ${job.id} completed`);
+    }
+
+    // Expired jobs are dropped as they are read, so they never outlive their hour however rarely batches start
+    getJob(id) {
+        this.pruneJobs();
+        return this.jobs.get(id) || null;
+    }
+
+    // Writers only see their own jobs; reviewers and admins see everyone's
+    canView(job, user) {
+        return job.userId === user.id || userService.hasRole(user, 'reviewer');
+    }
+
+    pruneJobs() {
+        const cutoff = Date.now() - JOB_TTL_MS;
+        this.jobs.forEach((job, id) => {
+            if (job.completedAt && Date.parse(job.completedAt) < cutoff) {
+                this.jobs.delete(id);
+            }
+        });
+    }
+
+    // Worst compliance status across all options generated for an item
+    complianceStatus(result) {
+        let worst = 'clean';
+        Object.values(result.compliance || {}).forEach(checks => {
+            checks.forEach(check => {
+                if (STATUS_RANK[check.summary.status] > STATUS_RANK[worst]) {
+                    worst = check.summary.status;
+                }
+            });
+        });
+        return worst;
+    }
+
+    // Progress view of a job without the generated options
+    getStatus(job) {
+        const counts = { pending: 0, running: 0, completed: 0, failed: 0 };
+        job.items.forEach(item => {
+            counts[item.status]++;
+        });
+
+        return {
+            id: job.id,
+            status: job.status,
+            createdAt: job.createdAt,
+            completedAt: job.completedAt,
+            total: job.items.length,
+            ...counts,
+            items: job.items.map(item => ({
+                id: item.id,
+                contentType: item.contentType,
+                status: item.status,
+                error: item.error,
+                compliance: item.result ? this.complianceStatus(item.result) : null
+            }))
+        };
+    }
+
+    toJson(job) {
+        return {
+            id: job.id,
+            createdAt: job.createdAt,
+            completedAt: job.completedAt,
+            items: job.items.map(item => ({
+                id: item.id,
+                contentType: item.contentType,
+                targetAudience: item.targetAudience,
+                tone: item.tone,
+                status: item.status,
+                error: item.error,
+                complianceStatus: item.result ? this.complianceStatus(item.result) : null,
+                ruleSetVersion: item.result ? item.result.ruleSetVersion : null,
+                result: item.result
+            }))
+        };
+    }
+
+    // One row per item with every option in its own column, where each section came from (ai, template
+    // or failed) and findings listed by option
+    toCsv(job) {
+        // Jobs run with more variants than the defaults get a column for every option
+        const sectionColumns = SECTION_COLUMNS.map(column => ({
+            ...column,
+            count: Math.max(column.count, ...job.items.map(item => ((item.result || {})[column.section] || []).length))
+        }));
+        const sourceColumns = sectionColumns.map(({ prefix }) => `${prefix}_source`);
+        const optionColumns = sectionColumns.flatMap(({ prefix, count }) => (
+            Array.from({ length: count }, (value, i) => `${prefix}_${i + 1}`)
+        ));
+        const columns = ['id', 'content_type', 'status', 'error', 'compliance_status', 'rule_set_version', ...sourceColumns, ...optionColumns, 'findings'];
+
+        const rows = job.items.map(item => {
+            const result = item.result || {};
+            const compliance = result.compliance || {};
+            const sections = result.sections || {};
+            const sources = sectionColumns.map(({ section }) => (sections[section] ? sections[section].source : ''));
+            const options = [];
+            const findings = [];
+
+            sectionColumns.forEach(({ section, prefix, count }) => {
+                for (let i = 0; i < count; i++) {
+                    options.push((result[section] || [])[i] || '');
+                    ((compliance[section] || [])[i] || { findings: [] }).findings.forEach(finding => {
+                        findings.push(`${prefix}_${i + 1}: ${finding.match} (${finding.severity})`);
+                    });
+                }
+            });
+
+            return [
+                item.id,
+                item.contentType,
+                item.status,
+                item.error || '',
+                item.result ? this.complianceStatus(item.result) : '',
+                result.ruleSetVersion || '',
+                ...sources,
+                ...options,
+                findings.join('; ')
+            ];
+        });
+
+        return exportService.formatCsv(columns, rows);
+    }
+}
+
+module.exports = new BatchService();
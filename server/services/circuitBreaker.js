@@ -0,0 +1,115 @@
+// Stops calls to a provider that keeps failing. Closed: calls go through. After failureThreshold
+// failures in a row it opens and refuses calls for a cooldown; then it is half-open and lets a single
+// trial call through. The trial succeeding closes it again; failing reopens it for twice as long.
+class CircuitBreaker {
+    constructor({ failureThreshold, cooldownMs, maxCooldownMs }) {
+        this.failureThreshold = failureThreshold;
+        this.baseCooldownMs = cooldownMs;
+        this.maxCooldownMs = Math.max(cooldownMs, maxCooldownMs);
+        this.cooldownMs = cooldownMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.trialInFlight = false;
+        this.trialWaiters = [];
+        this.openedAt = null;
+        this.retryAt = null;
+        this.lastError = null;
+        this.lastFailureAt = null;
+    }
+
+    // Move an open circuit whose cooldown has passed to half-open
+    refresh() {
+        if (this.state === 'open' && Date.now() >= this.retryAt) {
+            this.state = 'half_open';
+            this.trialInFlight = false;
+        }
+    }
+
+    // True when a call could go ahead now
+    isCallPermitted() {
+        this.refresh();
+        return this.state === 'closed' || (this.state === 'half_open' && !this.trialInFlight);
+    }
+
+    // Claim permission for one call; in half-open state only the first caller gets it
+    acquire() {
+        if (!this.isCallPermitted()) {
+            return false;
+        }
+        if (this.state === 'half_open') {
+            this.trialInFlight = true;
+        }
+        return true;
+    }
+
+    // True while the single half-open trial call is under way
+    isTrialPending() {
+        return this.state === 'half_open' && this.trialInFlight;
+    }
+
+    // Resolves once the trial call in flight has succeeded, failed or been released
+    waitForTrial() {
+        return new Promise(resolve => this.trialWaiters.push(resolve));
+    }
+
+    settleTrial() {
+        this.trialInFlight = false;
+        this.trialWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    // Hand back a claim that ended without a verdict, e.g. a call the caller cancelled
+    release() {
+        this.settleTrial();
+    }
+
+    // Let a trial call through before the cooldown ends, e.g. once a health check passes again
+    allowTrial() {
+        if (this.state === 'open') {
+            this.state = 'half_open';
+            this.trialInFlight = false;
+        }
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.cooldownMs = this.baseCooldownMs;
+        this.openedAt = null;
+        this.retryAt = null;
+        this.settleTrial();
+    }
+
+    recordFailure(error) {
+        this.failures += 1;
+        this.lastError = error.message;
+        this.lastFailureAt = new Date().toISOString();
+
+        if (this.state === 'half_open') {
+            this.open(Math.min(this.cooldownMs * 2, this.maxCooldownMs));
+        } else if (this.state === 'closed' && this.failures >= this.failureThreshold) {
+            this.open(this.baseCooldownMs);
+        }
+    }
+
+    open(cooldownMs) {
+        this.state = 'open';
+        this.cooldownMs = cooldownMs;
+        this.openedAt = new Date().toISOString();
+        this.retryAt = Date.now() + cooldownMs;
+        this.settleTrial();
+    }
+
+    status() {
+        this.refresh();
+        return {
+            state: this.state,
+            consecutiveFailures: this.failures,
+            lastError: this.lastError,
+            lastFailureAt: this.lastFailureAt,
+            openedAt: this.openedAt,
+            retryAt: this.state === 'open' ? new Date(this.retryAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
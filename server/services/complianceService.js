@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const prohibitedWords = require('../../data/prohibited-words.json');
+const { fitReplacement, startsSentence } = require('./wordForms');
+
+// Rule lists in the prohibited words file and how findings from each are reported
+const RULE_CATEGORIES = [
+    { list: 'red_words', category: 'red_word', severity: 'red', label: 'Red words', inflect: 'full' },
+    { list: 'yellow_words', category: 'yellow_word', severity: 'yellow', label: 'Yellow words', inflect: 'full' },
+    { list: 'us_specific_terms', category: 'us_term', severity: 'info', label: 'US-specific terms', inflect: 'plural' }
+];
+
+const EMOJI_CATEGORY = { list: 'prohibited_emojis', category: 'emoji', severity: 'red', label: 'Prohibited emojis' };
+
+const SEVERITY_RANK = { info: 0, yellow: 1, red: 2 };
+
+// Abbreviations (u.s.), words with digits or percent signs (401k, 100%) and contractions (don't)
+const TOKEN_PATTERN = /\p{L}(?:\.\p{L})+\.?|[\p{L}\p{N}]+(?:['’]\p{L}+)*%?/gu;
+
+// Variation selectors (U+FE0E/U+FE0F) and skin tone modifiers (U+1F3FB-U+1F3FF)
+const EMOJI_MODIFIER_PATTERN = /[\uFE0E\uFE0F\u{1F3FB}-\u{1F3FF}]/gu;
+const ZERO_WIDTH_JOINER = '\u200D';
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+const graphemeSegmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+// Only whitespace and hyphens may separate the words of a phrase, so "risk free" matches "risk-free"
+const PHRASE_GAP_PATTERN = /^[\s\-–—]+$/;
+
+// Helper function to split text into normalized tokens with character offsets
+function tokenize(text) {
+    const tokens = [];
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+        tokens.push({
+            text: match[0],
+            normalized: normalizeToken(match[0]),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return tokens;
+}
+
+function normalizeToken(token) {
+    return token.toLowerCase().replace(/’/g, "'").replace(/\.$/, '');
+}
+
+// Helper function to build the inflected forms of a word ("guarantee" -> "guarantees", "guaranteed", ...)
+function inflect(word, mode) {
+    const forms = new Set([word]);
+
+    // Acronyms, numbers and short words like "irs" or "usa" are matched exactly
+    if (word.length < 4 || !/^\p{L}+$/u.test(word)) {
+        return forms;
+    }
+
+    if (/(s|x|z|ch|sh)$/.test(word)) {
+        forms.add(`${word}es`);
+    } else if (/[^aeiou]y$/.test(word)) {
+        forms.add(`${word.slice(0, -1)}ies`);
+    } else {
+        forms.add(`${word}s`);
+    }
+
+    if (mode !== 'full') {
+        return forms;
+    }
+
+    if (word.endsWith('ee')) {
+        forms.add(`${word}d`);
+        forms.add(`${word}ing`);
+    } else if (word.endsWith('e')) {
+        forms.add(`${word}d`);
+        forms.add(`${word.slice(0, -1)}ing`);
+    } else if (/[^aeiou]y$/.test(word)) {
+        forms.add(`${word.slice(0, -1)}ied`);
+        forms.add(`${word}ing`);
+    } else {
+        forms.add(`${word}ed`);
+        forms.add(`${word}ing`);
+    }
+
+    return forms;
+}
+
+// Helper function to reduce an emoji to its base form so "⭐️" and "💪🏽" match "⭐" and "💪"
+function normalizeEmoji(emoji) {
+    return emoji.replace(EMOJI_MODIFIER_PATTERN, '');
+}
+
+function emojiCodepoints(emoji) {
+    return [...emoji].map(char => char.codePointAt(0).toString(16)).join('-');
+}
+
+function slugify(term) {
+    return term.toLowerCase().replace(/[^\p{L}\p{N}%]+/gu, '-').replace(/^-+|-+$/g, '');
+}
+
+// Helper function to build a phrase matcher; only the last word is inflected ("lowest prices", not "lowests price")
+function compileWords(words, mode) {
+    return words.map((word, i) => (i === words.length - 1 ? inflect(word, mode) : new Set([word])));
+}
+
+// Helper function to turn a rule's allow-list into a lower-cased set for lookups
+function lowerSet(values) {
+    return new Set((values || []).map(value => String(value).trim().toLowerCase()).filter(Boolean));
+}
+
+class ComplianceService {
+    constructor(rules = prohibitedWords) {
+        this.dismissals = new Map();
+        this.loadRules(rules);
+    }
+
+    // Compile the rule lists into phrase matchers indexed by their first word.
+    // version is the rule-set version they came from, or null for the bundled file.
+    // rules.details optionally maps list -> term -> { reason, alternative, exceptions, contentTypes, clients }.
+    loadRules(rules, version = null) {
+        this.version = version;
+        this.rules = [];
+        this.index = new Map();
+        const details = rules.details || {};
+        const canadianAlternatives = rules.canadian_alternatives || {};
+
+        RULE_CATEGORIES.forEach(({ list, category, severity, inflect: inflectMode }) => {
+            const seen = new Set();
+
+            (rules[list] || []).forEach(term => {
+                const words = tokenize(term).map(token => token.normalized);
+                const key = this.normalizeTerm(list, term);
+                if (words.length === 0 || seen.has(key)) {
+                    return;
+                }
+                seen.add(key);
+
+                const detail = (details[list] || {})[term] || {};
+                // US-specific terms from the bundled file take their Canadian alternative as the suggestion;
+                // terms like "federal" that map to themselves have nothing to suggest
+                const alternative = detail.alternative || (list === 'us_specific_terms' ? canadianAlternatives[term.toLowerCase()] : null);
+                const rule = {
+                    id: `${category}:${slugify(term)}`,
+                    term,
+                    category,
+                    severity,
+                    reason: detail.reason || null,
+                    suggestion: alternative && alternative.toLowerCase() !== term.toLowerCase() ? alternative : null,
+                    words: compileWords(words, inflectMode),
+                    exceptions: (detail.exceptions || []).map(phrase => this.compileException(phrase)).filter(Boolean),
+                    contentTypes: lowerSet(detail.contentTypes),
+                    clients: lowerSet(detail.clients)
+                };
+                this.rules.push(rule);
+
+                rule.words[0].forEach(form => {
+                    if (!this.index.has(form)) {
+                        this.index.set(form, []);
+                    }
+                    this.index.get(form).push(rule);
+                });
+            });
+        });
+
+        this.emojis = new Map();
+        this.emojiRules = new Map();
+        (rules[EMOJI_CATEGORY.list] || []).forEach(emoji => {
+            const normalized = normalizeEmoji(emoji);
+            if (normalized && !this.emojis.has(normalized)) {
+                this.emojis.set(normalized, emoji);
+                const detail = (details[EMOJI_CATEGORY.list] || {})[emoji] || {};
+                this.emojiRules.set(normalized, {
+                    reason: detail.reason || null,
+                    // Prohibited emojis are removed unless the rule names a replacement
+                    suggestion: detail.alternative || '',
+                    contentTypes: lowerSet(detail.contentTypes),
+                    clients: lowerSet(detail.clients)
+                });
+            }
+        });
+    }
+
+    // An allowed phrase such as "state tax" for the rule "state"; its last word matches plurals
+    compileException(phrase) {
+        const words = tokenize(String(phrase)).map(token => token.normalized);
+        if (words.length === 0) {
+            return null;
+        }
+        return { words: compileWords(words, 'plural') };
+    }
+
+    // True when text contains term the way the list would match it, inflections included
+    containsTerm(list, term, text) {
+        const category = RULE_CATEGORIES.find(entry => entry.list === list);
+        const words = tokenize(String(term || '')).map(token => token.normalized);
+        if (!category || words.length === 0) {
+            return false;
+        }
+
+        const rule = { words: compileWords(words, category.inflect) };
+        const content = String(text || '');
+        const tokens = tokenize(content);
+        return tokens.some((token, i) => rule.words[0].has(token.normalized) && this.matchRule(content, tokens, i, rule) !== -1);
+    }
+
+    // Reviewer dismissals, each for one rule in one exact text
+    loadDismissals(dismissals) {
+        this.dismissals = new Map();
+        dismissals.forEach(dismissal => this.addDismissal(dismissal));
+    }
+
+    addDismissal(dismissal) {
+        this.dismissals.set(`${dismissal.ruleId}|${dismissal.textHash}`, dismissal);
+    }
+
+    removeDismissal(dismissal) {
+        this.dismissals.delete(`${dismissal.ruleId}|${dismissal.textHash}`);
+    }
+
+    // Texts count as identical when they differ only in surrounding or repeated whitespace
+    hashText(text) {
+        const normalized = String(text || '').trim().replace(/\s+/g, ' ');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    getProhibitedEmojis() {
+        return [...this.emojis.values()];
+    }
+
+    // Rule lists that can be edited, with how their findings are reported
+    getRuleLists() {
+        return [...RULE_CATEGORIES, EMOJI_CATEGORY].map(({ list, category, severity, label }) => ({
+            list,
+            category,
+            severity,
+            label
+        }));
+    }
+
+    // The form two terms in a list share when they would match the same text ("Risk free" and "risk-free")
+    normalizeTerm(list, term) {
+        if (list === EMOJI_CATEGORY.list) {
+            return normalizeEmoji(String(term || '').trim());
+        }
+        return tokenize(String(term || '')).map(token => token.normalized).join(' ');
+    }
+
+    // Check text against all rules and return offset-level findings. context ({ contentType, client })
+    // applies the rules' allow-lists; findings a reviewer dismissed for this exact text are returned apart,
+    // unless ignoreDismissals is set for callers that need every match whatever its review status.
+    check(text, context = {}, { ignoreDismissals = false } = {}) {
+        const content = typeof text === 'string' ? text : '';
+        const tokens = tokenize(content);
+        const findings = [];
+
+        tokens.forEach((token, i) => {
+            (this.index.get(token.normalized) || []).forEach(rule => {
+                const end = this.matchRule(content, tokens, i, rule);
+                if (end !== -1 && !this.isAllowed(rule, context) && !this.isException(content, tokens, i, end, rule)) {
+                    const match = content.slice(token.start, end);
+                    findings.push({
+                        ruleId: rule.id,
+                        category: rule.category,
+                        severity: rule.severity,
+                        term: rule.term,
+                        reason: rule.reason,
+                        // Suggestions come in the casing and number of the match, ready to paste over it
+                        suggestion: rule.suggestion && fitReplacement(match, rule.term, rule.suggestion, { sentenceStart: startsSentence(content, token.start) }),
+                        match,
+                        start: token.start,
+                        end
+                    });
+                }
+            });
+        });
+
+        findings.push(...this.checkEmojis(content, context));
+
+        const resolved = this.resolveOverlaps(findings);
+        const textHash = !ignoreDismissals && resolved.length > 0 && this.dismissals.size > 0 ? this.hashText(content) : null;
+        const active = [];
+        const dismissed = [];
+        resolved.forEach(finding => {
+            const dismissal = textHash && this.dismissals.get(`${finding.ruleId}|${textHash}`);
+            if (dismissal) {
+                dismissed.push({ ...finding, dismissal: { id: dismissal.id, justification: dismissal.justification, dismissedBy: dismissal.dismissedBy } });
+            } else {
+                active.push(finding);
+            }
+        });
+
+        const summary = this.summarize(active);
+        summary.dismissed = dismissed.length;
+        return {
+            findings: active,
+            dismissed,
+            summary,
+            ruleSetVersion: this.version
+        };
+    }
+
+    // True when the rule is allowed for the content type or client being checked
+    isAllowed(rule, { contentType, client } = {}) {
+        return Boolean(
+            (contentType && rule.contentTypes.has(String(contentType).toLowerCase())) ||
+            (client && rule.clients.has(String(client).trim().toLowerCase()))
+        );
+    }
+
+    // True when the match at tokens[start] (ending at end) is part of one of the rule's allowed phrases
+    isException(content, tokens, start, end, rule) {
+        return rule.exceptions.some(exception => {
+            for (let j = Math.max(0, start - exception.words.length + 1); j <= start; j++) {
+                if (exception.words[0].has(tokens[j].normalized) && this.matchRule(content, tokens, j, exception) >= end) {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    // Walk the text grapheme by grapheme so ZWJ sequences and modified emojis are seen whole
+    checkEmojis(content, context = {}) {
+        const findings = [];
+        if (this.emojis.size === 0) {
+            return findings;
+        }
+
+        for (const { segment, index } of graphemeSegmenter.segment(content)) {
+            if (!EMOJI_PATTERN.test(segment)) {
+                continue;
+            }
+
+            // A ZWJ sequence is prohibited as a whole or when any of its parts is
+            const normalized = normalizeEmoji(segment);
+            const parts = [normalized, ...normalized.split(ZERO_WIDTH_JOINER)];
+            const base = parts.find(part => this.emojis.has(part));
+            const rule = base ? this.emojiRules.get(base) : null;
+            if (!rule || this.isAllowed(rule, context)) {
+                continue;
+            }
+
+            findings.push({
+                ruleId: `${EMOJI_CATEGORY.category}:${emojiCodepoints(base)}`,
+                category: EMOJI_CATEGORY.category,
+                severity: EMOJI_CATEGORY.severity,
+                term: this.emojis.get(base),
+                reason: rule.reason,
+                suggestion: rule.suggestion,
+                match: segment,
+                start: index,
+                end: index + segment.length
+            });
+        }
+
+        return findings;
+    }
+
+    // Returns the end offset of the match of rule starting at tokens[start], or -1
+    matchRule(content, tokens, start, rule) {
+        if (start + rule.words.length > tokens.length) {
+            return -1;
+        }
+
+        for (let j = 1; j < rule.words.length; j++) {
+            const previous = tokens[start + j - 1];
+            const current = tokens[start + j];
+            if (!PHRASE_GAP_PATTERN.test(content.slice(previous.end, current.start))) {
+                return -1;
+            }
+            if (!rule.words[j].has(current.normalized)) {
+                return -1;
+            }
+        }
+
+        return tokens[start + rule.words.length - 1].end;
+    }
+
+    // Drop findings covered by a longer or more severe finding of the same kind,
+    // e.g. "free" inside "risk-free" or the yellow "exclusive" under the red one
+    resolveOverlaps(findings) {
+        const isLocalization = finding => finding.category === 'us_term';
+        const sorted = [...findings].sort((a, b) => (
+            a.start - b.start ||
+            (b.end - b.start) - (a.end - a.start) ||
+            SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]
+        ));
+
+        const kept = [];
+        sorted.forEach(finding => {
+            const covered = kept.some(other => (
+                isLocalization(other) === isLocalization(finding) &&
+                other.start <= finding.start &&
+                other.end >= finding.end &&
+                SEVERITY_RANK[other.severity] >= SEVERITY_RANK[finding.severity]
+            ));
+            if (!covered) {
+                kept.push(finding);
+            }
+        });
+
+        return kept;
+    }
+
+    summarize(findings) {
+        const summary = { red: 0, yellow: 0, info: 0 };
+        findings.forEach(finding => {
+            summary[finding.severity]++;
+        });
+
+        summary.status = summary.red > 0 ? 'red' : summary.yellow > 0 ? 'yellow' : 'clean';
+        return summary;
+    }
+
+    // Check every generated title, description and social post on its own
+    checkMetadata(metadata, context = {}) {
+        const compliance = {};
+        ['titles', 'descriptions', 'socialCopy'].forEach(section => {
+            compliance[section] = (metadata[section] || []).map(text => this.check(text, context));
+        });
+        return compliance;
+    }
+
+    // Human-readable one-line summaries grouped by rule list
+    formatWarnings(findings) {
+        return [...RULE_CATEGORIES, EMOJI_CATEGORY]
+            .map(({ category, label }) => {
+                const terms = [...new Set(
+                    findings.filter(finding => finding.category === category).map(finding => finding.term)
+                )];
+                return terms.length > 0 ? `${label} found: ${terms.join(', ')}` : null;
+            })
+            .filter(Boolean);
+    }
+}
+
+module.exports = new ComplianceService();
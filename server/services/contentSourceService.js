@@ -0,0 +1,45 @@
+const ingestService = require('./ingestService');
+const GoogleDocsSource = require('./sources/googleDocsSource');
+const LocalFileSource = require('./sources/localFileSource');
+
+// Registry of the places content can be loaded from. Each adapter has a name, a label,
+// isConfigured() and load(reference) resolving to { name, title, description, content }.
+class ContentSourceService {
+    constructor() {
+        this.sources = new Map();
+        this.register(new GoogleDocsSource());
+        this.register(new LocalFileSource());
+    }
+
+    register(source) {
+        this.sources.set(source.name, source);
+    }
+
+    list() {
+        return [...this.sources.values()].map(source => ({
+            name: source.name,
+            label: source.label,
+            configured: source.isConfigured()
+        }));
+    }
+
+    // Load content from the named source and shape it like an ingested page
+    async load(sourceName, reference) {
+        const source = this.sources.get(sourceName);
+        if (!source) {
+            throw new Error(`Unknown content source: ${sourceName}`);
+        }
+        if (!source.isConfigured()) {
+            throw new Error(`${source.label} import is not configured on this server`);
+        }
+
+        const loaded = await source.load(reference);
+        const result = ingestService.buildResult(loaded, { type: source.name, name: loaded.name });
+        if (loaded.headings) {
+            result.headings = loaded.headings;
+        }
+        return result;
+    }
+}
+
+module.exports = new ContentSourceService();
@@ -0,0 +1,88 @@
+const { getDatabase } = require('../config/database');
+const complianceService = require('./complianceService');
+
+const MAX_JUSTIFICATION_LENGTH = 1000;
+
+function toDismissal(row) {
+    return {
+        id: row.id,
+        ruleId: row.rule_id,
+        textHash: row.text_hash,
+        text: row.text,
+        match: row.match,
+        justification: row.justification,
+        dismissedBy: row.username || null,
+        createdAt: row.created_at
+    };
+}
+
+const DISMISSAL_SELECT = `SELECT finding_dismissals.*, users.username
+    FROM finding_dismissals LEFT JOIN users ON users.id = finding_dismissals.dismissed_by`;
+
+// Findings a reviewer has judged acceptable in one exact text, e.g. "expert" in an approved title.
+// The same finding in the same text is not raised again; any other text is still checked.
+class DismissalService {
+    // Hand every stored dismissal to the compliance checker; call at startup
+    async load() {
+        const db = await getDatabase();
+        const dismissals = db.all(DISMISSAL_SELECT).map(toDismissal);
+        complianceService.loadDismissals(dismissals);
+        return dismissals;
+    }
+
+    async list({ q } = {}) {
+        const db = await getDatabase();
+        const where = q ? 'WHERE finding_dismissals.text LIKE ? OR match LIKE ? OR justification LIKE ? OR rule_id LIKE ?' : '';
+        return db.all(
+            `${DISMISSAL_SELECT} ${where} ORDER BY finding_dismissals.id DESC`,
+            q ? Array(4).fill(`%${q}%`) : []
+        ).map(toDismissal);
+    }
+
+    async get(id) {
+        const db = await getDatabase();
+        const row = db.get(`${DISMISSAL_SELECT} WHERE finding_dismissals.id = ?`, [id]);
+        return row ? toDismissal(row) : null;
+    }
+
+    // Dismiss the rule's finding in text. Throws with a message fit for the user on bad input.
+    async create({ text, ruleId, justification }, user) {
+        const reason = typeof justification === 'string' ? justification.trim().slice(0, MAX_JUSTIFICATION_LENGTH) : '';
+        if (!reason) {
+            throw new Error('Give a justification for dismissing this finding');
+        }
+
+        const content = typeof text === 'string' ? text : '';
+        const finding = complianceService.check(content).findings.find(entry => entry.ruleId === ruleId);
+        if (!finding) {
+            throw new Error('That finding is not in this text');
+        }
+
+        const db = await getDatabase();
+        const textHash = complianceService.hashText(content);
+        const id = db.run(
+            `INSERT INTO finding_dismissals (rule_id, text_hash, text, match, justification, dismissed_by, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [ruleId, textHash, content.trim(), finding.match, reason, user.id, new Date().toISOString()]
+        );
+
+        const dismissal = await this.get(id);
+        complianceService.addDismissal(dismissal);
+        return dismissal;
+    }
+
+    // Remove a dismissal so the finding is raised again
+    async remove(id) {
+        const dismissal = await this.get(id);
+        if (!dismissal) {
+            return null;
+        }
+
+        const db = await getDatabase();
+        db.run('DELETE FROM finding_dismissals WHERE id = ?', [dismissal.id]);
+        complianceService.removeDismissal(dismissal);
+        return dismissal;
+    }
+}
+
+module.exports = new DismissalService();
@@ -0,0 +1,191 @@
+// schema.org and Open Graph types for each content type in the form
+const CONTENT_TYPES = {
+    article: { schemaType: 'Article', ogType: 'article' },
+    video: { schemaType: 'VideoObject', ogType: 'video.other' }
+};
+const DEFAULT_CONTENT_TYPE = { schemaType: 'WebPage', ogType: 'website' };
+
+const CSV_COLUMNS = ['content_type', 'url', 'image_url', 'title', 'description', 'social_copy'];
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// A text field from the request, trimmed; missing fields are empty and anything that is not a string is refused
+function checkText(value, label) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (typeof value !== 'string') {
+        throw new Error(`${label} must be text`);
+    }
+    return value.trim();
+}
+
+// Only web addresses may end up in href and content attributes or JSON-LD; javascript: or data: URLs would run in the page
+function checkUrl(value, label) {
+    const url = checkText(value, label);
+    if (!url) {
+        return '';
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error(`${label} must be a full http or https address`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`${label} must be a full http or https address`);
+    }
+    return url;
+}
+
+// Spreadsheets run cells starting with these as formulas, e.g. =HYPERLINK(...) in a generated title
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+function escapeCsv(value) {
+    const raw = value === undefined || value === null ? '' : String(value);
+    const text = FORMULA_PREFIX_PATTERN.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class ExportService {
+    // Normalize the selected options and page details sent by the results panel.
+    // Throws with a message fit for the user when a field is not text or a URL is not an http or https address.
+    normalize(selection) {
+        return {
+            contentType: checkText(selection.contentType, 'Content type'),
+            url: checkUrl(selection.url, 'Page URL'),
+            imageUrl: checkUrl(selection.imageUrl, 'Image URL'),
+            title: checkText(selection.title, 'Title'),
+            description: checkText(selection.description, 'Description'),
+            socialCopy: checkText(selection.socialCopy, 'Social copy')
+        };
+    }
+
+    // <title>, description, Open Graph and Twitter Card tags ready to paste into <head>
+    buildMetaTags(selection) {
+        const { contentType, url, imageUrl, title, description } = this.normalize(selection);
+        const { ogType } = CONTENT_TYPES[contentType] || DEFAULT_CONTENT_TYPE;
+        const tags = [];
+
+        if (title) {
+            tags.push(`<title>${escapeHtml(title)}</title>`);
+        }
+        if (description) {
+            tags.push(`<meta name="description" content="${escapeHtml(description)}">`);
+        }
+        if (url) {
+            tags.push(`<link rel="canonical" href="${escapeHtml(url)}">`);
+        }
+
+        tags.push(`<meta property="og:type" content="${ogType}">`);
+        if (title) {
+            tags.push(`<meta property="og:title" content="${escapeHtml(title)}">`);
+        }
+        if (description) {
+            tags.push(`<meta property="og:description" content="${escapeHtml(description)}">`);
+        }
+        if (url) {
+            tags.push(`<meta property="og:url" content="${escapeHtml(url)}">`);
+        }
+        if (imageUrl) {
+            tags.push(`<meta property="og:image" content="${escapeHtml(imageUrl)}">`);
+        }
+
+        tags.push(`<meta name="twitter:card" content="${imageUrl ? 'summary_large_image' : 'summary'}">`);
+        if (title) {
+            tags.push(`<meta name="twitter:title" content="${escapeHtml(title)}">`);
+        }
+        if (description) {
+            tags.push(`<meta name="twitter:description" content="${escapeHtml(description)}">`);
+        }
+        if (imageUrl) {
+            tags.push(`<meta name="twitter:image" content="${escapeHtml(imageUrl)}">`);
+        }
+
+        return tags.join('\n');
+    }
+
+    // schema.org structured data for the content type (Article, VideoObject or WebPage)
+    buildJsonLd(selection) {
+        const { contentType, url, imageUrl, title, description } = this.normalize(selection);
+        const { schemaType } = CONTENT_TYPES[contentType] || DEFAULT_CONTENT_TYPE;
+
+        const data = {
+            '@context': 'https://schema.org',
+            '@type': schemaType
+        };
+
+        if (schemaType === 'Article') {
+            data.headline = title;
+            data.description = description;
+            if (imageUrl) {
+                data.image = imageUrl;
+            }
+            if (url) {
+                data.mainEntityOfPage = { '@type': 'WebPage', '@id': url };
+            }
+        } else if (schemaType === 'VideoObject') {
+            data.name = title;
+            data.description = description;
+            if (imageUrl) {
+                data.thumbnailUrl = imageUrl;
+            }
+            data.uploadDate = new Date().toISOString().slice(0, 10);
+            if (url) {
+                data.url = url;
+            }
+        } else {
+            data.name = title;
+            data.description = description;
+            if (url) {
+                data.url = url;
+            }
+        }
+
+        return data;
+    }
+
+    // JSON-LD wrapped in a script tag, escaped so the content cannot close the tag early
+    buildJsonLdScript(selection) {
+        const json = JSON.stringify(this.buildJsonLd(selection), null, 2).replace(/</g, '\\u003c');
+        return `<script type="application/ld+json">\n${json}\n</script>`;
+    }
+
+    buildSnippet(selection) {
+        return {
+            metaTags: this.buildMetaTags(selection),
+            jsonLd: this.buildJsonLdScript(selection)
+        };
+    }
+
+    // RFC 4180 CSV with a header row; rows are arrays in column order
+    formatCsv(columns, rows) {
+        return [columns, ...rows]
+            .map(row => row.map(escapeCsv).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    toCsv(selection) {
+        const { contentType, url, imageUrl, title, description, socialCopy } = this.normalize(selection);
+        return this.formatCsv(CSV_COLUMNS, [[contentType, url, imageUrl, title, description, socialCopy]]);
+    }
+
+    toJson(selection) {
+        return {
+            ...this.normalize(selection),
+            metaTags: this.buildMetaTags(selection),
+            jsonLd: this.buildJsonLd(selection),
+            exportedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new ExportService();
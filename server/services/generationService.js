@@ -0,0 +1,534 @@
+const { complianceRetries } = require('../config/llm');
+const complianceService = require('./complianceService');
+const providerService = require('./providerService');
+const providerHealthService = require('./providerHealthService');
+const { resolveSettings } = require('./generationSettings');
+const serpFitService = require('./serpFitService');
+const { parseOptionsResponse, parsePartialOptions } = require('./optionSchema');
+
+// How many times to ask the model to fix a response that does not match the options schema
+const SCHEMA_RETRIES = 1;
+
+// Metadata sections and what each option should look like when asking for replacements
+const SECTIONS = {
+    titles: { label: 'title', requirements: '50-60 characters, title case' },
+    descriptions: { label: 'meta description', requirements: '150-160 characters, include a call-to-action' },
+    socialCopy: { label: 'social media post', requirements: '200-280 characters, 2-3 relevant hashtags' }
+};
+
+// Generates metadata options with whichever language model provider a request asks for
+class GenerationService {
+    // settings are the resolved per-request settings (see generationSettings); the provider's defaults if omitted.
+    // Each section falls back to templateFallback(section) on its own, so one failed request does not cost
+    // the other sections; metadata.sections says where each one came from, why it fell back and how long it took.
+    // To stream, pass onOption(section, index, text) for each option as the model writes it and
+    // onSection(section, options, provenance) for each finished section; aborting signal cancels the run.
+    // client selects the rule allow-lists red words are repaired against, as in the final compliance check.
+    async generateMetadata(content, contentType, targetAudience, tone, templateFallback, provider = providerService.get(), settings = resolveSettings(null, provider), { signal, onOption, onSection, client } = {}) {
+        const stream = section => ({
+            signal,
+            onOption: onOption && ((index, text) => onOption(section, index, text))
+        });
+        const generators = {
+            titles: () => this.generateTitles(provider, settings, content, contentType, targetAudience, tone, stream('titles')),
+            descriptions: () => this.generateDescriptions(provider, settings, content, contentType, targetAudience, tone, stream('descriptions')),
+            socialCopy: () => this.generateSocialCopy(provider, settings, content, contentType, targetAudience, tone, stream('socialCopy'))
+        };
+
+        const unavailable = this.unavailableReason(provider);
+        if (unavailable) {
+            console.log(`🔄 ${unavailable}, using template fallback`);
+        } else {
+            console.log(`🤖 Using ${provider.label} for metadata generation...`);
+        }
+
+        const metadata = { titles: [], descriptions: [], socialCopy: [], sections: {} };
+
+        await Promise.all(Object.keys(SECTIONS).map(async section => {
+            const startedAt = Date.now();
+            let error = unavailable;
+
+            if (!error) {
+                try {
+                    metadata[section] = await generators[section]();
+                    metadata.sections[section] = {
+                        source: 'ai',
+                        provider: provider.name,
+                        model: settings.model,
+                        error: null,
+                        latencyMs: Date.now() - startedAt
+                    };
+                    if (onSection) {
+                        onSection(section, metadata[section], metadata.sections[section]);
+                    }
+                    return;
+                } catch (generationError) {
+                    // A cancelled run has nobody left to show templates to
+                    if (signal && signal.aborted) {
+                        throw generationError;
+                    }
+                    console.log(`🔄 ${provider.label} ${SECTIONS[section].label} generation failed, using template fallback:`, generationError.message);
+                    error = generationError.message;
+                }
+            }
+
+            // Templates need no network, but an empty section is still reported rather than shown as nothing
+            let options = [];
+            try {
+                options = templateFallback(section) || [];
+            } catch (templateError) {
+                console.log(`Template ${SECTIONS[section].label} generation failed:`, templateError.message);
+                error = `${error}; templates failed: ${templateError.message}`;
+            }
+
+            metadata[section] = options;
+            metadata.sections[section] = {
+                source: options.length > 0 ? 'template' : 'failed',
+                provider: provider.name,
+                model: null,
+                error,
+                latencyMs: Date.now() - startedAt
+            };
+            if (onSection) {
+                onSection(section, metadata[section], metadata.sections[section]);
+            }
+        }));
+
+        const generated = Object.values(metadata.sections).some(entry => entry.source === 'ai');
+        metadata.source = generated ? provider.name : 'template';
+        metadata.model = generated ? settings.model : null;
+
+        if (generated) {
+            metadata.rewrites = await this.shortenOverlong(provider, settings, metadata, content, contentType, targetAudience, tone, signal);
+            metadata.repairs = await this.repairRedWords(provider, settings, metadata, content, contentType, targetAudience, tone, signal, { contentType, client });
+            console.log(`✅ ${provider.label} generation completed`);
+        }
+
+        return metadata;
+    }
+
+    // Why the provider cannot be asked at all, or null when it can
+    unavailableReason(provider) {
+        if (!provider.isConfigured()) {
+            return `${provider.label} is not configured`;
+        }
+        if (!providerHealthService.isAvailable(provider)) {
+            return `${provider.label} is unavailable after repeated failures`;
+        }
+        return null;
+    }
+
+    // Sections whose options came from the model; only those are shortened or repaired by asking it again
+    generatedSections(metadata) {
+        return Object.keys(SECTIONS).filter(section => !metadata.sections || metadata.sections[section].source === 'ai');
+    }
+
+    // Generate a single replacement for one title, description or social post; client as for generateMetadata
+    async regenerateOption(section, content, contentType, targetAudience, tone, hint, existing, templateFallback, provider = providerService.get(), settings = resolveSettings(null, provider), { client } = {}) {
+        const startedAt = Date.now();
+        const fallback = error => ({
+            ...templateFallback(),
+            provenance: { source: 'template', provider: provider.name, model: null, error, latencyMs: Date.now() - startedAt }
+        });
+
+        const unavailable = this.unavailableReason(provider);
+        if (unavailable) {
+            console.log(`🔄 ${unavailable}, using template fallback for regeneration`);
+            return fallback(unavailable);
+        }
+
+        const prompt = this.buildRegeneratePrompt(section, content, contentType, targetAudience, tone, hint, existing);
+
+        try {
+            const [text] = await this.generateOptions(provider, settings, prompt, 1, SECTIONS[section].label);
+
+            const metadata = { titles: [], descriptions: [], socialCopy: [] };
+            metadata[section] = [text];
+            const repairs = await this.repairRedWords(provider, settings, metadata, content, contentType, targetAudience, tone, null, { contentType, client });
+
+            return {
+                text: metadata[section][0],
+                repair: repairs[0] || null,
+                provenance: { source: 'ai', provider: provider.name, model: settings.model, error: null, latencyMs: Date.now() - startedAt }
+            };
+        } catch (error) {
+            console.log('🔄 Regeneration failed, using template fallback:', error.message);
+            console.log('Regeneration error details:', error);
+            return fallback(error.message);
+        }
+    }
+
+    // Ask the model once to rewrite options that would be truncated in search results or social feeds.
+    // Anything still too long is trimmed at a word boundary by the caller.
+    async shortenOverlong(provider, settings, metadata, content, contentType, targetAudience, tone, signal) {
+        const rewrites = [];
+
+        await Promise.all(this.generatedSections(metadata).map(async section => {
+            const overlong = metadata[section]
+                .map((text, index) => ({ section, index, original: text, fit: serpFitService.measure(text, section) }))
+                .filter(rewrite => rewrite.fit.status === 'truncated');
+            if (overlong.length === 0) {
+                return;
+            }
+
+            console.log(`✂️ Requesting shorter versions of ${overlong.length} ${SECTIONS[section].label} option(s)...`);
+
+            let replacements = null;
+            try {
+                const prompt = this.buildShortenPrompt(section, overlong, content, contentType, targetAudience, tone);
+                replacements = await this.generateOptions(provider, settings, prompt, overlong.length, SECTIONS[section].label, { signal });
+            } catch (error) {
+                console.log('Length rewrite failed:', error.message);
+            }
+
+            overlong.forEach((rewrite, i) => {
+                const replacement = replacements && replacements[i];
+                const shortened = Boolean(replacement) && serpFitService.fits(replacement, section);
+                if (shortened) {
+                    metadata[section][rewrite.index] = replacement;
+                }
+
+                rewrites.push({
+                    section,
+                    index: rewrite.index,
+                    original: rewrite.original,
+                    replacement: shortened ? replacement : null,
+                    status: shortened ? 'shortened' : 'failed'
+                });
+            });
+        }));
+
+        return rewrites;
+    }
+
+    // Re-prompt the model for replacements of options containing red words, up to the retry budget.
+    // context ({ contentType, client }) applies the rules' allow-lists, so words allowed there are left alone.
+    // Returns one entry per offending option saying whether it was repaired or still fails.
+    async repairRedWords(provider, settings, metadata, content, contentType, targetAudience, tone, signal, context = {}) {
+        const repairs = [];
+
+        this.generatedSections(metadata).forEach(section => {
+            metadata[section].forEach((text, index) => {
+                const terms = this.findRedTerms(text, context);
+                if (terms.length > 0) {
+                    repairs.push({ section, index, original: text, terms, attempts: 0, status: 'failed' });
+                }
+            });
+        });
+
+        for (let attempt = 1; attempt <= complianceRetries; attempt++) {
+            const pending = repairs.filter(repair => repair.status === 'failed');
+            if (pending.length === 0 || (signal && signal.aborted)) {
+                break;
+            }
+
+            console.log(`🛡️ Requesting compliant replacements for ${pending.length} option(s), attempt ${attempt}...`);
+
+            await Promise.all(Object.keys(SECTIONS).map(async section => {
+                const offenders = pending.filter(repair => repair.section === section);
+                if (offenders.length === 0) {
+                    return;
+                }
+
+                const replacements = await this.requestReplacements(
+                    provider, settings, section, offenders, content, contentType, targetAudience, tone, signal
+                );
+
+                offenders.forEach((repair, i) => {
+                    repair.attempts = attempt;
+                    const replacement = replacements && replacements[i];
+                    if (!replacement) {
+                        return;
+                    }
+
+                    const terms = this.findRedTerms(replacement, context);
+                    if (terms.length === 0) {
+                        metadata[section][repair.index] = replacement;
+                        repair.replacement = replacement;
+                        repair.status = 'repaired';
+                    } else {
+                        // Call out the new offending terms on the next attempt
+                        repair.terms = [...new Set([...repair.terms, ...terms])];
+                    }
+                });
+            }));
+        }
+
+        const failed = repairs.filter(repair => repair.status === 'failed').length;
+        if (failed > 0) {
+            console.log(`⚠️ ${failed} option(s) still contain red words after ${complianceRetries} attempt(s)`);
+        }
+
+        return repairs;
+    }
+
+    findRedTerms(text, context = {}) {
+        const { findings } = complianceService.check(text, context);
+        return [...new Set(
+            findings.filter(finding => finding.severity === 'red').map(finding => finding.term)
+        )];
+    }
+
+    async requestReplacements(provider, settings, section, offenders, content, contentType, targetAudience, tone, signal) {
+        const prompt = this.buildRepairPrompt(section, offenders, content, contentType, targetAudience, tone);
+
+        try {
+            return await this.generateOptions(provider, settings, prompt, offenders.length, SECTIONS[section].label, { signal });
+        } catch (error) {
+            console.log('Compliance repair failed:', error.message);
+            console.log('Compliance repair error details:', error);
+            return null;
+        }
+    }
+
+    async generateTitles(provider, settings, content, contentType, targetAudience, tone, stream) {
+        const prompt = this.buildTitlePrompt(content, contentType, targetAudience, tone, settings.variants.titles);
+
+        return this.generateOptions(provider, settings, prompt, settings.variants.titles, SECTIONS.titles.label, stream);
+    }
+
+    async generateDescriptions(provider, settings, content, contentType, targetAudience, tone, stream) {
+        const prompt = this.buildDescriptionPrompt(content, contentType, targetAudience, tone, settings.variants.descriptions);
+
+        return this.generateOptions(provider, settings, prompt, settings.variants.descriptions, SECTIONS.descriptions.label, stream);
+    }
+
+    async generateSocialCopy(provider, settings, content, contentType, targetAudience, tone, stream) {
+        const prompt = this.buildSocialPrompt(content, contentType, targetAudience, tone, settings.variants.socialCopy);
+
+        return this.generateOptions(provider, settings, prompt, settings.variants.socialCopy, SECTIONS.socialCopy.label, stream);
+    }
+
+    async localizeContent(content, flags, provider = providerService.get(), settings = resolveSettings(null, provider)) {
+        if (!providerHealthService.isAvailable(provider)) {
+            return null;
+        }
+
+        const prompt = this.buildLocalizationPrompt(content, flags);
+
+        try {
+            const text = await providerHealthService.execute(
+                provider,
+                signal => provider.generateText(prompt, settings, { signal })
+            );
+            return text.trim();
+        } catch (error) {
+            console.log('Localization rewrite failed:', error.message);
+            console.log('Localization rewrite error details:', error);
+            return null;
+        }
+    }
+
+    buildTitlePrompt(content, contentType, targetAudience, tone, count) {
+        return `You are an expert SEO content strategist. Generate ${count} compelling, SEO-optimized titles for the following content.
+
+Content: "${content}"
+Content Type: ${contentType}
+Target Audience: ${targetAudience || 'professionals'}
+Tone: ${tone || 'professional'}
+
+Requirements:
+- Each title should be 50-60 characters
+- Include the main topic naturally
+- Match the specified tone
+- Be engaging and click-worthy
+- Avoid clickbait or overly promotional language
+- Use title case formatting
+
+${this.jsonInstructions(count, 'titles')}`;
+    }
+
+    buildDescriptionPrompt(content, contentType, targetAudience, tone, count) {
+        return `You are an expert content strategist. Generate ${count} compelling meta descriptions for the following content.
+
+Content: "${content}"
+Content Type: ${contentType}
+Target Audience: ${targetAudience || 'professionals'}
+Tone: ${tone || 'professional'}
+
+Requirements:
+- Each description should be 150-160 characters
+- Include the main topic and key benefits
+- Match the specified tone
+- Include a call-to-action
+- Be engaging and informative
+- Avoid promotional language
+
+${this.jsonInstructions(count, 'descriptions')}`;
+    }
+
+    buildSocialPrompt(content, contentType, targetAudience, tone, count) {
+        return `You are an expert social media strategist. Generate ${count} engaging social media posts for the following content.
+
+Content: "${content}"
+Content Type: ${contentType}
+Target Audience: ${targetAudience || 'professionals'}
+Tone: ${tone || 'professional'}
+
+Requirements:
+- Each post should be 200-280 characters
+- Include relevant emojis, but never use any of these prohibited emojis: ${complianceService.getProhibitedEmojis().join(' ')}
+- Include 2-3 relevant hashtags
+- Match the specified tone
+- Be engaging and shareable
+- Include a call-to-action
+
+${this.jsonInstructions(count, 'social posts')}`;
+    }
+
+    buildRegeneratePrompt(section, content, contentType, targetAudience, tone, hint, existing) {
+        const { label, requirements } = SECTIONS[section];
+        const avoid = (existing || []).map(option => `- "${option}"`).join('\n');
+
+        return `You are an expert content strategist. Write 1 new ${label} for the following content.
+
+Content: "${content}"
+Content Type: ${contentType}
+Target Audience: ${targetAudience || 'professionals'}
+Tone: ${tone || 'professional'}
+${hint ? `Writer's instructions: ${hint}\n` : ''}
+Requirements:
+- Keep the ${label} to ${requirements}
+- Match the specified tone
+- Avoid clickbait or overly promotional language
+- Make it clearly different from these existing options:
+${avoid || '- (none)'}
+
+${this.jsonInstructions(1, label)}`;
+    }
+
+    buildShortenPrompt(section, overlong, content, contentType, targetAudience, tone) {
+        const { label, requirements } = SECTIONS[section];
+        const options = overlong
+            .map((rewrite, i) => {
+                const { characters, pixels, maxCharacters, maxPixels } = rewrite.fit;
+                const size = pixels !== null ? `${characters} characters, about ${pixels}px of ${maxPixels}px` : `${characters} characters`;
+                return `${i + 1}. "${rewrite.original}" (${size}; limit ${maxCharacters} characters)`;
+            })
+            .join('\n');
+
+        return `You are an expert SEO content strategist. The following ${label} options are too long and would be cut off in search results or social feeds.
+
+Content: "${content}"
+Content Type: ${contentType}
+Target Audience: ${targetAudience || 'professionals'}
+Tone: ${tone || 'professional'}
+
+Options to shorten:
+${options}
+
+Requirements:
+- Rewrite each option above, in the same order, keeping its meaning
+- Keep each ${label} to ${requirements}, and never over the limit
+- Prefer short words; wide letters like W and M take more space in search results
+- Match the specified tone
+
+${this.jsonInstructions(overlong.length, overlong.length === 1 ? 'rewrite' : 'rewrites')}`;
+    }
+
+    buildRepairPrompt(section, offenders, content, contentType, targetAudience, tone) {
+        const { label, requirements } = SECTIONS[section];
+        const options = offenders
+            .map((repair, i) => `${i + 1}. "${repair.original}" (prohibited: ${repair.terms.join(', ')})`)
+            .join('\n');
+
+        return `You are an expert content strategist working under financial services compliance rules. The following ${label} options contain prohibited words and must be rewritten.
+
+Content: "${content}"
+Content Type: ${contentType}
+Target Audience: ${targetAudience || 'professionals'}
+Tone: ${tone || 'professional'}
+
+Options to replace:
+${options}
+
+Requirements:
+- Write one replacement for each option above, in the same order
+- Do not use any of the prohibited words listed, or any form of them
+- Avoid superlatives, guarantees, urgency and promotional claims
+- Keep each ${label} to ${requirements}
+- Match the specified tone
+
+${this.jsonInstructions(offenders.length, offenders.length === 1 ? 'replacement' : 'replacements')}`;
+    }
+
+    jsonInstructions(count, noun) {
+        return `Respond with JSON only, in the form {"options": ["..."]}, containing exactly ${count} ${noun}. Each entry must be the text alone, without numbering, bullet points, quotes or commentary.`;
+    }
+
+    buildSchemaRepairPrompt(prompt, response, errors, count, label) {
+        return `${prompt}
+
+Your previous response could not be used:
+${response}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with valid JSON only, in the form {"options": ["..."]}, containing exactly ${count} ${label} option${count === 1 ? '' : 's'}.`;
+    }
+
+    buildLocalizationPrompt(content, flags) {
+        const notes = flags.map(flag => `- "${flag.match}": ${flag.reason}`).join('\n');
+
+        return `You are an expert financial content editor for a Canadian audience. Rewrite the following U.S.-focused content for Canadian readers.
+
+Content: "${content}"
+
+These terms have no exact Canadian equivalent, so a direct word swap would be misleading:
+${notes}
+
+Requirements:
+- Replace U.S.-specific programs, agencies and accounts with the closest Canadian equivalents
+- Rephrase any claim that would be inaccurate for the Canadian equivalent rather than just swapping the name
+- Use Canadian spelling
+- Keep the original length, structure and tone
+- Do not add facts, figures or promises that are not in the original
+
+Please provide only the rewritten content, without any preamble or explanation.`;
+    }
+
+    // Ask the model for a JSON list of options, feeding validation errors back when the output is malformed
+    // With onOption, the response is streamed and onOption(index, text) called for each option once it is
+    // complete. A retry or schema repair sends its options again, so a later call for an index replaces the earlier one.
+    async generateOptions(provider, settings, prompt, count, label, { signal, onOption } = {}) {
+        const sent = [];
+        const onText = text => {
+            parsePartialOptions(text, count).forEach((option, index) => {
+                if (sent[index] !== option) {
+                    sent[index] = option;
+                    onOption(index, option);
+                }
+            });
+        };
+
+        const request = requestPrompt => providerHealthService.execute(
+            provider,
+            attemptSignal => (onOption
+                ? provider.streamJson(requestPrompt, count, label, settings, { signal: attemptSignal, onText })
+                : provider.generateJson(requestPrompt, count, label, settings, { signal: attemptSignal })),
+            { signal }
+        );
+
+        let text = await request(prompt);
+        let parsed = parseOptionsResponse(text, count);
+
+        for (let attempt = 1; !parsed.valid && attempt <= SCHEMA_RETRIES; attempt++) {
+            console.log(`🔧 Malformed ${label} response (${parsed.errors.join('; ')}), requesting a repair...`);
+            text = await request(this.buildSchemaRepairPrompt(prompt, text, parsed.errors, count, label));
+
+            const repaired = parseOptionsResponse(text, count);
+            if (repaired.valid || repaired.options.length > parsed.options.length) {
+                parsed = repaired;
+            }
+        }
+
+        if (parsed.options.length === 0) {
+            throw new Error(`No usable ${label} options in response`);
+        }
+
+        return parsed.options;
+    }
+}
+
+module.exports = new GenerationService();
@@ -0,0 +1,71 @@
+const { generationConfig, settingsLimits, defaultVariants } = require('../config/llm');
+
+const VARIANT_LABELS = {
+    titles: 'title',
+    descriptions: 'description',
+    socialCopy: 'social post'
+};
+
+function inRange(value, { min, max }) {
+    return Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Turn the optional settings sent with a request ({ model, temperature, variants }) into the complete
+// settings a run is generated with, so they can be echoed back and the run repeated. variants is
+// either one count for every type or per-type counts like { titles: 8 }. Settings sent as a JSON
+// string (from a multipart form) are parsed first. Throws with a message fit for the user on bad input.
+function resolveSettings(input, provider) {
+    let settings = input || {};
+    if (typeof settings === 'string') {
+        try {
+            settings = settings.trim() ? JSON.parse(settings) : {};
+        } catch (error) {
+            throw new Error('Settings must be a JSON object');
+        }
+    }
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error('Settings must be an object');
+    }
+
+    const model = settings.model ? String(settings.model).trim() : provider.model;
+    if (!provider.models.includes(model)) {
+        throw new Error(`${provider.label} model must be one of: ${provider.models.join(', ')}`);
+    }
+
+    let temperature = generationConfig.temperature;
+    if (settings.temperature !== undefined && settings.temperature !== null && settings.temperature !== '') {
+        temperature = Number(settings.temperature);
+        if (!inRange(temperature, settingsLimits.temperature)) {
+            const { min, max } = settingsLimits.temperature;
+            throw new Error(`Temperature must be between ${min} and ${max}`);
+        }
+    }
+
+    const requested = settings.variants;
+    const variants = {};
+    Object.keys(defaultVariants).forEach(section => {
+        const value = requested !== null && typeof requested === 'object' ? requested[section] : requested;
+        if (value === undefined || value === null || value === '') {
+            variants[section] = defaultVariants[section];
+            return;
+        }
+
+        const count = Number(value);
+        if (!Number.isInteger(count) || !inRange(count, settingsLimits.variants)) {
+            const { min, max } = settingsLimits.variants;
+            throw new Error(`The number of ${VARIANT_LABELS[section]} variants must be a whole number from ${min} to ${max}`);
+        }
+        variants[section] = count;
+    });
+
+    return {
+        provider: provider.name,
+        model,
+        temperature,
+        variants
+    };
+}
+
+module.exports = {
+    resolveSettings
+};
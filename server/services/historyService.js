@@ -0,0 +1,147 @@
+const { getDatabase } = require('../config/database');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PREVIEW_LENGTH = 160;
+const SECTIONS = ['titles', 'descriptions', 'socialCopy'];
+
+// Helper function to turn a stored row back into a generation run
+function toRun(row) {
+    return {
+        id: row.id,
+        createdAt: row.created_at,
+        contentType: row.content_type,
+        content: row.content,
+        targetAudience: row.target_audience,
+        tone: row.tone,
+        source: row.source,
+        userId: row.user_id,
+        username: row.username || null,
+        result: JSON.parse(row.result),
+        selection: row.selection ? JSON.parse(row.selection) : {}
+    };
+}
+
+// Worst compliance status across every option in a stored result
+function overallStatus(result) {
+    const statuses = Object.values(result.compliance || {})
+        .flat()
+        .map(check => check.summary.status);
+    if (statuses.includes('red')) {
+        return 'red';
+    }
+    return statuses.includes('yellow') ? 'yellow' : 'clean';
+}
+
+class HistoryService {
+    // Store a generation run and return its id
+    async save({ contentType, content, targetAudience, tone, result, userId }) {
+        const db = await getDatabase();
+        return db.run(
+            `INSERT INTO generation_runs (created_at, content_type, content, target_audience, tone, source, result, user_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                new Date().toISOString(),
+                contentType || null,
+                content || '',
+                targetAudience || null,
+                tone || null,
+                result.source || null,
+                JSON.stringify(result),
+                userId || null
+            ]
+        );
+    }
+
+    // Record which option the user picked in each section, e.g. { titles: { index: 2, text: '...' } }
+    async updateSelection(id, selection) {
+        const db = await getDatabase();
+        const row = db.get('SELECT selection FROM generation_runs WHERE id = ?', [id]);
+        if (!row) {
+            return null;
+        }
+
+        const merged = row.selection ? JSON.parse(row.selection) : {};
+        SECTIONS.forEach(section => {
+            const choice = selection[section];
+            if (choice && Number.isInteger(choice.index) && typeof choice.text === 'string') {
+                merged[section] = { index: choice.index, text: choice.text };
+            }
+        });
+
+        db.run('UPDATE generation_runs SET selection = ? WHERE id = ?', [JSON.stringify(merged), id]);
+        return merged;
+    }
+
+    async get(id) {
+        const db = await getDatabase();
+        const row = db.get(
+            'SELECT generation_runs.*, users.username FROM generation_runs LEFT JOIN users ON users.id = generation_runs.user_id WHERE generation_runs.id = ?',
+            [id]
+        );
+        return row ? toRun(row) : null;
+    }
+
+    // Search runs by keyword (in the content or any option), date range, content type and author, newest first
+    async search({ q, from, to, contentType, userId, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+        const db = await getDatabase();
+        const conditions = [];
+        const params = [];
+
+        if (q) {
+            conditions.push('(content LIKE ? OR result LIKE ?)');
+            params.push(`%${q}%`, `%${q}%`);
+        }
+        if (from) {
+            conditions.push('generation_runs.created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            // A bare date means the whole of that day
+            conditions.push('generation_runs.created_at <= ?');
+            params.push(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to);
+        }
+        if (contentType) {
+            conditions.push('content_type = ?');
+            params.push(contentType);
+        }
+        if (userId) {
+            conditions.push('user_id = ?');
+            params.push(userId);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const limit = Math.min(Math.max(Number.parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const offset = (Math.max(Number.parseInt(page, 10) || 1, 1) - 1) * limit;
+
+        const { total } = db.get(`SELECT COUNT(*) AS total FROM generation_runs ${where}`, params);
+        const rows = db.all(
+            `SELECT generation_runs.*, users.username FROM generation_runs
+             LEFT JOIN users ON users.id = generation_runs.user_id
+             ${where} ORDER BY generation_runs.created_at DESC, generation_runs.id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        return {
+            total,
+            page: offset / limit + 1,
+            pageSize: limit,
+            runs: rows.map(row => {
+                const run = toRun(row);
+                return {
+                    id: run.id,
+                    createdAt: run.createdAt,
+                    contentType: run.contentType,
+                    source: run.source,
+                    username: run.username,
+                    preview: run.content.slice(0, PREVIEW_LENGTH),
+                    firstTitle: (run.result.titles || [])[0] || '',
+                    selectedTitle: run.selection.titles ? run.selection.titles.text : null,
+                    complianceStatus: overallStatus(run.result)
+                };
+            })
+        };
+    }
+}
+
+module.exports = new HistoryService();
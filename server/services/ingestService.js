@@ -0,0 +1,285 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const cheerio = require('cheerio');
+const mammoth = require('mammoth');
+// The package entry point runs a debug script when loaded outside a parent module, so load the parser directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 5;
+const MAX_DOWNLOAD_BYTES = 5 * 1024 * 1024;
+
+// Addresses a fetched page may not live at: this machine, private networks, link-local addresses
+// (including the 169.254.169.254 cloud metadata service) and other reserved ranges. IPv4 addresses
+// written as IPv6 (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+    ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Elements that never hold article text
+const BOILERPLATE_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button',
+    'nav', 'header', 'footer', 'aside',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// Class or id fragments used by navigation, cookie banners, share bars and the like
+const BOILERPLATE_PATTERN = /(^|[\s_-])(nav|navbar|menu|breadcrumbs?|footer|header|sidebar|cookie|consent|banner|share|social|newsletter|subscribe|related|comments?|promo|advert|ads?)([\s_-]|$)/i;
+
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, td';
+
+// File types accepted for upload, by extension and MIME type
+const FILE_TYPES = [
+    { type: 'html', extensions: /\.html?$/i, mimeTypes: ['text/html', 'application/xhtml+xml'] },
+    { type: 'docx', extensions: /\.docx$/i, mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+    { type: 'pdf', extensions: /\.pdf$/i, mimeTypes: ['application/pdf'] }
+];
+
+function collapseWhitespace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+function countWords(text) {
+    const words = text.match(/\S+/g);
+    return words ? words.length : 0;
+}
+
+class IngestService {
+    // True for addresses a URL import must not reach, so the server cannot be used to probe its own network
+    isBlockedAddress(address) {
+        const family = net.isIP(address);
+        return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    // dns.lookup that refuses hosts resolving to a blocked address. Used for every connection, so the
+    // address checked is the one connected to, on the first request and on every redirect.
+    lookup(hostname, options, callback) {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) {
+                return callback(error);
+            }
+            const addresses = Array.isArray(address) ? address : [{ address, family }];
+            if (addresses.some(entry => this.isBlockedAddress(entry.address))) {
+                return callback(new Error(`${hostname} is a private or reserved address and cannot be imported`));
+            }
+            callback(null, address, family);
+        });
+    }
+
+    // Download a page over HTTP(S), following redirects, up to the size limit. Hosts on private or
+    // reserved networks are refused.
+    fetchUrl(url, redirects = 0) {
+        return new Promise((resolve, reject) => {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (error) {
+                return reject(new Error('Invalid URL'));
+            }
+            if (!['http:', 'https:'].includes(parsed.protocol)) {
+                return reject(new Error('Only http and https URLs can be imported'));
+            }
+
+            // Addresses written into the URL are connected to without a lookup, so check them here
+            const host = parsed.hostname.replace(/^\[|\]$/g, '');
+            if (net.isIP(host) && this.isBlockedAddress(host)) {
+                return reject(new Error(`${host} is a private or reserved address and cannot be imported`));
+            }
+
+            const client = parsed.protocol === 'https:' ? https : http;
+            const request = client.get(parsed, {
+                lookup: (hostname, options, callback) => this.lookup(hostname, options, callback),
+                headers: {
+                    'User-Agent': 'FMG-Metadata-Generator/1.0',
+                    'Accept': 'text/html,application/xhtml+xml,application/pdf;q=0.9,*/*;q=0.8'
+                }
+            }, response => {
+                const { statusCode, headers } = response;
+
+                if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                    response.resume();
+                    if (redirects >= MAX_REDIRECTS) {
+                        return reject(new Error('Too many redirects'));
+                    }
+                    return resolve(this.fetchUrl(new URL(headers.location, parsed).toString(), redirects + 1));
+                }
+
+                if (statusCode < 200 || statusCode >= 300) {
+                    response.resume();
+                    return reject(new Error(`Page returned HTTP ${statusCode}`));
+                }
+
+                const chunks = [];
+                let size = 0;
+                response.on('data', chunk => {
+                    size += chunk.length;
+                    if (size > MAX_DOWNLOAD_BYTES) {
+                        request.destroy(new Error('Page is larger than 5 MB'));
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                response.on('end', () => resolve({
+                    buffer: Buffer.concat(chunks),
+                    contentType: headers['content-type'] || '',
+                    url: parsed.toString()
+                }));
+                response.on('error', reject);
+            });
+
+            request.setTimeout(FETCH_TIMEOUT_MS, () => {
+                request.destroy(new Error('Timed out fetching the page'));
+            });
+            request.on('error', reject);
+        });
+    }
+
+    // Work out whether a file or response is HTML, DOCX or PDF
+    detectType(filename, mimeType) {
+        const mime = (mimeType || '').split(';')[0].trim().toLowerCase();
+        const match = FILE_TYPES.find(fileType => (
+            fileType.mimeTypes.includes(mime) || fileType.extensions.test(filename || '')
+        ));
+        return match ? match.type : null;
+    }
+
+    // Extract the main article text and existing title/description from an HTML document
+    extractHtml(html) {
+        const $ = cheerio.load(html);
+
+        const title = collapseWhitespace(
+            $('meta[property="og:title"]').attr('content') || $('title').first().text() || $('h1').first().text()
+        );
+        const description = collapseWhitespace(
+            $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || ''
+        );
+
+        $(BOILERPLATE_SELECTORS).remove();
+        $('[class], [id]').each((i, element) => {
+            const names = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+            if (BOILERPLATE_PATTERN.test(names) && !$(element).is('body, main, article')) {
+                $(element).remove();
+            }
+        });
+
+        const root = this.findMainElement($);
+        const blocks = [];
+        root.find(BLOCK_SELECTOR).each((i, element) => {
+            // Skip containers whose text is already picked up from a nested block
+            if ($(element).find(BLOCK_SELECTOR).length > 0) {
+                return;
+            }
+            const text = collapseWhitespace($(element).text());
+            if (text) {
+                blocks.push(text);
+            }
+        });
+
+        const content = blocks.length > 0 ? blocks.join('\n\n') : collapseWhitespace(root.text());
+        return { title, description, content };
+    }
+
+    // Prefer semantic containers, otherwise the element holding the most paragraph text
+    findMainElement($) {
+        const semantic = $('article, main, [role="main"]').first();
+        if (semantic.length > 0) {
+            return semantic;
+        }
+
+        let best = $('body');
+        let bestLength = 0;
+        $('p').each((i, paragraph) => {
+            const parent = $(paragraph).parent();
+            const length = parent.children('p').text().length;
+            if (length > bestLength) {
+                best = parent;
+                bestLength = length;
+            }
+        });
+
+        return best.length > 0 ? best : $.root();
+    }
+
+    async extractDocx(buffer) {
+        const { value: html } = await mammoth.convertToHtml({ buffer });
+        const { content } = this.extractHtml(`<article>${html}</article>`);
+        const $ = cheerio.load(html);
+        return {
+            title: collapseWhitespace($('h1').first().text() || ''),
+            description: '',
+            content
+        };
+    }
+
+    async extractPdf(buffer) {
+        // The bundled pdf.js reads the whole underlying ArrayBuffer, but small Buffers share a pool and start
+        // part way into it, so hand it a copy of its own
+        const data = await pdfParse(new Uint8Array(buffer));
+        const content = data.text
+            .split(/\n\s*\n/)
+            .map(collapseWhitespace)
+            .filter(Boolean)
+            .join('\n\n');
+        return {
+            title: collapseWhitespace((data.info && data.info.Title) || ''),
+            description: collapseWhitespace((data.info && data.info.Subject) || ''),
+            content
+        };
+    }
+
+    async extract(buffer, type) {
+        switch (type) {
+            case 'html':
+                return this.extractHtml(buffer.toString('utf8'));
+            case 'docx':
+                return this.extractDocx(buffer);
+            case 'pdf':
+                return this.extractPdf(buffer);
+            default:
+                throw new Error('Unsupported file type. Use HTML, DOCX or PDF');
+        }
+    }
+
+    // Ingest an uploaded file
+    async ingestFile(buffer, filename, mimeType) {
+        const type = this.detectType(filename, mimeType);
+        const extracted = await this.extract(buffer, type);
+        return this.buildResult(extracted, { type, name: filename });
+    }
+
+    // Fetch a URL server-side and ingest whatever it returns
+    async ingestUrl(url) {
+        const response = await this.fetchUrl(url);
+        const type = this.detectType(new URL(response.url).pathname, response.contentType) || 'html';
+        const extracted = await this.extract(response.buffer, type);
+        return this.buildResult(extracted, { type: 'url', format: type, name: response.url });
+    }
+
+    buildResult(extracted, source) {
+        if (!extracted.content) {
+            throw new Error('No article text found');
+        }
+
+        return {
+            source,
+            existing: {
+                title: extracted.title,
+                description: extracted.description
+            },
+            content: extracted.content,
+            wordCount: countWords(extracted.content)
+        };
+    }
+}
+
+module.exports = new IngestService();
@@ -0,0 +1,190 @@
+const prohibitedWords = require('../../data/prohibited-words.json');
+const complianceService = require('./complianceService');
+const generationService = require('./generationService');
+const providerService = require('./providerService');
+const { fitReplacement, startsSentence } = require('./wordForms');
+
+// Terms whose Canadian counterpart is not a like-for-like swap, with the reason shown to writers
+const SEMANTIC_CAVEATS = {
+    'social security': 'The Canada Pension Plan has different contribution, eligibility and benefit rules than Social Security, and Old Age Security may also apply. Review any claims about benefits.',
+    'medicare': 'Canadian health care is administered provincially; Medicare eligibility and coverage details do not carry over.',
+    'medicaid': 'Provincial health care is universal rather than means-tested like Medicaid.',
+    '401k': 'An RRSP is an individual account; employer-sponsored plans in Canada are group RRSPs or pension plans, and contribution limits differ.',
+    'roth ira': 'TFSA contribution room and withdrawal rules differ from a Roth IRA.',
+    'traditional ira': 'RRSP deduction limits and withdrawal rules differ from a traditional IRA.',
+    'hsa': 'Health spending accounts are employer-funded and have no investment component like an HSA.',
+    'fsa': 'Health spending accounts do not have the use-it-or-lose-it rules of an FSA.',
+    'president': 'The Prime Minister is head of government, not head of state.',
+    'dollars': 'Amounts may be in U.S. dollars; confirm the currency and convert figures if needed.',
+    'usd': 'Changing USD to CAD changes the currency; convert the amount or keep it in U.S. dollars.'
+};
+
+// Names for the country that read as a noun ("held in the USA"), or as an adjective before one
+// ("the U.S. tax code"), which becomes "Canadian" rather than "Canada". "America" is only ever a noun.
+const COUNTRY_TERMS = ['united states', 'u.s.', 'usa', 'america'];
+const ADJECTIVE_COUNTRY_TERMS = ['united states', 'u.s.', 'usa'];
+
+// Words that can follow a country name used as a noun: verbs, prepositions, conjunctions, adverbs in -ly
+// and the like ("the USA is", "in the U.S. and abroad"). Any other word is taken to be the noun it describes.
+const NOUN_FOLLOWERS = new Set([
+    'is', 'was', 'are', 'were', 'has', 'had', 'have', 'does', 'did', 'will', 'would', 'can', 'could', 'should',
+    'may', 'might', 'must', 'and', 'or', 'but', 'nor', 'in', 'on', 'at', 'to', 'of', 'for', 'from', 'with', 'by',
+    'as', 'than', 'that', 'which', 'who', 'where', 'when', 'while', 'since', 'before', 'after', 'because', 'if',
+    'so', 'into', 'over', 'under', 'about', 'through', 'today', 'now', 'also', 'still', 'alone', 'itself',
+    'the', 'a', 'an', 'this', 'these', 'those', 'it', 'its', 'we', 'you', 'they', 'he', 'she', 'i', 'our', 'your',
+    'their', 'many', 'most', 'some', 'all', 'every', 'each', 'there', 'here'
+]);
+
+// Words after "American" or an adjectival "U.S." that make the swap a change of currency
+const CURRENCY_WORDS = ['dollar', 'dollars', 'cent', 'cents'];
+const CURRENCY_CAVEAT = 'This changes the currency, not just the wording; convert the amount or keep it in U.S. dollars.';
+
+function followsNoun(word) {
+    const lower = word.toLowerCase();
+    return NOUN_FOLLOWERS.has(lower) || /ly$/.test(lower);
+}
+
+// The word right after index, e.g. "tax" in "U.S. tax code", or null at the end of the text or a clause
+function nextWord(content, index) {
+    const match = content.slice(index).match(/^\s+([\p{L}\d][\p{L}\d'-]*)/u);
+    return match ? match[1] : null;
+}
+
+class LocalizationService {
+    constructor(alternatives = prohibitedWords.canadian_alternatives) {
+        this.loadAlternatives(alternatives);
+    }
+
+    // Replace the US term -> Canadian alternative map, keyed by lower-case term
+    loadAlternatives(alternatives) {
+        this.alternatives = alternatives || {};
+    }
+
+    // Swap US-specific terms for their Canadian alternatives and list every change made. A reviewer
+    // dismissing a finding approves the wording for compliance, not for Canada, so dismissals are ignored.
+    localizeText(text) {
+        const content = typeof text === 'string' ? text : '';
+        const { findings } = complianceService.check(content, {}, { ignoreDismissals: true });
+        const substitutions = [];
+        const flags = [];
+
+        let localized = '';
+        let cursor = 0;
+
+        findings
+            .filter(finding => finding.category === 'us_term')
+            .forEach(finding => {
+                const term = finding.term.toLowerCase();
+                const swap = this.planSwap(content, cursor, finding);
+                const caveat = swap.caveat || SEMANTIC_CAVEATS[term];
+
+                if (caveat) {
+                    flags.push({
+                        term: finding.term,
+                        match: finding.match,
+                        start: finding.start,
+                        end: finding.end,
+                        reason: caveat
+                    });
+                }
+
+                // Terms like "federal" or "senate" map to themselves and need no swap
+                if (!swap.alternative || swap.alternative === term) {
+                    return;
+                }
+
+                const replacement = fitReplacement(finding.match, finding.term, swap.alternative, {
+                    sentenceStart: startsSentence(content, swap.start)
+                }) + swap.suffix;
+
+                localized += content.slice(cursor, swap.start) + replacement;
+                cursor = finding.end;
+
+                substitutions.push({
+                    term: finding.term,
+                    original: content.slice(swap.start, finding.end),
+                    replacement,
+                    start: swap.start,
+                    end: finding.end,
+                    flagged: Boolean(caveat)
+                });
+            });
+
+        localized += content.slice(cursor);
+
+        return {
+            original: content,
+            localized,
+            substitutions,
+            flags
+        };
+    }
+
+    // Work out how one US term is replaced: its alternative, where the replaced text starts (before a
+    // dropped "the"), anything to add after it, and a caveat when the swap changes a currency
+    planSwap(content, cursor, finding) {
+        const term = finding.term.toLowerCase();
+        const swap = { alternative: this.alternatives[term], start: finding.start, suffix: '', caveat: null };
+        const next = nextWord(content, finding.end);
+        const beforeCurrency = Boolean(next) && CURRENCY_WORDS.includes(next.toLowerCase());
+
+        if (term === 'american') {
+            swap.caveat = beforeCurrency ? CURRENCY_CAVEAT : null;
+            return swap;
+        }
+        if (!COUNTRY_TERMS.includes(term)) {
+            return swap;
+        }
+
+        // "U.S." at the end of a sentence also ends the sentence, as in "held in the U.S. Most people..."
+        const endsSentence = /\.$/.test(finding.match) &&
+            (/^[ \t]*(\n|$)/.test(content.slice(finding.end)) || (/^\p{Lu}/u.test(next || '') && followsNoun(next)));
+
+        if (ADJECTIVE_COUNTRY_TERMS.includes(term) && next && !endsSentence && !followsNoun(next)) {
+            swap.alternative = this.alternatives.american || 'canadian';
+            swap.caveat = beforeCurrency ? CURRENCY_CAVEAT : null;
+            return swap;
+        }
+
+        // "the United States" is just "Canada"
+        const article = content.slice(cursor, finding.start).match(/\bthe\s+$/i);
+        if (article) {
+            swap.start -= article[0].length;
+        }
+        if (endsSentence) {
+            swap.suffix = '.';
+        }
+        return swap;
+    }
+
+    // Localize text and, if asked, let the model rewrite passages where a straight swap would mislead
+    async localize(text, { rewrite = false, provider = providerService.get() } = {}) {
+        const result = this.localizeText(text);
+        result.rewrite = null;
+
+        if (rewrite && result.flags.length > 0) {
+            const rewritten = await generationService.localizeContent(result.original, result.flags, provider);
+            if (rewritten) {
+                result.rewrite = { text: rewritten, source: provider.name };
+            }
+        }
+
+        return result;
+    }
+
+    // Localize every generated title, description and social post
+    async localizeMetadata(metadata, options = {}) {
+        const sections = ['titles', 'descriptions', 'socialCopy'];
+        const localized = {};
+
+        for (const section of sections) {
+            localized[section] = await Promise.all(
+                (metadata[section] || []).map(text => this.localize(text, options))
+            );
+        }
+
+        return localized;
+    }
+}
+
+module.exports = new LocalizationService();
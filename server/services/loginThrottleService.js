@@ -0,0 +1,69 @@
+// Failed sign-ins allowed in one window, counted per username and per client address. The address
+// limit is higher because several people can share an office address.
+const WINDOW_MS = Number.parseInt(process.env.LOGIN_WINDOW_MINUTES || '15', 10) * 60 * 1000;
+const MAX_USERNAME_FAILURES = Number.parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+const MAX_ADDRESS_FAILURES = MAX_USERNAME_FAILURES * 4;
+
+// Slows down password guessing against /api/auth/login. Failures are kept in memory, so a restart clears them.
+class LoginThrottleService {
+    constructor() {
+        this.failures = new Map();
+    }
+
+    keys(ip, username) {
+        return {
+            address: `ip:${ip}`,
+            username: `user:${String(username || '').trim().toLowerCase()}`
+        };
+    }
+
+    // Failures for key still inside the window, dropping the entry once it has expired
+    count(key, now = Date.now()) {
+        const entry = this.failures.get(key);
+        if (entry && now - entry.startedAt >= WINDOW_MS) {
+            this.failures.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    // Seconds until another attempt is allowed for this address and username, or 0 when it can go ahead
+    retryAfter(ip, username) {
+        const now = Date.now();
+        const { address, username: user } = this.keys(ip, username);
+        const limits = [[address, MAX_ADDRESS_FAILURES], [user, MAX_USERNAME_FAILURES]];
+
+        const waits = limits.map(([key, limit]) => {
+            const entry = this.count(key, now);
+            return entry && entry.count >= limit ? entry.startedAt + WINDOW_MS - now : 0;
+        });
+        return Math.ceil(Math.max(...waits) / 1000);
+    }
+
+    recordFailure(ip, username) {
+        const now = Date.now();
+        this.prune(now);
+        Object.values(this.keys(ip, username)).forEach(key => {
+            const entry = this.count(key, now) || { count: 0, startedAt: now };
+            entry.count++;
+            this.failures.set(key, entry);
+        });
+    }
+
+    // A correct password clears the username's failures; the address keeps its count so one valid
+    // account cannot be used to reset guessing against others
+    recordSuccess(ip, username) {
+        this.failures.delete(this.keys(ip, username).username);
+    }
+
+    // Forget expired entries so addresses that stopped trying do not pile up
+    prune(now) {
+        this.failures.forEach((entry, key) => {
+            if (now - entry.startedAt >= WINDOW_MS) {
+                this.failures.delete(key);
+            }
+        });
+    }
+}
+
+module.exports = new LoginThrottleService();
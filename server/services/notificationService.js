@@ -0,0 +1,57 @@
+const { getDatabase } = require('../config/database');
+
+const MAX_LISTED = 50;
+
+function toNotification(row) {
+    return {
+        id: row.id,
+        reviewId: row.review_id,
+        message: row.message,
+        createdAt: row.created_at,
+        read: Boolean(row.read_at)
+    };
+}
+
+// In-app notifications shown in the header, e.g. "Your title was approved"
+class NotificationService {
+    // Queue a message for each user; call inside the transaction that caused it
+    notify(db, userIds, reviewId, message) {
+        const now = new Date().toISOString();
+        [...new Set(userIds)].forEach(userId => {
+            db.run(
+                'INSERT INTO notifications (user_id, review_id, message, created_at) VALUES (?, ?, ?, ?)',
+                [userId, reviewId, message, now]
+            );
+        });
+    }
+
+    // Latest notifications for a user, with the number still unread
+    async list(userId) {
+        const db = await getDatabase();
+        const { unread } = db.get(
+            'SELECT COUNT(*) AS unread FROM notifications WHERE user_id = ? AND read_at IS NULL',
+            [userId]
+        );
+        const notifications = db.all(
+            'SELECT * FROM notifications WHERE user_id = ? ORDER BY id DESC LIMIT ?',
+            [userId, MAX_LISTED]
+        ).map(toNotification);
+        return { unread, notifications };
+    }
+
+    // Mark some (or, without ids, all) of a user's notifications as read
+    async markRead(userId, ids) {
+        const db = await getDatabase();
+        const now = new Date().toISOString();
+        if (Array.isArray(ids) && ids.length > 0) {
+            db.run(
+                `UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL AND id IN (${ids.map(() => '?').join(', ')})`,
+                [now, userId, ...ids]
+            );
+        } else {
+            db.run('UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL', [now, userId]);
+        }
+    }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,158 @@
+const { SchemaType } = require('@google/generative-ai');
+
+// Lines like "Here are 5 titles:" or "Sure! Here you go" that models put before the real options
+const PREAMBLE_PATTERN = /^(here\s+(are|is)\b|(sure|certainly|okay|of course)[,!.])|:$/i;
+
+// Numbering ("1.", "2)", "Option 3:"), markdown bullets and heading markers at the start of an option
+const LIST_MARKER_PATTERN = /^\s*(?:(?:option|title|description|post)\s*\d+\s*[:.)-]\s*|\d+\s*[.)]\s+|[-*•]\s+|#+\s+)/i;
+
+// Response schema asking Gemini for { "options": [...] } with exactly count entries
+function buildOptionsSchema(count, label) {
+    return {
+        type: SchemaType.OBJECT,
+        properties: {
+            options: {
+                type: SchemaType.ARRAY,
+                description: `Exactly ${count} ${label} option${count === 1 ? '' : 's'}`,
+                items: {
+                    type: SchemaType.STRING,
+                    description: `The ${label} text only, without numbering, quotes or commentary`
+                },
+                minItems: count,
+                maxItems: count
+            }
+        },
+        required: ['options']
+    };
+}
+
+// Helper function to pull the JSON payload out of a response that may be wrapped in a code fence
+function extractJson(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const body = (fenced ? fenced[1] : text).trim();
+
+    const start = body.search(/[[{]/);
+    if (start === -1) {
+        return null;
+    }
+
+    const closing = body[start] === '{' ? '}' : ']';
+    const end = body.lastIndexOf(closing);
+    return end > start ? body.slice(start, end + 1) : null;
+}
+
+// Helper function to strip numbering, bullets, wrapping quotes and markdown emphasis from an option
+function cleanOption(text) {
+    let option = String(text)
+        .replace(LIST_MARKER_PATTERN, '')
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/__(.+?)__/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Unwrap quotes repeatedly, e.g. "\"Title\""
+    while (/^(["'“‘`]).*(["'”’`])$/.test(option) && option.length > 1) {
+        option = option.slice(1, -1).trim();
+    }
+
+    return option;
+}
+
+function cleanOptions(options, count) {
+    const seen = new Set();
+    return options
+        .map(cleanOption)
+        .filter(option => {
+            const key = option.toLowerCase();
+            if (!option || PREAMBLE_PATTERN.test(option) || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        })
+        .slice(0, count);
+}
+
+// Validate a structured response and return the cleaned options with any schema errors.
+// Falls back to reading one option per line when the response is not JSON at all.
+function parseOptionsResponse(text, count) {
+    const errors = [];
+    const raw = typeof text === 'string' ? text : '';
+    const json = extractJson(raw);
+
+    let candidates = null;
+    if (json) {
+        try {
+            const parsed = JSON.parse(json);
+            if (Array.isArray(parsed)) {
+                candidates = parsed;
+            } else if (parsed && Array.isArray(parsed.options)) {
+                candidates = parsed.options;
+            } else {
+                errors.push('Response must be an object with an "options" array');
+            }
+        } catch (error) {
+            errors.push(`Response is not valid JSON: ${error.message}`);
+        }
+    } else {
+        errors.push('Response does not contain JSON');
+    }
+
+    if (candidates) {
+        const nonStrings = candidates.filter(option => typeof option !== 'string');
+        if (nonStrings.length > 0) {
+            errors.push('Every option must be a string');
+        }
+        candidates = candidates.filter(option => typeof option === 'string');
+    } else {
+        candidates = raw.split('\n');
+    }
+
+    const options = cleanOptions(candidates, count);
+    if (options.length !== count) {
+        errors.push(`Expected ${count} options but got ${options.length}`);
+    }
+
+    return {
+        options,
+        errors,
+        valid: errors.length === 0
+    };
+}
+
+// Options already complete in a response that is still streaming in, e.g. "A" and "B" from
+// {"options": ["A", "B", "C. Only whole strings inside the first array are read.
+function parsePartialOptions(text, count) {
+    const raw = typeof text === 'string' ? text : '';
+    const start = raw.indexOf('[');
+    if (start === -1) {
+        return [];
+    }
+
+    const strings = [];
+    const stringPattern = /"(?:[^"\\]|\\.)*"/g;
+    stringPattern.lastIndex = start;
+    let end = start;
+    let match;
+    while ((match = stringPattern.exec(raw)) !== null) {
+        // Anything after the array closes is not an option
+        if (raw.slice(end, match.index).includes(']')) {
+            break;
+        }
+        try {
+            strings.push(JSON.parse(match[0]));
+        } catch (error) {
+            break;
+        }
+        end = stringPattern.lastIndex;
+    }
+
+    return cleanOptions(strings, count);
+}
+
+module.exports = {
+    buildOptionsSchema,
+    parseOptionsResponse,
+    parsePartialOptions,
+    cleanOption
+};
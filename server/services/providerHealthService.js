@@ -0,0 +1,241 @@
+const { callPolicy } = require('../config/llm');
+const providerService = require('./providerService');
+const CircuitBreaker = require('./circuitBreaker');
+
+// HTTP statuses worth retrying: request timeout, rate limiting and server errors
+const RETRYABLE_STATUSES = [408, 429];
+
+function errorStatus(error) {
+    return error.status || (error.response && error.response.status);
+}
+
+// The provider answered that the request itself was wrong, e.g. a bad key (401) or an invalid
+// parameter (400), or the SDK refused to send it. Says nothing about whether the provider is up.
+function isClientError(error) {
+    const status = errorStatus(error);
+    if (status) {
+        return status >= 400 && status < 500 && !RETRYABLE_STATUSES.includes(status);
+    }
+    return error.name === 'GoogleGenerativeAIRequestInputError';
+}
+
+// Network failures and timeouts have no status; client errors like a bad key will not fix themselves
+function isRetryable(error) {
+    if (isClientError(error)) {
+        return false;
+    }
+    const status = errorStatus(error);
+    return !status || status >= 500 || RETRYABLE_STATUSES.includes(status);
+}
+
+// Wait ms, or less if signal aborts first
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        }
+    });
+}
+
+// Exponential backoff with jitter: about 500ms, 1s, 2s... for the default policy
+function backoffDelay(attempt) {
+    const delay = callPolicy.backoffMs * 2 ** attempt;
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Keeps track of whether each provider is answering. Every call goes through the provider's circuit
+// breaker with a timeout per attempt and backoff between retries, and configured providers are
+// health-checked in the background with a request that costs nothing, such as listing models.
+class ProviderHealthService {
+    constructor() {
+        this.breakers = new Map();
+        this.checks = new Map();
+        this.timer = null;
+    }
+
+    breaker(provider) {
+        if (!this.breakers.has(provider.name)) {
+            this.breakers.set(provider.name, new CircuitBreaker(callPolicy));
+        }
+        return this.breakers.get(provider.name);
+    }
+
+    // True when the provider is configured and its circuit lets calls through
+    isAvailable(provider) {
+        return provider.isConfigured() && this.breaker(provider).isCallPermitted();
+    }
+
+    // Run operation(signal) against the provider. signal aborts when the attempt times out or when the
+    // caller's own signal aborts; a caller's abort is passed on as is and never counts against the provider,
+    // and neither does a client error such as a 400 or 401.
+    async execute(provider, operation, { signal } = {}) {
+        const breaker = this.breaker(provider);
+
+        for (let attempt = 0; ; attempt++) {
+            // Calls arriving while a half-open trial is under way wait to see how it goes
+            while (!breaker.acquire()) {
+                if (!breaker.isTrialPending()) {
+                    const error = new Error(`${provider.label} is unavailable after repeated failures`);
+                    error.circuitOpen = true;
+                    throw error;
+                }
+                await breaker.waitForTrial();
+            }
+
+            try {
+                const result = await this.withTimeout(provider, operation, signal);
+                breaker.recordSuccess();
+                return result;
+            } catch (error) {
+                if (signal && signal.aborted) {
+                    breaker.release();
+                    throw error;
+                }
+
+                // A call counts against the provider once, when its last retry fails, so one bad request cannot
+                // open the circuit for everyone. A retried attempt hands back its claim so a half-open trial is not held.
+                const retry = attempt < callPolicy.retries && isRetryable(error);
+                if (retry || isClientError(error)) {
+                    breaker.release();
+                } else {
+                    breaker.recordFailure(error);
+                }
+                if (!retry) {
+                    throw error;
+                }
+
+                const delay = backoffDelay(attempt);
+                console.log(`⏳ ${provider.label} call failed (${error.message}), retrying in ${delay}ms...`);
+                await sleep(delay, signal);
+                if (signal && signal.aborted) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async withTimeout(provider, operation, signal) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) {
+                abort();
+            } else {
+                signal.addEventListener('abort', abort, { once: true });
+            }
+        }
+
+        let timedOut = false;
+        const timer = callPolicy.timeoutMs > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, callPolicy.timeoutMs) : null;
+
+        try {
+            const result = await operation(controller.signal);
+            // Some SDKs end an aborted stream quietly with what arrived so far instead of throwing
+            if (controller.signal.aborted) {
+                throw new Error(`${provider.label} call was cancelled`);
+            }
+            return result;
+        } catch (error) {
+            if (timedOut) {
+                throw new Error(`${provider.label} did not answer within ${callPolicy.timeoutMs}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', abort);
+            }
+        }
+    }
+
+    // Health-check one provider; a pass lets an open circuit try again, a failure counts against it.
+    // Only changes are logged, so a provider that stays down does not fill the log.
+    async check(provider) {
+        const startedAt = Date.now();
+        const breaker = this.breaker(provider);
+        const previous = this.checks.get(provider.name);
+        let error = null;
+        try {
+            await this.withTimeout(provider, signal => provider.healthCheck({ signal }));
+            breaker.allowTrial();
+        } catch (checkError) {
+            error = checkError.message;
+            breaker.recordFailure(checkError);
+        }
+
+        if (error && (!previous || previous.ok)) {
+            console.log(`❌ ${provider.label} health check failed:`, error);
+        } else if (!error && previous && !previous.ok) {
+            console.log(`✅ ${provider.label} is answering again`);
+        }
+
+        const check = { ok: !error, checkedAt: new Date().toISOString(), latencyMs: Date.now() - startedAt, error };
+        this.checks.set(provider.name, check);
+        return check;
+    }
+
+    async checkAll() {
+        const providers = providerService.all().filter(provider => provider.isConfigured());
+        await Promise.all(providers.map(provider => this.check(provider)));
+    }
+
+    // Check every configured provider now and then every healthIntervalMs; call at startup
+    async start() {
+        await this.checkAll();
+        if (callPolicy.healthIntervalMs > 0 && !this.timer) {
+            this.timer = setInterval(() => this.checkAll(), callPolicy.healthIntervalMs);
+            // Background checks should never keep the process alive on their own
+            this.timer.unref();
+        }
+
+        const defaultProvider = providerService.get();
+        const check = this.checks.get(defaultProvider.name);
+        if (!defaultProvider.isConfigured()) {
+            console.log(`⚠️ ${defaultProvider.label} is not configured, using template fallback`);
+        } else if (check && check.ok) {
+            console.log(`✅ ${defaultProvider.label} (${defaultProvider.model}) is reachable`);
+        }
+    }
+
+    // What /api/health shows without signing in: whether each provider can be used and its circuit
+    // state, but no error text or model names
+    summary() {
+        const { status, defaultProvider, providers } = this.health();
+        return {
+            status,
+            defaultProvider,
+            providers: providers.map(provider => ({
+                name: provider.name,
+                available: provider.available,
+                circuit: provider.circuit.state
+            }))
+        };
+    }
+
+    // State of every provider in full for signed-in users. The service is degraded when the default provider
+    // cannot be used, since generation then falls back to templates.
+    health() {
+        const defaultProvider = providerService.get();
+        const providers = providerService.all().map(provider => ({
+            ...providerService.describe(provider),
+            available: this.isAvailable(provider),
+            circuit: this.breaker(provider).status(),
+            lastCheck: this.checks.get(provider.name) || null
+        }));
+
+        return {
+            status: this.isAvailable(defaultProvider) ? 'ok' : 'degraded',
+            defaultProvider: defaultProvider.name,
+            providers
+        };
+    }
+}
+
+module.exports = new ProviderHealthService();
@@ -0,0 +1,66 @@
+const { defaultProvider } = require('../config/llm');
+const GeminiProvider = require('./providers/geminiProvider');
+const OpenAIProvider = require('./providers/openaiProvider');
+const LocalProvider = require('./providers/localProvider');
+const MockProvider = require('./providers/mockProvider');
+
+// Registry of the language models metadata can be generated with. Each provider has a name, a label,
+// a default model, the models it may be asked for, isConfigured(), generateText(prompt, settings, { signal })
+// and generateJson(prompt, count, label, settings, { signal }), both resolving to the model's raw reply,
+// and healthCheck({ signal }), a request that costs nothing and fails when the provider cannot be used.
+class ProviderService {
+    constructor() {
+        this.providers = new Map();
+        this.register(new GeminiProvider());
+        this.register(new OpenAIProvider());
+        this.register(new LocalProvider());
+        this.register(new MockProvider());
+        this.defaultName = defaultProvider;
+    }
+
+    register(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    all() {
+        return [...this.providers.values()];
+    }
+
+    describe(provider) {
+        return {
+            name: provider.name,
+            label: provider.label,
+            model: provider.model,
+            models: provider.models,
+            configured: provider.isConfigured(),
+            default: provider.name === this.defaultName
+        };
+    }
+
+    list() {
+        return this.all().map(provider => this.describe(provider));
+    }
+
+    // The named provider, or the server default when no name is given. A named provider must be
+    // usable; the default may be unconfigured, in which case generation falls back to templates.
+    get(name) {
+        if (!name) {
+            const provider = this.providers.get(this.defaultName);
+            if (!provider) {
+                throw new Error(`Unknown AI provider in LLM_PROVIDER: ${this.defaultName}`);
+            }
+            return provider;
+        }
+
+        const provider = this.providers.get(String(name).trim().toLowerCase());
+        if (!provider) {
+            throw new Error(`Unknown AI provider: ${name}`);
+        }
+        if (!provider.isConfigured()) {
+            throw new Error(`${provider.label} is not configured on this server`);
+        }
+        return provider;
+    }
+}
+
+module.exports = new ProviderService();
@@ -0,0 +1,82 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { generationConfig, modelList } = require('../../config/llm');
+const { buildOptionsSchema } = require('../optionSchema');
+
+class GeminiProvider {
+    constructor(
+        apiKey = process.env.GEMINI_API_KEY,
+        model = process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+        models = process.env.GEMINI_MODELS
+    ) {
+        this.name = 'gemini';
+        this.label = 'Gemini';
+        this.apiKey = apiKey;
+        this.model = model;
+        this.models = modelList(model, models);
+        this.client = null;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    getModel(model) {
+        if (!this.client) {
+            this.client = new GoogleGenerativeAI(this.apiKey);
+        }
+        return this.client.getGenerativeModel({ model: model || this.model });
+    }
+
+    // Shared sampling settings with the request's temperature
+    generationConfig(settings) {
+        return {
+            ...generationConfig,
+            temperature: settings.temperature !== undefined ? settings.temperature : generationConfig.temperature
+        };
+    }
+
+    async generateText(prompt, settings = {}, { signal } = {}) {
+        const result = await this.getModel(settings.model).generateContent({
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            generationConfig: this.generationConfig(settings)
+        }, { signal });
+        const response = await result.response;
+        return response.text();
+    }
+
+    // Gemini can be held to a response schema, so the reply is always { "options": [...] }
+    jsonRequest(prompt, count, label, settings) {
+        return {
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            generationConfig: {
+                ...this.generationConfig(settings),
+                responseMimeType: 'application/json',
+                responseSchema: buildOptionsSchema(count, label)
+            }
+        };
+    }
+
+    async generateJson(prompt, count, label, settings = {}, { signal } = {}) {
+        const result = await this.getModel(settings.model).generateContent(this.jsonRequest(prompt, count, label, settings), { signal });
+        const response = await result.response;
+        return response.text();
+    }
+
+    // Same as generateJson, calling onText with the response so far as each chunk arrives
+    async streamJson(prompt, count, label, settings = {}, { signal, onText } = {}) {
+        const result = await this.getModel(settings.model).generateContentStream(this.jsonRequest(prompt, count, label, settings), { signal });
+        let text = '';
+        for await (const chunk of result.stream) {
+            text += chunk.text();
+            onText(text);
+        }
+        return text;
+    }
+
+    // Counting tokens checks the key and model without paying for a generation
+    async healthCheck({ signal } = {}) {
+        await this.getModel().countTokens('Hello', { signal });
+    }
+}
+
+module.exports = GeminiProvider;
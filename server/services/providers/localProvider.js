@@ -0,0 +1,21 @@
+const OpenAIProvider = require('./openaiProvider');
+
+// A model served on our own hardware through an OpenAI-compatible endpoint, e.g. Ollama
+// (http://localhost:11434/v1) or the llama.cpp server (http://localhost:8080/v1)
+class LocalProvider extends OpenAIProvider {
+    constructor({
+        baseURL = process.env.LOCAL_LLM_URL,
+        model = process.env.LOCAL_LLM_MODEL || 'llama3.1',
+        models = process.env.LOCAL_LLM_MODELS,
+        apiKey = process.env.LOCAL_LLM_API_KEY
+    } = {}) {
+        // The client library insists on a key even though most local servers ignore it
+        super({ name: 'local', label: 'Local model', apiKey: apiKey || 'local', model, models, baseURL });
+    }
+
+    isConfigured() {
+        return Boolean(this.baseURL);
+    }
+}
+
+module.exports = LocalProvider;
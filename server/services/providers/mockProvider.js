@@ -0,0 +1,61 @@
+// Content quoted in every generation prompt, e.g. Content: "Saving for retirement..."
+const CONTENT_PATTERN = /^Content: "([\s\S]*?)"$/m;
+
+const TOPIC_WORDS = 6;
+
+// Canned answers built only from the prompt, so the same request always gets the same options.
+// Lets the whole pipeline run offline, in development or in automated checks, without an API key.
+class MockProvider {
+    constructor() {
+        this.name = 'mock';
+        this.label = 'Mock (offline)';
+        this.model = 'mock';
+        this.models = ['mock'];
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    promptContent(prompt) {
+        const match = prompt.match(CONTENT_PATTERN);
+        return match ? match[1].trim() : '';
+    }
+
+    // Leading words of the content, e.g. "Saving for retirement in your thirties"
+    topic(prompt) {
+        const words = this.promptContent(prompt).split(/\s+/).filter(Boolean).slice(0, TOPIC_WORDS);
+        return words.length > 0 ? words.join(' ').replace(/[.,;:!?]+$/, '') : 'your content';
+    }
+
+    async healthCheck() {
+        return true;
+    }
+
+    // The content handed back unchanged, e.g. as a localization rewrite
+    async generateText(prompt) {
+        return this.promptContent(prompt) || 'Mock response';
+    }
+
+    async generateJson(prompt, count, label) {
+        const topic = this.topic(prompt);
+        const options = Array.from({ length: count }, (value, i) => `Mock ${label} ${i + 1}: ${topic}`);
+        return JSON.stringify({ options });
+    }
+
+    // The same options as generateJson, handed over one at a time the way a streaming model would
+    async streamJson(prompt, count, label, settings = {}, { onText } = {}) {
+        const { options } = JSON.parse(await this.generateJson(prompt, count, label));
+        let text = '{"options":[';
+        for (const [i, option] of options.entries()) {
+            await new Promise(resolve => setImmediate(resolve));
+            text += `${i > 0 ? ',' : ''}${JSON.stringify(option)}`;
+            onText(text);
+        }
+        text += ']}';
+        onText(text);
+        return text;
+    }
+}
+
+module.exports = MockProvider;
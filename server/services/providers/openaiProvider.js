@@ -0,0 +1,84 @@
+const { generationConfig, modelList } = require('../../config/llm');
+
+// OpenAI's chat completions API. Also the base for servers that speak the same API.
+class OpenAIProvider {
+    constructor({
+        name = 'openai',
+        label = 'OpenAI',
+        apiKey = process.env.OPENAI_API_KEY,
+        model = process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        models = process.env.OPENAI_MODELS,
+        baseURL = process.env.OPENAI_BASE_URL
+    } = {}) {
+        this.name = name;
+        this.label = label;
+        this.apiKey = apiKey;
+        this.model = model;
+        this.models = modelList(model, models);
+        this.baseURL = baseURL;
+        this.client = null;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    getClient() {
+        if (!this.client) {
+            const OpenAI = require('openai');
+            // Retries and timeouts are handled by providerHealthService for every provider alike
+            this.client = new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL || undefined, maxRetries: 0 });
+        }
+        return this.client;
+    }
+
+    request(prompt, settings, extra) {
+        return {
+            model: settings.model || this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: settings.temperature !== undefined ? settings.temperature : generationConfig.temperature,
+            top_p: generationConfig.topP,
+            max_tokens: generationConfig.maxOutputTokens,
+            ...extra
+        };
+    }
+
+    async complete(prompt, settings, signal, extra = {}) {
+        const completion = await this.getClient().chat.completions.create(this.request(prompt, settings, extra), { signal });
+        const choice = completion.choices && completion.choices[0];
+        return (choice && choice.message && choice.message.content) || '';
+    }
+
+    async generateText(prompt, settings = {}, { signal } = {}) {
+        return this.complete(prompt, settings, signal);
+    }
+
+    // JSON mode only promises valid JSON; the prompt spells out the { "options": [...] } shape
+    async generateJson(prompt, count, label, settings = {}, { signal } = {}) {
+        return this.complete(prompt, settings, signal, { response_format: { type: 'json_object' } });
+    }
+
+    // Same as generateJson, calling onText with the response so far as each chunk arrives
+    async streamJson(prompt, count, label, settings = {}, { signal, onText } = {}) {
+        const stream = await this.getClient().chat.completions.create(
+            this.request(prompt, settings, { response_format: { type: 'json_object' }, stream: true }),
+            { signal }
+        );
+        let text = '';
+        for await (const chunk of stream) {
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (delta && delta.content) {
+                text += delta.content;
+                onText(text);
+            }
+        }
+        return text;
+    }
+
+    // Listing models checks the key and endpoint without paying for a completion
+    async healthCheck({ signal } = {}) {
+        await this.getClient().models.list({ signal });
+    }
+}
+
+module.exports = OpenAIProvider;
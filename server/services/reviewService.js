@@ -0,0 +1,483 @@
+const { getDatabase } = require('../config/database');
+const complianceService = require('./complianceService');
+const notificationService = require('./notificationService');
+const userService = require('./userService');
+const exportService = require('./exportService');
+const dismissalService = require('./dismissalService');
+
+// draft -> in_review -> approved or rejected; rejected items can be edited and resubmitted
+const STATUSES = ['draft', 'in_review', 'approved', 'rejected'];
+
+// Selected options that go through review, and their columns
+const FIELDS = {
+    title: 'title',
+    description: 'description',
+    socialCopy: 'social_copy'
+};
+
+const STATUS_RANK = { clean: 0, yellow: 1, red: 2 };
+const MAX_COMMENT_LENGTH = 2000;
+
+// Helper function to build an error whose status the route passes on (403, 404, 409)
+function reviewError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function person(row, prefix) {
+    if (!row[`${prefix}_id`]) {
+        return null;
+    }
+    return {
+        id: row[`${prefix}_id`],
+        username: row[`${prefix}_username`],
+        displayName: row[`${prefix}_display_name`] || row[`${prefix}_username`]
+    };
+}
+
+// Worst compliance status across the reviewed fields
+function overallStatus(compliance) {
+    return Object.values(compliance).reduce((worst, check) => (
+        STATUS_RANK[check.summary.status] > STATUS_RANK[worst] ? check.summary.status : worst
+    ), 'clean');
+}
+
+function toReview(row) {
+    const compliance = JSON.parse(row.compliance);
+    return {
+        id: row.id,
+        runId: row.run_id,
+        status: row.status,
+        contentType: row.content_type,
+        client: row.client,
+        url: row.url,
+        title: row.title,
+        description: row.description,
+        socialCopy: row.social_copy,
+        compliance,
+        complianceStatus: overallStatus(compliance),
+        ruleSetVersion: row.rule_set_version,
+        author: person(row, 'author'),
+        reviewer: person(row, 'reviewer'),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        submittedAt: row.submitted_at,
+        decidedAt: row.decided_at
+    };
+}
+
+function toEvent(row) {
+    return {
+        id: row.id,
+        action: row.action,
+        status: row.status,
+        comment: row.comment,
+        changes: row.changes ? JSON.parse(row.changes) : null,
+        ruleSetVersion: row.rule_set_version,
+        user: person(row, 'user'),
+        createdAt: row.created_at
+    };
+}
+
+function cleanComment(comment) {
+    const text = typeof comment === 'string' ? comment.trim() : '';
+    return text ? text.slice(0, MAX_COMMENT_LENGTH) : null;
+}
+
+const REVIEW_SELECT = `SELECT reviews.*,
+        author.username AS author_username, author.display_name AS author_display_name,
+        reviewer.username AS reviewer_username, reviewer.display_name AS reviewer_display_name
+    FROM reviews
+    JOIN users author ON author.id = reviews.author_id
+    LEFT JOIN users reviewer ON reviewer.id = reviews.reviewer_id`;
+
+class ReviewService {
+    get statuses() {
+        return STATUSES;
+    }
+
+    // Check each field on its own against the rules in force now, with the allow-lists for the
+    // review's content type and client
+    checkFields(fields, context) {
+        const compliance = {};
+        Object.keys(FIELDS).forEach(field => {
+            compliance[field] = complianceService.check(fields[field], context);
+        });
+        return compliance;
+    }
+
+    // Trimmed field values from a request, falling back to the current ones for fields left out
+    readFields(data, current = {}) {
+        const fields = {};
+        Object.keys(FIELDS).forEach(field => {
+            const value = data[field] === undefined ? current[field] : data[field];
+            fields[field] = typeof value === 'string' ? value.trim() : '';
+        });
+        if (!Object.values(fields).some(Boolean)) {
+            throw reviewError(400, 'Select at least one option to review');
+        }
+        return fields;
+    }
+
+    canView(review, user) {
+        return review.author.id === user.id || userService.hasRole(user, 'reviewer');
+    }
+
+    reviewerIds(db, exceptId) {
+        return db.all("SELECT id FROM users WHERE role IN ('reviewer', 'admin') AND disabled = 0 AND id != ?", [exceptId])
+            .map(row => row.id);
+    }
+
+    // Someone who should hear about the author's changes: the reviewer who handled it, or every reviewer
+    handlerIds(db, review) {
+        return review.reviewer ? [review.reviewer.id] : this.reviewerIds(db, review.author.id);
+    }
+
+    addEvent(db, reviewId, user, action, status, { comment = null, changes = null } = {}) {
+        db.run(
+            `INSERT INTO review_events (review_id, user_id, action, status, comment, changes, rule_set_version, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [reviewId, user.id, action, status, comment, changes ? JSON.stringify(changes) : null,
+                complianceService.version, new Date().toISOString()]
+        );
+    }
+
+    // Field-by-field before/after for the fields that changed
+    diffFields(review, fields) {
+        const changes = {};
+        Object.keys(FIELDS).forEach(field => {
+            if (review[field] !== fields[field]) {
+                changes[field] = { before: review[field], after: fields[field] };
+            }
+        });
+        return changes;
+    }
+
+    saveFields(db, review, fields, extra = {}) {
+        const compliance = this.checkFields(fields, { contentType: review.contentType, client: review.client });
+        const assignments = { ...extra, updated_at: new Date().toISOString() };
+        Object.entries(FIELDS).forEach(([field, column]) => {
+            assignments[column] = fields[field];
+        });
+        assignments.compliance = JSON.stringify(compliance);
+        assignments.rule_set_version = complianceService.version;
+
+        const columns = Object.keys(assignments);
+        db.run(
+            `UPDATE reviews SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => assignments[column]), review.id]
+        );
+    }
+
+    // Create a review from the options a writer selected, as a draft or straight into review
+    async create(data, user) {
+        const fields = this.readFields(data);
+        const db = await getDatabase();
+        const now = new Date().toISOString();
+        const status = data.submit ? 'in_review' : 'draft';
+        const context = {
+            contentType: data.contentType || null,
+            client: typeof data.client === 'string' ? data.client.trim() || null : null
+        };
+
+        const id = db.transaction(() => {
+            const reviewId = db.run(
+                `INSERT INTO reviews (run_id, status, content_type, client, url, title, description, social_copy, compliance,
+                    rule_set_version, author_id, created_at, updated_at, submitted_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [Number.parseInt(data.runId, 10) || null, status, context.contentType, context.client, (data.url || '').trim() || null,
+                    fields.title, fields.description, fields.socialCopy, JSON.stringify(this.checkFields(fields, context)),
+                    complianceService.version, user.id, now, now, data.submit ? now : null]
+            );
+            this.addEvent(db, reviewId, user, data.submit ? 'submitted' : 'created', status, { comment: cleanComment(data.comment) });
+            if (data.submit) {
+                notificationService.notify(db, this.reviewerIds(db, user.id), reviewId,
+                    `${user.displayName} submitted "${fields.title || fields.description}" for review`);
+            }
+            return reviewId;
+        });
+
+        return this.get(id, user);
+    }
+
+    // Reviews the user can see, newest first; writers only see their own
+    async list({ status, mine } = {}, user) {
+        const db = await getDatabase();
+        const conditions = [];
+        const params = [];
+
+        if (status && STATUSES.includes(status)) {
+            conditions.push('reviews.status = ?');
+            params.push(status);
+        }
+        if (mine || !userService.hasRole(user, 'reviewer')) {
+            conditions.push('reviews.author_id = ?');
+            params.push(user.id);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const counts = {};
+        STATUSES.forEach(name => {
+            counts[name] = 0;
+        });
+        const visibility = userService.hasRole(user, 'reviewer') && !mine ? '' : 'WHERE author_id = ?';
+        db.all(`SELECT status, COUNT(*) AS total FROM reviews ${visibility} GROUP BY status`, visibility ? [user.id] : [])
+            .forEach(row => {
+                counts[row.status] = row.total;
+            });
+
+        return {
+            counts,
+            reviews: db.all(`${REVIEW_SELECT} ${where} ORDER BY reviews.updated_at DESC, reviews.id DESC`, params).map(toReview)
+        };
+    }
+
+    // One review with its history; throws 404 when it does not exist or the user cannot see it
+    async get(id, user) {
+        const db = await getDatabase();
+        const row = db.get(`${REVIEW_SELECT} WHERE reviews.id = ?`, [id]);
+        const review = row ? toReview(row) : null;
+        if (!review || !this.canView(review, user)) {
+            throw reviewError(404, 'Review not found');
+        }
+
+        review.events = db.all(
+            `SELECT review_events.*, users.id AS user_id, users.username AS user_username, users.display_name AS user_display_name
+             FROM review_events JOIN users ON users.id = review_events.user_id
+             WHERE review_id = ? ORDER BY review_events.id`,
+            [review.id]
+        ).map(toEvent);
+        return review;
+    }
+
+    // Authors edit drafts and rejected items; reviewers edit items waiting for their decision
+    async update(id, data, user) {
+        const review = await this.get(id, user);
+        const isAuthor = review.author.id === user.id;
+        const authorCanEdit = isAuthor && ['draft', 'rejected'].includes(review.status);
+        const reviewerCanEdit = !isAuthor && review.status === 'in_review' && userService.hasRole(user, 'reviewer');
+        if (!authorCanEdit && !reviewerCanEdit) {
+            throw reviewError(409, isAuthor
+                ? 'You can only edit drafts and rejected items'
+                : 'Reviewers can only edit items that are in review');
+        }
+
+        const fields = this.readFields(data, review);
+        const changes = this.diffFields(review, fields);
+        const comment = cleanComment(data.comment);
+        if (Object.keys(changes).length === 0 && !comment) {
+            return review;
+        }
+
+        const db = await getDatabase();
+        db.transaction(() => {
+            this.saveFields(db, review, fields, reviewerCanEdit ? { reviewer_id: user.id } : {});
+            this.addEvent(db, review.id, user, 'edited', review.status, { comment, changes });
+            if (reviewerCanEdit) {
+                notificationService.notify(db, [review.author.id], review.id,
+                    `${user.displayName} edited "${fields.title || fields.description}"${comment ? `: ${comment}` : ''}`);
+            }
+        });
+
+        return this.get(review.id, user);
+    }
+
+    // Send a draft, or a rejected item after changes, to the reviewers
+    async submit(id, data, user) {
+        const review = await this.get(id, user);
+        if (review.author.id !== user.id) {
+            throw reviewError(403, 'Only the author can submit this item');
+        }
+        if (!['draft', 'rejected'].includes(review.status)) {
+            throw reviewError(409, 'Only drafts and rejected items can be submitted');
+        }
+
+        const db = await getDatabase();
+        const resubmitted = review.status === 'rejected';
+        db.transaction(() => {
+            // Findings are re-checked so the reviewer sees them against the rules in force now
+            this.saveFields(db, review, review, {
+                status: 'in_review',
+                submitted_at: new Date().toISOString(),
+                decided_at: null
+            });
+            this.addEvent(db, review.id, user, resubmitted ? 'resubmitted' : 'submitted', 'in_review', {
+                comment: cleanComment(data.comment)
+            });
+            notificationService.notify(db, resubmitted ? this.handlerIds(db, review) : this.reviewerIds(db, user.id), review.id,
+                `${user.displayName} ${resubmitted ? 'resubmitted' : 'submitted'} "${review.title || review.description}" for review`);
+        });
+
+        return this.get(review.id, user);
+    }
+
+    // Approve or reject, optionally editing the fields first. Authors cannot review their own work.
+    async decide(id, data, user) {
+        const review = await this.get(id, user);
+        if (!['approve', 'reject'].includes(data.decision)) {
+            throw reviewError(400, 'Decision must be approve or reject');
+        }
+        if (review.author.id === user.id) {
+            throw reviewError(403, 'You cannot review your own submission');
+        }
+        if (review.status !== 'in_review') {
+            throw reviewError(409, 'Only items in review can be approved or rejected');
+        }
+
+        const fields = this.readFields(data, review);
+        const changes = this.diffFields(review, fields);
+        const comment = cleanComment(data.comment);
+        const compliance = this.checkFields(fields, { contentType: review.contentType, client: review.client });
+        if (data.decision === 'reject' && !comment) {
+            throw reviewError(400, 'Explain what needs to change when rejecting');
+        }
+        if (data.decision === 'approve' && overallStatus(compliance) === 'red' && !comment) {
+            throw reviewError(400, 'Add a comment explaining why red-flagged text is approved');
+        }
+
+        const status = data.decision === 'approve' ? 'approved' : 'rejected';
+        const db = await getDatabase();
+        db.transaction(() => {
+            if (Object.keys(changes).length > 0) {
+                this.addEvent(db, review.id, user, 'edited', review.status, { changes });
+            }
+            this.saveFields(db, review, fields, {
+                status,
+                reviewer_id: user.id,
+                decided_at: new Date().toISOString()
+            });
+            this.addEvent(db, review.id, user, status, status, { comment });
+            notificationService.notify(db, [review.author.id], review.id,
+                `${user.displayName} ${status} "${fields.title || fields.description}"${comment ? `: ${comment}` : ''}`);
+        });
+
+        return this.get(review.id, user);
+    }
+
+    async comment(id, data, user) {
+        const review = await this.get(id, user);
+        const comment = cleanComment(data.comment);
+        if (!comment) {
+            throw reviewError(400, 'Comment is required');
+        }
+
+        const db = await getDatabase();
+        const recipients = review.author.id === user.id ? this.handlerIds(db, review) : [review.author.id];
+        db.transaction(() => {
+            this.addEvent(db, review.id, user, 'commented', review.status, { comment });
+            notificationService.notify(db, recipients, review.id,
+                `${user.displayName} commented on "${review.title || review.description}": ${comment}`);
+        });
+
+        return this.get(review.id, user);
+    }
+
+    // A reviewer accepts one finding in one field; the same text is not flagged for it again anywhere
+    async dismissFinding(id, data, user) {
+        const review = await this.get(id, user);
+        if (review.author.id === user.id) {
+            throw reviewError(403, 'You cannot dismiss findings on your own submission');
+        }
+        if (review.status !== 'in_review') {
+            throw reviewError(409, 'Findings can only be dismissed while the item is in review');
+        }
+        if (!FIELDS[data.field]) {
+            throw reviewError(400, 'Field must be title, description or socialCopy');
+        }
+
+        let dismissal;
+        try {
+            dismissal = await dismissalService.create({
+                text: review[data.field],
+                ruleId: data.ruleId,
+                justification: data.justification
+            }, user);
+        } catch (error) {
+            throw reviewError(400, error.message);
+        }
+
+        const db = await getDatabase();
+        db.transaction(() => {
+            this.saveFields(db, review, review, { reviewer_id: user.id });
+            this.addEvent(db, review.id, user, 'dismissed', review.status, {
+                comment: `"${dismissal.match}" in the ${data.field === 'socialCopy' ? 'social copy' : data.field}: ${dismissal.justification}`
+            });
+            notificationService.notify(db, [review.author.id], review.id,
+                `${user.displayName} dismissed "${dismissal.match}" in "${review.title || review.description}"`);
+        });
+
+        return this.get(review.id, user);
+    }
+
+    // Everything needed to show what was approved, by whom, and against which rules
+    async getRecord(id, user) {
+        const review = await this.get(id, user);
+        return {
+            id: review.id,
+            status: review.status,
+            contentType: review.contentType,
+            client: review.client,
+            url: review.url,
+            title: review.title,
+            description: review.description,
+            socialCopy: review.socialCopy,
+            ruleSetVersion: review.ruleSetVersion,
+            complianceStatus: review.complianceStatus,
+            findings: Object.entries(review.compliance).flatMap(([field, check]) => (
+                check.findings.map(finding => ({ field, term: finding.term, match: finding.match, severity: finding.severity }))
+            )),
+            dismissedFindings: Object.entries(review.compliance).flatMap(([field, check]) => (
+                (check.dismissed || []).map(finding => ({
+                    field,
+                    term: finding.term,
+                    match: finding.match,
+                    severity: finding.severity,
+                    justification: finding.dismissal.justification,
+                    dismissedBy: finding.dismissal.dismissedBy
+                }))
+            )),
+            author: review.author,
+            reviewer: review.reviewer,
+            submittedAt: review.submittedAt,
+            decidedAt: review.decidedAt,
+            history: review.events.map(event => ({
+                at: event.createdAt,
+                by: event.user.username,
+                action: event.action,
+                status: event.status,
+                comment: event.comment,
+                changes: event.changes,
+                ruleSetVersion: event.ruleSetVersion
+            })),
+            exportedAt: new Date().toISOString()
+        };
+    }
+
+    // The approval record as CSV: a summary row for the item followed by one row per history entry
+    recordToCsv(record) {
+        const rows = [
+            [record.decidedAt || record.submittedAt || '', record.reviewer ? record.reviewer.username : '', 'summary', record.status,
+                record.ruleSetVersion || '', record.title, record.description, record.socialCopy,
+                [
+                    ...record.findings.map(finding => `${finding.field}: ${finding.match} (${finding.severity})`),
+                    ...record.dismissedFindings.map(finding => (
+                        `${finding.field}: ${finding.match} (${finding.severity}, dismissed by ${finding.dismissedBy}: ${finding.justification})`
+                    ))
+                ].join('; ')],
+            ...record.history.map(entry => [
+                entry.at, entry.by, entry.action, entry.status, entry.ruleSetVersion || '',
+                entry.changes && entry.changes.title ? entry.changes.title.after : '',
+                entry.changes && entry.changes.description ? entry.changes.description.after : '',
+                entry.changes && entry.changes.socialCopy ? entry.changes.socialCopy.after : '',
+                entry.comment || ''
+            ])
+        ];
+        return exportService.formatCsv(
+            ['at', 'by', 'action', 'status', 'rule_set_version', 'title', 'description', 'social_copy', 'notes'],
+            rows
+        );
+    }
+}
+
+module.exports = new ReviewService();
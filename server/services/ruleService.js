@@ -0,0 +1,459 @@
+const { getDatabase } = require('../config/database');
+const complianceService = require('./complianceService');
+const localizationService = require('./localizationService');
+const seedRules = require('../../data/prohibited-words.json');
+
+const EMOJI_LIST = 'prohibited_emojis';
+const US_TERM_LIST = 'us_specific_terms';
+
+// A term may only be in one of these lists, so it never has two severities
+const SEVERITY_LISTS = ['red_words', 'yellow_words'];
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+const MAX_FIELD_LENGTH = 500;
+const MAX_ALLOWANCES = 50;
+
+// Content types a rule can be allowed for, as offered by the generator form
+const CONTENT_TYPES = ['article', 'video', 'email', 'social', 'landing'];
+
+// Columns saved in each rule-set version, and the ones compared when diffing two versions
+const SNAPSHOT_COLUMNS = ['id', 'list', 'term', 'normalized', 'alternative', 'category', 'reason', 'owner', 'enabled',
+    'exceptions', 'allowed_content_types', 'allowed_clients', 'created_at', 'updated_at', 'updated_by'];
+const DIFF_FIELDS = ['list', 'term', 'alternative', 'category', 'reason', 'owner', 'enabled',
+    'exceptions', 'allowedContentTypes', 'allowedClients'];
+
+// Helper function to read a JSON list column; versions saved before the column existed have none
+function parseList(value) {
+    return value ? JSON.parse(value) : [];
+}
+
+// Helper function to shape a stored row for the API
+function toRule(row) {
+    return {
+        id: row.id,
+        list: row.list,
+        term: row.term,
+        alternative: row.alternative,
+        category: row.category,
+        reason: row.reason,
+        owner: row.owner,
+        enabled: Boolean(row.enabled),
+        exceptions: parseList(row.exceptions),
+        allowedContentTypes: parseList(row.allowed_content_types),
+        allowedClients: parseList(row.allowed_clients),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        updatedBy: row.updated_by
+    };
+}
+
+function toVersion(row) {
+    return {
+        version: row.id,
+        createdAt: row.created_at,
+        author: row.author,
+        reason: row.reason,
+        summary: row.summary,
+        ruleCount: JSON.parse(row.rules).length
+    };
+}
+
+function optionalText(value) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    return text ? text.slice(0, MAX_FIELD_LENGTH) : null;
+}
+
+// Read an on/off field sent as JSON or from a form post, where "false" and "0" mean off
+function flag(value, label) {
+    if (value === true || value === 'true' || value === 1 || value === '1') {
+        return true;
+    }
+    if (value === false || value === 'false' || value === 0 || value === '0') {
+        return false;
+    }
+    throw new Error(`${label} must be true or false`);
+}
+
+// Accept an array or a comma/newline separated string; drops blanks and case-insensitive repeats
+function textList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+    const seen = new Set();
+    return items
+        .map(optionalText)
+        .filter(item => {
+            if (!item || seen.has(item.toLowerCase())) {
+                return false;
+            }
+            seen.add(item.toLowerCase());
+            return true;
+        })
+        .slice(0, MAX_ALLOWANCES);
+}
+
+// Helper function to store a list column, or null when it is empty
+function listColumn(items) {
+    return items.length > 0 ? JSON.stringify(items) : null;
+}
+
+class RuleService {
+    get lists() {
+        return complianceService.getRuleLists();
+    }
+
+    get contentTypes() {
+        return CONTENT_TYPES;
+    }
+
+    listLabel(list) {
+        const match = this.lists.find(entry => entry.list === list);
+        return match ? match.label.toLowerCase() : list;
+    }
+
+    // Copy data/prohibited-words.json into the database the first time the rules table is used, and
+    // record it as the first version to compare later changes with. Once any version exists the rules
+    // belong to the admins, so deleting every rule or rolling back to an empty set stays empty.
+    async seed() {
+        const db = await getDatabase();
+        if (this.currentVersion(db)) {
+            return;
+        }
+        if (db.get('SELECT COUNT(*) AS total FROM compliance_rules').total === 0) {
+            this.importSeedFile(db);
+        }
+        db.transaction(() => this.recordVersion(db, { username: 'system' }, 'Initial rule set', 'Initial rule set'));
+    }
+
+    importSeedFile(db) {
+        const now = new Date().toISOString();
+        const seen = new Set();
+        let skipped = 0;
+
+        db.transaction(() => {
+            this.lists.forEach(({ list }) => {
+                (seedRules[list] || []).forEach(term => {
+                    const normalized = complianceService.normalizeTerm(list, term);
+                    const key = SEVERITY_LISTS.includes(list) ? `severity:${normalized}` : `${list}:${normalized}`;
+                    // The file lists some words twice, or as both red and yellow; the first (reddest) entry wins
+                    if (!normalized || seen.has(key)) {
+                        skipped++;
+                        return;
+                    }
+                    seen.add(key);
+
+                    const alternative = list === US_TERM_LIST ? (seedRules.canadian_alternatives || {})[term.toLowerCase()] : null;
+                    db.run(
+                        `INSERT INTO compliance_rules (list, term, normalized, alternative, owner, created_at, updated_at, updated_by)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [list, term, normalized, alternative || null, null, now, now, 'seed']
+                    );
+                });
+            });
+        });
+
+        console.log(`🗄️ Imported compliance rules from prohibited-words.json${skipped > 0 ? ` (${skipped} duplicate(s) skipped)` : ''}`);
+    }
+
+    currentVersion(db) {
+        return db.get('SELECT MAX(id) AS version FROM rule_set_versions').version || null;
+    }
+
+    // Store the rules as they are now as a new version; call inside the transaction that changed them
+    recordVersion(db, user, reason, summary) {
+        const rules = db.all(`SELECT ${SNAPSHOT_COLUMNS.join(', ')} FROM compliance_rules ORDER BY id`);
+        return db.run(
+            'INSERT INTO rule_set_versions (created_at, author, reason, summary, rules) VALUES (?, ?, ?, ?, ?)',
+            [new Date().toISOString(), user.username, reason, summary, JSON.stringify(rules)]
+        );
+    }
+
+    // Apply a change and record it as a new version in one transaction, then hot reload the matchers
+    async commit(changeReason, user, summary, change) {
+        const reason = optionalText(changeReason);
+        if (!reason) {
+            throw new Error('Give a reason for this change');
+        }
+
+        const db = await getDatabase();
+        const result = db.transaction(() => {
+            const changed = change(db);
+            this.recordVersion(db, user, reason, summary);
+            return changed;
+        });
+
+        await this.reload();
+        return result;
+    }
+
+    // Rebuild the compliance and localization matchers from the enabled rules, without a restart
+    async reload() {
+        await this.seed();
+
+        const db = await getDatabase();
+        const rules = { canadian_alternatives: {}, details: {} };
+        this.lists.forEach(({ list }) => {
+            rules[list] = [];
+            rules.details[list] = {};
+        });
+
+        db.all('SELECT * FROM compliance_rules WHERE enabled = 1 ORDER BY id').forEach(row => {
+            if (!rules[row.list]) {
+                return;
+            }
+            rules[row.list].push(row.term);
+            rules.details[row.list][row.term] = {
+                reason: row.reason,
+                alternative: row.alternative,
+                exceptions: parseList(row.exceptions),
+                contentTypes: parseList(row.allowed_content_types),
+                clients: parseList(row.allowed_clients)
+            };
+            if (row.list === US_TERM_LIST && row.alternative) {
+                rules.canadian_alternatives[row.term.toLowerCase()] = row.alternative;
+            }
+        });
+
+        rules.version = this.currentVersion(db);
+        complianceService.loadRules(rules, rules.version);
+        localizationService.loadAlternatives(rules.canadian_alternatives);
+        return rules;
+    }
+
+    async list({ list, q } = {}) {
+        const db = await getDatabase();
+        const conditions = [];
+        const params = [];
+
+        if (list) {
+            conditions.push('list = ?');
+            params.push(list);
+        }
+        if (q) {
+            conditions.push(`(term LIKE ? OR alternative LIKE ? OR category LIKE ? OR reason LIKE ? OR owner LIKE ?
+                OR exceptions LIKE ? OR allowed_clients LIKE ?)`);
+            params.push(...Array(7).fill(`%${q}%`));
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.all(`SELECT * FROM compliance_rules ${where} ORDER BY list, term COLLATE NOCASE`, params).map(toRule);
+    }
+
+    async get(id) {
+        const db = await getDatabase();
+        const row = db.get('SELECT * FROM compliance_rules WHERE id = ?', [id]);
+        return row ? toRule(row) : null;
+    }
+
+    // Check a rule before saving it. Throws with a message fit for the user on bad input or a duplicate.
+    validate(db, rule, id = null) {
+        if (!this.lists.some(entry => entry.list === rule.list)) {
+            throw new Error(`List must be one of: ${this.lists.map(entry => entry.list).join(', ')}`);
+        }
+        if (!rule.term) {
+            throw new Error('Term is required');
+        }
+        if (rule.list === EMOJI_LIST && !EMOJI_PATTERN.test(rule.term)) {
+            throw new Error('Prohibited emojis must be an emoji');
+        }
+        if (rule.list !== EMOJI_LIST && !rule.normalized) {
+            throw new Error('Term must contain letters or numbers');
+        }
+        if (rule.alternative && rule.list === EMOJI_LIST && !EMOJI_PATTERN.test(rule.alternative)) {
+            throw new Error('A prohibited emoji can only be replaced by another emoji');
+        }
+        if (rule.exceptions.length > 0 && rule.list === EMOJI_LIST) {
+            throw new Error('Prohibited emojis cannot have allowed phrases');
+        }
+        // An allowed phrase only makes sense if the rule itself matches inside it
+        const missing = rule.exceptions.find(phrase => !complianceService.containsTerm(rule.list, rule.term, phrase));
+        if (missing) {
+            throw new Error(`The allowed phrase "${missing}" does not contain "${rule.term}"`);
+        }
+        const unknownType = rule.allowedContentTypes.find(type => !CONTENT_TYPES.includes(type));
+        if (unknownType) {
+            throw new Error(`Content types must be one of: ${CONTENT_TYPES.join(', ')}`);
+        }
+
+        const lists = SEVERITY_LISTS.includes(rule.list) ? SEVERITY_LISTS : [rule.list];
+        const duplicate = db.get(
+            `SELECT * FROM compliance_rules WHERE normalized = ? AND list IN (${lists.map(() => '?').join(', ')}) AND id IS NOT ?`,
+            [rule.normalized, ...lists, id]
+        );
+        if (duplicate) {
+            throw new Error(`"${duplicate.term}" is already in ${this.listLabel(duplicate.list)}${duplicate.enabled ? '' : ' (disabled)'}`);
+        }
+    }
+
+    async create(data, user) {
+        const db = await getDatabase();
+        const term = optionalText(data.term) || '';
+        const rule = {
+            list: data.list,
+            term,
+            normalized: complianceService.normalizeTerm(data.list, term),
+            alternative: optionalText(data.alternative),
+            category: optionalText(data.category),
+            reason: optionalText(data.reason),
+            owner: optionalText(data.owner) || user.username,
+            enabled: data.enabled === undefined ? true : flag(data.enabled, 'Enabled'),
+            exceptions: textList(data.exceptions),
+            allowedContentTypes: textList(data.allowedContentTypes).map(type => type.toLowerCase()),
+            allowedClients: textList(data.allowedClients)
+        };
+        this.validate(db, rule);
+
+        const id = await this.commit(data.changeReason, user, `Added "${rule.term}" to ${this.listLabel(rule.list)}`, () => {
+            const now = new Date().toISOString();
+            return db.run(
+                `INSERT INTO compliance_rules (list, term, normalized, alternative, category, reason, owner, enabled,
+                    exceptions, allowed_content_types, allowed_clients, created_at, updated_at, updated_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [rule.list, rule.term, rule.normalized, rule.alternative, rule.category, rule.reason, rule.owner,
+                    rule.enabled ? 1 : 0, listColumn(rule.exceptions), listColumn(rule.allowedContentTypes),
+                    listColumn(rule.allowedClients), now, now, user.username]
+            );
+        });
+        return this.get(id);
+    }
+
+    // Change any of the rule's fields; fields left out keep their current value
+    async update(id, data, user) {
+        const existing = await this.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const db = await getDatabase();
+        const pick = field => (data[field] === undefined ? existing[field] : data[field]);
+        const list = pick('list');
+        const term = optionalText(pick('term')) || '';
+        const rule = {
+            list,
+            term,
+            normalized: complianceService.normalizeTerm(list, term),
+            alternative: optionalText(pick('alternative')),
+            category: optionalText(pick('category')),
+            reason: optionalText(pick('reason')),
+            owner: optionalText(pick('owner')),
+            enabled: flag(pick('enabled'), 'Enabled'),
+            exceptions: textList(pick('exceptions')),
+            allowedContentTypes: textList(pick('allowedContentTypes')).map(type => type.toLowerCase()),
+            allowedClients: textList(pick('allowedClients'))
+        };
+        this.validate(db, rule, existing.id);
+
+        let summary = `Updated "${existing.term}" in ${this.listLabel(existing.list)}`;
+        if (rule.enabled !== existing.enabled) {
+            summary = `${rule.enabled ? 'Enabled' : 'Disabled'} "${existing.term}" in ${this.listLabel(existing.list)}`;
+        } else if (rule.list !== existing.list) {
+            summary = `Moved "${existing.term}" from ${this.listLabel(existing.list)} to ${this.listLabel(rule.list)}`;
+        } else if (['exceptions', 'allowedContentTypes', 'allowedClients'].some(field => (
+            JSON.stringify(rule[field]) !== JSON.stringify(existing[field])
+        ))) {
+            summary = `Changed what is allowed for "${existing.term}" in ${this.listLabel(existing.list)}`;
+        }
+
+        await this.commit(data.changeReason, user, summary, () => db.run(
+            `UPDATE compliance_rules SET list = ?, term = ?, normalized = ?, alternative = ?, category = ?, reason = ?,
+                owner = ?, enabled = ?, exceptions = ?, allowed_content_types = ?, allowed_clients = ?,
+                updated_at = ?, updated_by = ? WHERE id = ?`,
+            [rule.list, rule.term, rule.normalized, rule.alternative, rule.category, rule.reason, rule.owner,
+                rule.enabled ? 1 : 0, listColumn(rule.exceptions), listColumn(rule.allowedContentTypes),
+                listColumn(rule.allowedClients), new Date().toISOString(), user.username, existing.id]
+        ));
+        return this.get(existing.id);
+    }
+
+    async remove(id, changeReason, user) {
+        const existing = await this.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        await this.commit(changeReason, user, `Deleted "${existing.term}" from ${this.listLabel(existing.list)}`, db => (
+            db.run('DELETE FROM compliance_rules WHERE id = ?', [existing.id])
+        ));
+        return existing;
+    }
+
+    // Versions newest first, without their rules
+    async listVersions() {
+        const db = await getDatabase();
+        return db.all('SELECT * FROM rule_set_versions ORDER BY id DESC').map(toVersion);
+    }
+
+    // One version with the full rule set that was in force
+    async getVersion(version) {
+        const db = await getDatabase();
+        const row = db.get('SELECT * FROM rule_set_versions WHERE id = ?', [version]);
+        if (!row) {
+            return null;
+        }
+        return {
+            ...toVersion(row),
+            rules: JSON.parse(row.rules).map(toRule)
+        };
+    }
+
+    // Rules added, removed and changed between two versions; throws if either does not exist
+    async diff(fromVersion, toVersion) {
+        const [from, to] = await Promise.all([this.getVersion(fromVersion), this.getVersion(toVersion)]);
+        if (!from || !to) {
+            throw new Error(`Version ${!from ? fromVersion : toVersion} does not exist`);
+        }
+
+        const before = new Map(from.rules.map(rule => [rule.id, rule]));
+        const after = new Map(to.rules.map(rule => [rule.id, rule]));
+        const changed = [];
+
+        to.rules.forEach(rule => {
+            const previous = before.get(rule.id);
+            if (!previous) {
+                return;
+            }
+            const fields = DIFF_FIELDS.filter(field => JSON.stringify(previous[field]) !== JSON.stringify(rule[field]));
+            if (fields.length > 0) {
+                changed.push({ id: rule.id, fields, before: previous, after: rule });
+            }
+        });
+
+        return {
+            from: { version: from.version, createdAt: from.createdAt, author: from.author },
+            to: { version: to.version, createdAt: to.createdAt, author: to.author },
+            added: to.rules.filter(rule => !before.has(rule.id)),
+            removed: from.rules.filter(rule => !after.has(rule.id)),
+            changed
+        };
+    }
+
+    // Put the rules back exactly as they were in an earlier version, recorded as a new version
+    async rollback(version, changeReason, user) {
+        const db = await getDatabase();
+        const row = db.get('SELECT * FROM rule_set_versions WHERE id = ?', [version]);
+        if (!row) {
+            return null;
+        }
+
+        const current = this.currentVersion(db);
+        const { added, removed, changed } = await this.diff(current, row.id);
+        if (added.length + removed.length + changed.length === 0) {
+            throw new Error(`The rules already match version ${row.id}`);
+        }
+
+        const rules = JSON.parse(row.rules);
+        const placeholders = SNAPSHOT_COLUMNS.map(() => '?').join(', ');
+        await this.commit(changeReason, user, `Rolled back to version ${row.id}`, () => {
+            db.run('DELETE FROM compliance_rules');
+            rules.forEach(rule => {
+                db.run(
+                    `INSERT INTO compliance_rules (${SNAPSHOT_COLUMNS.join(', ')}) VALUES (${placeholders})`,
+                    // Versions saved before a column was added have no value for it
+                    SNAPSHOT_COLUMNS.map(column => (rule[column] === undefined ? null : rule[column]))
+                );
+            });
+        });
+
+        return this.getVersion(this.currentVersion(db));
+    }
+}
+
+module.exports = new RuleService();
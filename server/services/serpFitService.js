@@ -0,0 +1,145 @@
+// Arial glyph widths in 1/1000 em, which is what Google renders result titles and snippets in
+const ARIAL_WIDTHS = {
+    ' ': 278, '!': 278, '"': 355, '#': 556, '$': 556, '%': 889, '&': 667, "'": 191,
+    '(': 333, ')': 333, '*': 389, '+': 584, ',': 278, '-': 333, '.': 278, '/': 278,
+    '0': 556, '1': 556, '2': 556, '3': 556, '4': 556, '5': 556, '6': 556, '7': 556, '8': 556, '9': 556,
+    ':': 278, ';': 278, '<': 584, '=': 584, '>': 584, '?': 556, '@': 1015,
+    'A': 667, 'B': 667, 'C': 722, 'D': 722, 'E': 667, 'F': 611, 'G': 778, 'H': 722, 'I': 278,
+    'J': 500, 'K': 667, 'L': 556, 'M': 833, 'N': 722, 'O': 778, 'P': 667, 'Q': 778, 'R': 722,
+    'S': 667, 'T': 611, 'U': 722, 'V': 667, 'W': 944, 'X': 667, 'Y': 667, 'Z': 611,
+    '[': 278, '\\': 278, ']': 278, '^': 469, '_': 556, '`': 333,
+    'a': 556, 'b': 556, 'c': 500, 'd': 556, 'e': 556, 'f': 278, 'g': 556, 'h': 556, 'i': 222,
+    'j': 222, 'k': 500, 'l': 222, 'm': 833, 'n': 556, 'o': 556, 'p': 556, 'q': 556, 'r': 333,
+    's': 500, 't': 278, 'u': 556, 'v': 500, 'w': 722, 'x': 500, 'y': 500, 'z': 500,
+    '{': 334, '|': 260, '}': 334, '~': 584, '–': 556, '—': 1000, '’': 222, '‘': 222,
+    '“': 333, '”': 333, '…': 1000
+};
+
+const DEFAULT_WIDTH = 556;
+const EMOJI_WIDTH = 1250;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+// Character targets from the generation prompts and the space Google gives each field on desktop
+const LIMITS = {
+    titles: { minCharacters: 50, maxCharacters: 60, fontSize: 20, maxPixels: 600 },
+    descriptions: { minCharacters: 150, maxCharacters: 160, fontSize: 14, maxPixels: 920 },
+    socialCopy: { minCharacters: 200, maxCharacters: 280 }
+};
+
+// Words a trimmed option should not end on ("Planning for" -> "Planning")
+const TRAILING_FILLER_PATTERN = /[\s,;:&\-–—]+(?:and|or|to|for|the|a|an|of|with|in|on|your|our|&)?$/i;
+
+const graphemeSegmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+class SerpFitService {
+    // Estimated rendered width in pixels of text at the given font size
+    measurePixels(text, fontSize) {
+        let units = 0;
+        for (const { segment } of graphemeSegmenter.segment(text)) {
+            if (EMOJI_PATTERN.test(segment)) {
+                units += EMOJI_WIDTH;
+            } else {
+                units += ARIAL_WIDTHS[segment] || DEFAULT_WIDTH;
+            }
+        }
+        return Math.round(units * fontSize / 1000);
+    }
+
+    // Measure an option by characters and, for search fields, estimated pixel width
+    measure(text, section) {
+        const limits = LIMITS[section];
+        const characters = [...graphemeSegmenter.segment(text)].length;
+        const pixels = limits.fontSize ? this.measurePixels(text, limits.fontSize) : null;
+
+        let status = 'fits';
+        if (characters > limits.maxCharacters || (pixels !== null && pixels > limits.maxPixels)) {
+            status = 'truncated';
+        } else if (characters < limits.minCharacters) {
+            status = 'short';
+        }
+
+        return {
+            characters,
+            pixels,
+            minCharacters: limits.minCharacters,
+            maxCharacters: limits.maxCharacters,
+            maxPixels: limits.maxPixels || null,
+            status
+        };
+    }
+
+    hasSection(section) {
+        return Object.prototype.hasOwnProperty.call(LIMITS, section);
+    }
+
+    fits(text, section) {
+        return this.measure(text, section).status !== 'truncated';
+    }
+
+    // Cut text to fit its section, at a sentence end if one leaves enough text, otherwise at a word boundary.
+    // No ellipsis is added: the result is the metadata itself, and search engines add their own when they cut.
+    trim(text, section) {
+        const limits = LIMITS[section];
+        const words = text.split(/(\s+)/);
+
+        let fitted = '';
+        for (const word of words) {
+            const candidate = fitted + word;
+            if (!this.fits(candidate.trimEnd(), section)) {
+                break;
+            }
+            fitted = candidate;
+        }
+
+        // A single word too long to break is left for the writer to fix
+        if (!fitted.trim()) {
+            return text;
+        }
+
+        const sentenceEnd = Math.max(fitted.lastIndexOf('. '), fitted.lastIndexOf('! '), fitted.lastIndexOf('? '));
+        if (sentenceEnd !== -1 && sentenceEnd + 1 >= limits.minCharacters * 0.8) {
+            return fitted.slice(0, sentenceEnd + 1);
+        }
+
+        let trimmed = fitted.trimEnd();
+        while (TRAILING_FILLER_PATTERN.test(trimmed)) {
+            trimmed = trimmed.replace(TRAILING_FILLER_PATTERN, '');
+        }
+
+        return trimmed;
+    }
+
+    // Measure an option and trim it if it would be truncated, keeping the original numbers
+    fitOption(text, section) {
+        const original = this.measure(text, section);
+        if (original.status !== 'truncated') {
+            return { text, fit: { ...original, trimmed: false } };
+        }
+
+        const trimmed = this.trim(text, section);
+        return {
+            text: trimmed,
+            fit: {
+                ...this.measure(trimmed, section),
+                trimmed: trimmed !== text,
+                originalCharacters: original.characters,
+                originalPixels: original.pixels
+            }
+        };
+    }
+
+    // Fit every option in place and return the measurements per section
+    fitMetadata(metadata) {
+        const fit = {};
+        Object.keys(LIMITS).forEach(section => {
+            fit[section] = (metadata[section] || []).map((text, index) => {
+                const result = this.fitOption(text, section);
+                metadata[section][index] = result.text;
+                return result.fit;
+            });
+        });
+        return fit;
+    }
+}
+
+module.exports = new SerpFitService();
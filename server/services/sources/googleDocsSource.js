@@ -0,0 +1,130 @@
+// Paragraph styles the Docs API uses for headings, mapped to heading levels
+const HEADING_LEVELS = {
+    TITLE: 1,
+    HEADING_1: 1,
+    HEADING_2: 2,
+    HEADING_3: 3,
+    HEADING_4: 4,
+    HEADING_5: 5,
+    HEADING_6: 6
+};
+
+// Document IDs from links like https://docs.google.com/document/d/<id>/edit
+const DOCUMENT_URL_PATTERN = /\/document\/d\/([a-zA-Z0-9_-]+)/;
+const DOCUMENT_ID_PATTERN = /^[a-zA-Z0-9_-]{20,}$/;
+
+// Helper function to build a Docs API client from service account credentials or an API key
+function createDocsClient() {
+    const { docs, auth } = require('@googleapis/docs');
+
+    if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        const googleAuth = new auth.GoogleAuth({
+            scopes: ['https://www.googleapis.com/auth/documents.readonly']
+        });
+        return docs({ version: 'v1', auth: googleAuth });
+    }
+
+    // An API key can only read documents shared publicly
+    return docs({ version: 'v1', auth: process.env.GOOGLE_API_KEY });
+}
+
+class GoogleDocsSource {
+    // The client can be passed in, e.g. a stub with documents.get, instead of calling Google
+    constructor(client = null) {
+        this.name = 'google-docs';
+        this.label = 'Google Doc';
+        this.client = client;
+    }
+
+    isConfigured() {
+        return Boolean(this.client || process.env.GOOGLE_APPLICATION_CREDENTIALS || process.env.GOOGLE_API_KEY);
+    }
+
+    getClient() {
+        if (!this.client) {
+            this.client = createDocsClient();
+        }
+        return this.client;
+    }
+
+    parseDocumentId(reference) {
+        const value = String(reference || '').trim();
+        const match = value.match(DOCUMENT_URL_PATTERN);
+        if (match) {
+            return match[1];
+        }
+        if (DOCUMENT_ID_PATTERN.test(value)) {
+            return value;
+        }
+        throw new Error('Enter a Google Docs link or document ID');
+    }
+
+    async load(reference) {
+        const documentId = this.parseDocumentId(reference);
+
+        let document;
+        try {
+            const response = await this.getClient().documents.get({ documentId });
+            document = response.data;
+        } catch (error) {
+            const status = error.code || (error.response && error.response.status);
+            if (status === 403 || status === 404) {
+                throw new Error('Google Doc not found or not shared with this app');
+            }
+            throw error;
+        }
+
+        const { content, headings } = this.toPlainText(document);
+        return {
+            name: document.title || documentId,
+            title: document.title || '',
+            description: '',
+            content,
+            headings
+        };
+    }
+
+    // Flatten the document body into paragraphs, keeping headings as their own lines
+    toPlainText(document) {
+        const blocks = [];
+        const headings = [];
+
+        const visit = elements => {
+            (elements || []).forEach(element => {
+                if (element.paragraph) {
+                    const { paragraph } = element;
+                    const text = (paragraph.elements || [])
+                        .map(part => (part.textRun ? part.textRun.content : ''))
+                        .join('')
+                        .replace(/[\s\u000b]+/g, ' ')
+                        .trim();
+                    if (!text) {
+                        return;
+                    }
+
+                    const style = paragraph.paragraphStyle && paragraph.paragraphStyle.namedStyleType;
+                    if (HEADING_LEVELS[style]) {
+                        headings.push({ level: HEADING_LEVELS[style], text });
+                    }
+                    blocks.push(paragraph.bullet ? `- ${text}` : text);
+                } else if (element.table) {
+                    (element.table.tableRows || []).forEach(row => {
+                        (row.tableCells || []).forEach(cell => visit(cell.content));
+                    });
+                } else if (element.tableOfContents) {
+                    // The table of contents repeats the headings
+                    return;
+                }
+            });
+        };
+
+        visit(document.body && document.body.content);
+
+        return {
+            content: blocks.join('\n\n'),
+            headings
+        };
+    }
+}
+
+module.exports = GoogleDocsSource;
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const ingestService = require('../ingestService');
+
+const TEXT_EXTENSIONS = /\.(txt|md|markdown)$/i;
+
+function isInside(filePath, root) {
+    return filePath.startsWith(root + path.sep);
+}
+
+class LocalFileSource {
+    // Files are only read from inside root, which defaults to data/content
+    constructor(root = process.env.CONTENT_SOURCE_DIR || path.join(__dirname, '../../../data/content')) {
+        this.name = 'local';
+        this.label = 'Server file';
+        this.root = path.resolve(root);
+    }
+
+    isConfigured() {
+        return fs.existsSync(this.root);
+    }
+
+    // Resolve a relative path under root, refusing anything that escapes it. Symlinks are followed
+    // before the check, so a link inside root cannot point at a file outside it.
+    async resolve(reference) {
+        const relative = String(reference || '').trim();
+        if (!relative) {
+            throw new Error('Enter a file path');
+        }
+
+        const resolved = path.resolve(this.root, relative);
+        if (!isInside(resolved, this.root)) {
+            throw new Error('File path must be inside the content folder');
+        }
+
+        let root;
+        let filePath;
+        try {
+            root = await fs.promises.realpath(this.root);
+            filePath = await fs.promises.realpath(resolved);
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+                throw new Error(`File not found: ${relative}`);
+            }
+            throw error;
+        }
+
+        if (!isInside(filePath, root)) {
+            throw new Error('File path must be inside the content folder');
+        }
+        return { filePath, name: path.relative(root, filePath) };
+    }
+
+    async load(reference) {
+        const { filePath, name } = await this.resolve(reference);
+
+        let buffer;
+        try {
+            buffer = await fs.promises.readFile(filePath);
+        } catch (error) {
+            if (error.code === 'EISDIR') {
+                throw new Error(`File not found: ${reference}`);
+            }
+            throw error;
+        }
+
+        if (TEXT_EXTENSIONS.test(filePath)) {
+            return { name, title: '', description: '', content: buffer.toString('utf8').trim() };
+        }
+
+        const type = ingestService.detectType(filePath);
+        const extracted = await ingestService.extract(buffer, type);
+        return { name, ...extracted };
+    }
+}
+
+module.exports = LocalFileSource;
@@ -0,0 +1,197 @@
+const bcrypt = require('bcryptjs');
+const { getDatabase } = require('../config/database');
+
+// Roles in increasing order of access; each role can do everything the roles before it can
+const ROLES = ['writer', 'reviewer', 'admin'];
+
+const PASSWORD_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN = /^[a-zA-Z0-9._@-]{3,64}$/;
+
+// Hash of a random password nobody knows, compared against when the username does not match an
+// account so that sign-in takes as long for unknown usernames as for wrong passwords
+const DUMMY_PASSWORD_HASH = '$2a$12$fGmSbuN3OJvxzmFinYcb/OfoAjSSd.MFCABV8FWB3nb3a0C2ZS2sS';
+
+// Helper function to shape a stored row for the API, without the password hash
+function toUser(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        displayName: row.display_name || row.username,
+        email: row.email,
+        role: row.role,
+        provider: row.provider,
+        disabled: Boolean(row.disabled),
+        createdAt: row.created_at,
+        lastLoginAt: row.last_login_at
+    };
+}
+
+class UserService {
+    get roles() {
+        return ROLES;
+    }
+
+    // True when the role is at least as privileged as the required one
+    hasRole(user, requiredRole) {
+        return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(requiredRole);
+    }
+
+    validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    async list() {
+        const db = await getDatabase();
+        return db.all('SELECT * FROM users ORDER BY username').map(toUser);
+    }
+
+    async count() {
+        const db = await getDatabase();
+        return db.get('SELECT COUNT(*) AS total FROM users').total;
+    }
+
+    async findById(id) {
+        const db = await getDatabase();
+        const row = db.get('SELECT * FROM users WHERE id = ?', [id]);
+        return row ? toUser(row) : null;
+    }
+
+    // Create a local account. Throws with a message fit for the user on bad input.
+    async createLocal({ username, password, role = 'writer', displayName, email }) {
+        const name = String(username || '').trim();
+        if (!USERNAME_PATTERN.test(name)) {
+            throw new Error('Usernames must be 3-64 letters, numbers or . _ @ -');
+        }
+        this.validatePassword(password);
+        this.validateRole(role);
+
+        const db = await getDatabase();
+        if (db.get('SELECT id FROM users WHERE username = ?', [name])) {
+            throw new Error(`The username ${name} is already taken`);
+        }
+
+        const passwordHash = await bcrypt.hash(password, PASSWORD_ROUNDS);
+        const id = db.run(
+            `INSERT INTO users (username, display_name, email, password_hash, role, provider, created_at)
+             VALUES (?, ?, ?, ?, ?, 'local', ?)`,
+            [name, displayName || null, email || null, passwordHash, role, new Date().toISOString()]
+        );
+        return this.findById(id);
+    }
+
+    // Check a username and password; returns the user, or null for a wrong or disabled account
+    async verifyPassword(username, password) {
+        const db = await getDatabase();
+        const row = db.get(
+            "SELECT * FROM users WHERE username = ? AND provider = 'local'",
+            [String(username || '').trim()]
+        );
+        const usable = Boolean(row && row.password_hash && !row.disabled);
+
+        const matches = await bcrypt.compare(String(password || ''), usable ? row.password_hash : DUMMY_PASSWORD_HASH);
+        return usable && matches ? toUser(row) : null;
+    }
+
+    // Find or create the account for someone signing in through an external identity provider.
+    // New accounts get defaultRole unless the provider supplied a role.
+    async upsertExternal(provider, { subject, username, displayName, email, role, defaultRole = 'writer' }) {
+        const db = await getDatabase();
+        const existing = db.get('SELECT * FROM users WHERE provider = ? AND subject = ?', [provider, subject]);
+
+        if (existing) {
+            // A role from the identity provider wins; otherwise keep whatever an admin assigned
+            db.run(
+                'UPDATE users SET display_name = ?, email = ?, role = ? WHERE id = ?',
+                [displayName || existing.display_name, email || existing.email, role || existing.role, existing.id]
+            );
+            return this.findById(existing.id);
+        }
+
+        // Usernames are unique across providers, so suffix a clash with the provider name
+        let name = username || email || subject;
+        if (db.get('SELECT id FROM users WHERE username = ?', [name])) {
+            name = `${name}@${provider}`;
+        }
+
+        const id = db.run(
+            `INSERT INTO users (username, display_name, email, role, provider, subject, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [name, displayName || null, email || null, role || defaultRole, provider, subject, new Date().toISOString()]
+        );
+        return this.findById(id);
+    }
+
+    // Admin changes to role, display name, disabled flag or (for local accounts) password
+    async update(id, changes) {
+        const user = await this.findById(id);
+        if (!user) {
+            return null;
+        }
+
+        // Check everything before writing, so a bad password does not leave the other changes half applied
+        if (changes.role !== undefined) {
+            this.validateRole(changes.role);
+        }
+        let passwordHash = null;
+        if (changes.password !== undefined) {
+            if (user.provider !== 'local') {
+                throw new Error('Passwords can only be set for local accounts');
+            }
+            this.validatePassword(changes.password);
+            passwordHash = await bcrypt.hash(changes.password, PASSWORD_ROUNDS);
+        }
+
+        const db = await getDatabase();
+        db.transaction(() => {
+            if (changes.role !== undefined) {
+                db.run('UPDATE users SET role = ? WHERE id = ?', [changes.role, id]);
+            }
+            if (changes.displayName !== undefined) {
+                db.run('UPDATE users SET display_name = ? WHERE id = ?', [String(changes.displayName).trim() || null, id]);
+            }
+            if (changes.disabled !== undefined) {
+                db.run('UPDATE users SET disabled = ? WHERE id = ?', [changes.disabled ? 1 : 0, id]);
+            }
+            if (passwordHash) {
+                db.run('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, id]);
+            }
+        });
+
+        return this.findById(id);
+    }
+
+    async recordLogin(id) {
+        const db = await getDatabase();
+        db.run('UPDATE users SET last_login_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+    }
+
+    // Create the first admin from ADMIN_USERNAME/ADMIN_PASSWORD when there are no accounts yet
+    async ensureAdmin() {
+        if (await this.count() > 0) {
+            return;
+        }
+
+        if (!process.env.ADMIN_PASSWORD) {
+            console.log('⚠️ No user accounts exist. Set ADMIN_PASSWORD (and optionally ADMIN_USERNAME) to create the first admin');
+            return;
+        }
+
+        const user = await this.createLocal({
+            username: process.env.ADMIN_USERNAME || 'admin',
+            password: process.env.ADMIN_PASSWORD,
+            role: 'admin'
+        });
+        console.log(`✅ Created admin account ${user.username}`);
+    }
+}
+
+module.exports = new UserService();
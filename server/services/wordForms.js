@@ -0,0 +1,95 @@
+// Casing and plural helpers shared by the compliance checker and the localizer
+
+// Canadian replacements that are proper nouns or acronyms and keep their capitalization mid-sentence
+const DISPLAY_FORMS = {
+    'canada': 'Canada',
+    'canadian': 'Canadian',
+    'cra': 'CRA',
+    'canada pension plan': 'Canada Pension Plan',
+    'rrsp': 'RRSP',
+    'tfsa': 'TFSA',
+    'cad': 'CAD',
+    'parliament': 'Parliament',
+    'house of commons': 'House of Commons',
+    'bank of canada': 'Bank of Canada',
+    'health canada': 'Health Canada',
+    'environment canada': 'Environment Canada'
+};
+
+// Helper function to pluralize the last word of a replacement ("postal code" -> "postal codes")
+function pluralize(phrase) {
+    const words = phrase.split(' ');
+    const last = words.pop();
+
+    let plural;
+    if (/^[A-Z]+$/.test(last)) {
+        plural = `${last}s`;
+    } else if (/(s|x|z|ch|sh)$/i.test(last)) {
+        plural = `${last}es`;
+    } else if (/[^aeiou]y$/i.test(last)) {
+        plural = `${last.slice(0, -1)}ies`;
+    } else {
+        plural = `${last}s`;
+    }
+
+    return [...words, plural].join(' ');
+}
+
+// Acronyms like "ZIP" or "IRS" are upper case wherever they appear, so they say nothing about the casing around them
+function isAcronym(word) {
+    return word.length > 1 && word === word.toUpperCase() && /\p{Lu}/u.test(word);
+}
+
+// True when the text before index ends a sentence, or there is no text before it
+function startsSentence(text, index) {
+    return /(^|[.!?:]\s+|\n\s*)$/.test(text.slice(0, index));
+}
+
+// Helper function to carry the casing of the original US term over to its replacement
+function matchCasing(original, replacement) {
+    const words = original.split(/\s+/);
+    const cased = words.filter(word => !isAcronym(word));
+
+    // "ZIP CODE" is shouted and stays upper case; acronyms like "IRS" or "USA" are not
+    if (words.length > 1 && original === original.toUpperCase()) {
+        return replacement.toUpperCase();
+    }
+
+    if (DISPLAY_FORMS[replacement]) {
+        return DISPLAY_FORMS[replacement];
+    }
+
+    if (words.length === 1 && original.length > 1 && original === original.toUpperCase()) {
+        return replacement;
+    }
+
+    if (words.length > 1 && cased.length > 0 && cased.every(word => /^\p{Lu}/u.test(word))) {
+        return replacement.replace(/(^|\s)(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase());
+    }
+
+    // "ZIP codes" mid-sentence is "postal codes"; a capital on an ordinary first word carries over
+    if (!isAcronym(words[0]) && /^\p{Lu}/u.test(original)) {
+        return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+    }
+
+    return replacement;
+}
+
+function isPlural(match, term) {
+    const matchedLast = match.toLowerCase().split(/\s+/).pop();
+    const termLast = term.toLowerCase().split(/\s+/).pop();
+    return matchedLast !== termLast && /s$/.test(matchedLast);
+}
+
+// The replacement for one matched term, in the casing and number of the match ("ZIP codes" -> "postal codes").
+// sentenceStart capitalizes it when the match opens a sentence, which an acronym cannot show ("ZIP codes are" -> "Postal codes are").
+function fitReplacement(match, term, replacement, { sentenceStart = false } = {}) {
+    const cased = matchCasing(match, replacement);
+    const fitted = sentenceStart ? cased.charAt(0).toUpperCase() + cased.slice(1) : cased;
+    return isPlural(match, term) ? pluralize(fitted) : fitted;
+}
+
+module.exports = {
+    fitReplacement,
+    startsSentence
+};
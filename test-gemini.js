@@ -1,5 +1,5 @@
 require('dotenv').config();
-const geminiService = require('./server/services/geminiService');
+const generationService = require('./server/services/generationService');
 
 async function testGemini() {
     console.log('🧪 Testing Gemini Integration...');
@@ -7,17 +7,19 @@ async function testGemini() {
     
     const testContent = "Charitable giving and philanthropy continue to be major forces for good.";
     
-    const templateFallback = () => {
-        console.log('🔄 Template fallback used');
-        return {
+    // Called once for each section that could not be generated, with the options to use instead
+    const templateFallback = section => {
+        console.log(`🔄 Template fallback used for ${section}`);
+        const templates = {
             titles: ['Test Title'],
             descriptions: ['Test Description'],
             socialCopy: ['Test Social']
         };
+        return templates[section];
     };
     
     try {
-        const result = await geminiService.generateMetadata(
+        const result = await generationService.generateMetadata(
             testContent,
             'article',
             'professionals',
@@ -0,0 +1,31 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const batchService = require('../server/services/batchService');
+
+// Keep the batch progress logs out of the test report
+mock.method(console, 'log', () => {});
+
+const ITEMS = batchService.normalizeItems([{ id: 'a', content: 'Saving for retirement' }]);
+
+describe('batchService', () => {
+    it('runs every item through the generator', async () => {
+        const generated = [];
+        const job = batchService.createJob(ITEMS, async item => {
+            generated.push(item.id);
+            return { titles: ['Title'] };
+        }, 1);
+
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(generated, ['a']);
+        assert.equal(batchService.getJob(job.id).status, 'completed');
+    });
+
+    it('drops finished jobs older than an hour when a job is read', async () => {
+        const job = batchService.createJob(ITEMS, async () => ({}), 1);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.ok(batchService.getJob(job.id));
+
+        job.completedAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+        assert.equal(batchService.getJob(job.id), null);
+    });
+});
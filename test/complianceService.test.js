@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const complianceService = require('../server/services/complianceService');
+
+const ComplianceService = complianceService.constructor;
+
+// [term, match] for each finding, in text order
+function found(text, service = complianceService, context = {}) {
+    return service.check(text, context).findings.map(finding => [finding.term, finding.match]);
+}
+
+describe('complianceService matching', () => {
+    it('matches whole words only', () => {
+        assert.deepEqual(found('A statement of freedom for hsabc accounts'), []);
+        assert.deepEqual(found('A freebie for the bestseller list'), []);
+        assert.deepEqual(found('Get it free'), [['free', 'free']]);
+        assert.deepEqual(found('Open an HSA today'), [['hsa', 'HSA']]);
+    });
+
+    it('matches regardless of case and reports the offsets of the match', () => {
+        const { findings } = complianceService.check('Free shipping, FREE returns');
+        assert.deepEqual(findings.map(finding => [finding.match, finding.start, finding.end]), [['Free', 0, 4], ['FREE', 15, 19]]);
+    });
+
+    it('matches inflections of red and yellow words', () => {
+        assert.deepEqual(found('Guaranteed returns'), [['guarantee', 'Guaranteed']]);
+        assert.deepEqual(found('Our guarantees'), [['guarantee', 'guarantees']]);
+        assert.deepEqual(found('Saving money'), [['save', 'Saving']]);
+    });
+
+    it('matches the last word of a phrase in the plural', () => {
+        assert.deepEqual(found('Lowest prices in town'), [['lowest price', 'Lowest prices']]);
+        assert.deepEqual(found('Find your ZIP codes'), [['zip code', 'ZIP codes']]);
+    });
+
+    it('matches hyphenated phrases written with a hyphen or a space', () => {
+        assert.deepEqual(found('It is risk-free'), [['risk-free', 'risk-free']]);
+        assert.deepEqual(found('It is risk free'), [['risk-free', 'risk free']]);
+        assert.deepEqual(found('An award-winning team'), [['award-winning', 'award-winning']]);
+    });
+
+    it('matches terms that end in punctuation', () => {
+        assert.deepEqual(found('100% sure'), [['100%', '100%']]);
+        assert.deepEqual(found('U.S. taxes'), [['u.s.', 'U.S.']]);
+    });
+
+    it('keeps the longer or more severe of overlapping matches', () => {
+        assert.deepEqual(found('Limited time offer'), [['limited time', 'Limited time'], ['offer', 'offer']]);
+        assert.deepEqual(found('Limited offer'), [['limited', 'Limited'], ['offer', 'offer']]);
+        assert.deepEqual(found('Risk-free and free'), [['risk-free', 'Risk-free'], ['free', 'free']]);
+    });
+
+    it('summarizes by the worst severity found', () => {
+        assert.equal(complianceService.check('The best deal').summary.status, 'red');
+        assert.equal(complianceService.check('A special deal').summary.status, 'yellow');
+        assert.equal(complianceService.check('Plan for retirement').summary.status, 'clean');
+        assert.deepEqual(complianceService.check('Open an HSA today').summary, { red: 0, yellow: 0, info: 1, status: 'clean', dismissed: 0 });
+    });
+
+    it('suggests replacements in the casing and number of the match', () => {
+        const [zip] = complianceService.check('Enter ZIP codes here').findings;
+        assert.equal(zip.suggestion, 'postal codes');
+        const [irs] = complianceService.check('The IRS sets the rules').findings;
+        assert.equal(irs.suggestion, 'CRA');
+    });
+});
+
+describe('complianceService emojis', () => {
+    it('matches prohibited emojis with or without a variation selector or skin tone', () => {
+        assert.deepEqual(found('Rocket 🚀 launch'), [['🚀', '🚀']]);
+        assert.deepEqual(found('⭐️ star'), [['⭐', '⭐️']]);
+        assert.deepEqual(found('💪🏽 strong'), [['💪', '💪🏽']]);
+        assert.deepEqual(found('🙂 fine'), []);
+    });
+
+    it('reports a ZWJ sequence as one match when any part of it is prohibited', () => {
+        const { findings } = complianceService.check('❤️‍🔥 love');
+        assert.deepEqual(findings.map(finding => [finding.term, finding.match, finding.start, finding.end]), [['🔥', '❤️‍🔥', 0, 5]]);
+        assert.deepEqual(found('👨‍👩‍👧 family'), []);
+    });
+
+    it('matches a prohibited ZWJ sequence whole but not its parts on their own', () => {
+        const service = new ComplianceService({ prohibited_emojis: ['🧑‍🚀'] });
+        assert.deepEqual(found('🧑‍🚀 crew', service), [['🧑‍🚀', '🧑‍🚀']]);
+        assert.deepEqual(found('🧑 person 🚀 launch', service), []);
+    });
+});
+
+
+describe('complianceService rule details', () => {
+    const service = new ComplianceService({
+        red_words: ['guarantee'],
+        yellow_words: ['state'],
+        details: {
+            red_words: { guarantee: { reason: 'Implies a promised return', clients: ['Acme'], contentTypes: ['Video'] } },
+            yellow_words: { state: { exceptions: ['state pension', 'head of state'] } }
+        }
+    });
+
+    it('skips rules allowed for the client or content type', () => {
+        assert.deepEqual(found('Guaranteed income', service), [['guarantee', 'Guaranteed']]);
+        assert.deepEqual(found('Guaranteed income', service, { client: 'acme' }), []);
+        assert.deepEqual(found('Guaranteed income', service, { contentType: 'video' }), []);
+        assert.deepEqual(found('Guaranteed income', service, { client: 'Other', contentType: 'article' }), [['guarantee', 'Guaranteed']]);
+    });
+
+    it('skips matches inside an exception phrase', () => {
+        assert.deepEqual(found('Check your state pension', service), []);
+        assert.deepEqual(found('Compare state pensions', service), []);
+        assert.deepEqual(found('The head of state spoke', service), []);
+        assert.deepEqual(found('The state of savings', service), [['state', 'state']]);
+    });
+
+    it('carries the rule reason onto its findings', () => {
+        assert.equal(service.check('We guarantee it').findings[0].reason, 'Implies a promised return');
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'database-'));
+process.env.DATABASE_PATH = path.join(directory, 'test.db');
+
+const { getDatabase, databasePath } = require('../server/config/database');
+
+// Keep the migration log out of the test report
+mock.method(console, 'log', () => {});
+
+describe('database', () => {
+    after(async () => {
+        (await getDatabase()).flush();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('writes the file once migrated', async () => {
+        await getDatabase();
+        assert.ok(fs.existsSync(databasePath));
+    });
+
+    it('saves a burst of changes together rather than after each one', async () => {
+        const db = await getDatabase();
+        const writes = mock.method(fs, 'writeFileSync');
+
+        for (let i = 0; i < 20; i++) {
+            db.run('INSERT OR REPLACE INTO sessions (sid, data, expires_at) VALUES (?, ?, ?)', ['burst', '{}', Date.now() + i]);
+        }
+        assert.equal(writes.mock.callCount(), 0);
+
+        db.flush();
+        assert.equal(writes.mock.callCount(), 1);
+        db.flush();
+        assert.equal(writes.mock.callCount(), 1);
+        writes.mock.restore();
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const exportService = require('../server/services/exportService');
+
+const SELECTION = {
+    contentType: 'article',
+    url: 'https://example.com/guides/emergency-fund',
+    imageUrl: 'https://example.com/images/fund.png',
+    title: '  Build an Emergency Fund  ',
+    description: 'Three to six months of expenses, kept where you can reach it.',
+    socialCopy: 'Start your emergency fund today. #Saving'
+};
+
+describe('exportService', () => {
+    it('trims the selection and keeps http and https addresses', () => {
+        const normalized = exportService.normalize(SELECTION);
+        assert.equal(normalized.title, 'Build an Emergency Fund');
+        assert.equal(normalized.url, SELECTION.url);
+    });
+
+    it('refuses fields that are not text with a clear message', () => {
+        assert.throws(() => exportService.normalize({ title: 123 }), /^Error: Title must be text$/);
+        assert.throws(() => exportService.normalize({ description: ['a'] }), /^Error: Description must be text$/);
+        assert.throws(() => exportService.normalize({ title: 'Ok', url: { href: 'https://example.com' } }), /^Error: Page URL must be text$/);
+    });
+
+    it('refuses URLs that are not http or https', () => {
+        assert.throws(() => exportService.normalize({ ...SELECTION, url: 'javascript:alert(1)' }), /Page URL must be a full http or https address/);
+        assert.throws(() => exportService.normalize({ ...SELECTION, imageUrl: 'data:image/png;base64,AAAA' }), /Image URL must be a full http or https address/);
+        assert.throws(() => exportService.normalize({ ...SELECTION, url: '/relative/path' }), /Page URL must be a full http or https address/);
+    });
+
+    it('escapes text in the meta tags and JSON-LD', () => {
+        const { metaTags, jsonLd } = exportService.buildSnippet({ ...SELECTION, title: 'Save "more" <now>' });
+        assert.match(metaTags, /<title>Save &quot;more&quot; &lt;now&gt;<\/title>/);
+        assert.doesNotMatch(jsonLd, /<now>/);
+    });
+
+    it('keeps spreadsheet formulas in CSV cells from running', () => {
+        const csv = exportService.toCsv({
+            ...SELECTION,
+            title: '=HYPERLINK("https://evil.example","Click")',
+            description: '+1 tip for savers',
+            socialCopy: '@everyone -start saving'
+        });
+        const [, row] = csv.split('\r\n');
+
+        assert.match(row, /,"'=HYPERLINK\(""https:\/\/evil\.example"",""Click""\)",/);
+        assert.match(row, /,'\+1 tip for savers,/);
+        assert.match(row, /,'@everyone -start saving$/);
+        assert.equal(exportService.formatCsv(['note'], [['-5 fees'], ['plain']]), "note\r\n'-5 fees\r\nplain\r\n");
+    });
+});
@@ -0,0 +1,148 @@
+const { describe, it, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// A failed call should fall back straight away rather than wait out retries
+process.env.LLM_RETRIES = '0';
+
+const generationService = require('../server/services/generationService');
+const { resolveSettings } = require('../server/services/generationSettings');
+const MockProvider = require('../server/services/providers/mockProvider');
+const complianceService = require('../server/services/complianceService');
+const prohibitedWords = require('../data/prohibited-words.json');
+
+// Keep the services' progress logs out of the test report
+mock.method(console, 'log', () => {});
+
+const CONTENT = 'Saving for retirement in your thirties pays off because time does the heavy lifting.';
+const PROMPT = `Write titles for this article.\n\nContent: "${CONTENT}"\n`;
+
+// A mock provider with its own circuit breaker, recording every prompt it is sent.
+// respond(prompt, label, callNumber) can return a response or throw; returning undefined gives the mock's own answer.
+function recordingProvider(name, respond = () => undefined) {
+    const provider = new MockProvider();
+    provider.name = name;
+    provider.prompts = [];
+    const generateJson = provider.generateJson.bind(provider);
+    provider.generateJson = async (prompt, count, label, ...rest) => {
+        provider.prompts.push(prompt);
+        const response = await respond(prompt, label, provider.prompts.length);
+        return response === undefined ? generateJson(prompt, count, label, ...rest) : response;
+    };
+    return provider;
+}
+
+function templates(section) {
+    return [`Template ${section}`];
+}
+
+describe('generationService with the mock provider', () => {
+    it('returns the options the provider wrote', async () => {
+        const provider = recordingProvider('mock-options');
+        const options = await generationService.generateOptions(provider, resolveSettings(null, provider), PROMPT, 3, 'title');
+
+        assert.deepEqual(options, [
+            'Mock title 1: Saving for retirement in your thirties',
+            'Mock title 2: Saving for retirement in your thirties',
+            'Mock title 3: Saving for retirement in your thirties'
+        ]);
+        assert.equal(provider.prompts.length, 1);
+    });
+
+    it('streams each option as it completes', async () => {
+        const provider = new MockProvider();
+        provider.name = 'mock-stream';
+        const streamed = [];
+        const options = await generationService.generateOptions(provider, resolveSettings(null, provider), PROMPT, 2, 'title', {
+            onOption: (index, text) => streamed.push([index, text])
+        });
+
+        assert.deepEqual(streamed, options.map((text, index) => [index, text]));
+    });
+
+    it('asks again with the validation errors when the response is malformed', async () => {
+        const provider = recordingProvider('mock-repair', (prompt, label, call) => (call === 1 ? 'Here are some titles you might like!' : undefined));
+        const options = await generationService.generateOptions(provider, resolveSettings(null, provider), PROMPT, 2, 'title');
+
+        assert.deepEqual(options, [
+            'Mock title 1: Saving for retirement in your thirties',
+            'Mock title 2: Saving for retirement in your thirties'
+        ]);
+        assert.equal(provider.prompts.length, 2);
+        assert.ok(provider.prompts[1].startsWith(PROMPT));
+        assert.match(provider.prompts[1], /Your previous response could not be used:\nHere are some titles you might like!/);
+        assert.match(provider.prompts[1], /Respond again with valid JSON only/);
+    });
+
+    it('gives up when the repaired response is still unusable', async () => {
+        const provider = recordingProvider('mock-unusable', () => '{"options": []}');
+        await assert.rejects(
+            generationService.generateOptions(provider, resolveSettings(null, provider), PROMPT, 2, 'title'),
+            /No usable title options in response/
+        );
+        assert.equal(provider.prompts.length, 2);
+    });
+
+    it('falls back to templates for a section whose generation fails, keeping the others', async () => {
+        const provider = recordingProvider('mock-fallback', (prompt, label) => {
+            if (label === 'meta description') {
+                throw new Error('Provider exploded');
+            }
+            return undefined;
+        });
+        const metadata = await generationService.generateMetadata(CONTENT, 'article', 'savers', 'friendly', templates, provider);
+
+        assert.deepEqual(metadata.descriptions, ['Template descriptions']);
+        assert.equal(metadata.sections.descriptions.source, 'template');
+        assert.equal(metadata.sections.descriptions.error, 'Provider exploded');
+        assert.equal(metadata.sections.titles.source, 'ai');
+        assert.match(metadata.titles[0], /^Mock title 1: /);
+        assert.equal(metadata.sections.socialCopy.source, 'ai');
+        assert.equal(metadata.source, 'mock-fallback');
+    });
+
+    it('uses templates for every section when the provider is not configured', async () => {
+        const provider = recordingProvider('mock-unconfigured');
+        provider.isConfigured = () => false;
+        const metadata = await generationService.generateMetadata(CONTENT, 'article', 'savers', 'friendly', templates, provider);
+
+        assert.equal(provider.prompts.length, 0);
+        assert.equal(metadata.source, 'template');
+        assert.deepEqual(metadata.titles, ['Template titles']);
+        assert.equal(metadata.sections.titles.error, 'Mock (offline) is not configured');
+    });
+
+    it('reports a section as failed when the templates fail too', async () => {
+        const provider = recordingProvider('mock-failed', () => {
+            throw new Error('Provider exploded');
+        });
+        const metadata = await generationService.generateMetadata(CONTENT, 'article', 'savers', 'friendly', () => {
+            throw new Error('No template for this content type');
+        }, provider);
+
+        assert.equal(metadata.sections.titles.source, 'failed');
+        assert.equal(metadata.sections.titles.error, 'Provider exploded; templates failed: No template for this content type');
+        assert.deepEqual(metadata.titles, []);
+    });
+
+    describe('red word repair', () => {
+        const GUARANTEED = 'Guaranteed income for retirement without the guesswork.';
+
+        after(() => {
+            complianceService.loadRules(prohibitedWords);
+        });
+
+        it('asks again for options with red words, but not for words the client is allowed', async () => {
+            complianceService.loadRules({ red_words: ['guaranteed'], details: { red_words: { guaranteed: { clients: ['Acme'] } } } });
+
+            const allowed = recordingProvider('mock-allowed');
+            const metadata = await generationService.generateMetadata(GUARANTEED, 'article', 'savers', 'friendly', templates, allowed, undefined, { client: 'acme' });
+            assert.equal(allowed.prompts.length, 3);
+            assert.deepEqual(metadata.repairs, []);
+
+            const flagged = recordingProvider('mock-flagged');
+            const repaired = await generationService.generateMetadata(GUARANTEED, 'article', 'savers', 'friendly', templates, flagged);
+            assert.ok(flagged.prompts.length > 3);
+            assert.ok(repaired.repairs.length > 0);
+        });
+    });
+});
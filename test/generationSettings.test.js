@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveSettings } = require('../server/services/generationSettings');
+
+const PROVIDER = { name: 'openai', label: 'OpenAI', model: 'gpt-4o-mini', models: ['gpt-4o-mini', 'gpt-4o'] };
+
+describe('generationSettings.resolveSettings', () => {
+    it('fills in the provider model, default temperature and default variants', () => {
+        assert.deepEqual(resolveSettings(null, PROVIDER), {
+            provider: 'openai',
+            model: 'gpt-4o-mini',
+            temperature: 0.7,
+            variants: { titles: 5, descriptions: 3, socialCopy: 3 }
+        });
+    });
+
+    it('takes one variant count for every type or counts per type', () => {
+        assert.deepEqual(resolveSettings({ variants: 2 }, PROVIDER).variants, { titles: 2, descriptions: 2, socialCopy: 2 });
+        assert.deepEqual(resolveSettings({ variants: { titles: '8' } }, PROVIDER).variants, { titles: 8, descriptions: 3, socialCopy: 3 });
+    });
+
+    it('reads settings sent as a JSON string from a form', () => {
+        const settings = resolveSettings('{"model": "gpt-4o", "temperature": "0.2"}', PROVIDER);
+        assert.equal(settings.model, 'gpt-4o');
+        assert.equal(settings.temperature, 0.2);
+        assert.deepEqual(resolveSettings(' ', PROVIDER), resolveSettings(undefined, PROVIDER));
+    });
+
+    it('refuses settings that are not an object', () => {
+        assert.throws(() => resolveSettings('{oops', PROVIDER), /^Error: Settings must be a JSON object$/);
+        assert.throws(() => resolveSettings([1], PROVIDER), /^Error: Settings must be an object$/);
+        assert.throws(() => resolveSettings('"fast"', PROVIDER), /^Error: Settings must be an object$/);
+    });
+
+    it('refuses models the provider does not offer', () => {
+        assert.throws(() => resolveSettings({ model: 'gpt-5' }, PROVIDER), /^Error: OpenAI model must be one of: gpt-4o-mini, gpt-4o$/);
+    });
+
+    it('refuses temperatures outside the limits', () => {
+        assert.equal(resolveSettings({ temperature: 0 }, PROVIDER).temperature, 0);
+        assert.equal(resolveSettings({ temperature: '' }, PROVIDER).temperature, 0.7);
+        ['1.5', -0.1, 'warm'].forEach(temperature => {
+            assert.throws(() => resolveSettings({ temperature }, PROVIDER), /^Error: Temperature must be between 0 and 1$/);
+        });
+    });
+
+    it('refuses variant counts that are not whole numbers in range', () => {
+        assert.throws(() => resolveSettings({ variants: 0 }, PROVIDER), /The number of title variants must be a whole number from 1 to 10/);
+        assert.throws(() => resolveSettings({ variants: { descriptions: 2.5 } }, PROVIDER), /The number of description variants/);
+        assert.throws(() => resolveSettings({ variants: { socialCopy: 11 } }, PROVIDER), /The number of social post variants/);
+    });
+});
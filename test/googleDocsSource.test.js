@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GoogleDocsSource = require('../server/services/sources/googleDocsSource');
+
+const DOCUMENT_ID = '1aBcDeFgHiJkLmNoPqRsTuVwXyZ0123456789';
+
+function paragraph(text, namedStyleType = 'NORMAL_TEXT', extra = {}) {
+    return {
+        paragraph: {
+            elements: [{ textRun: { content: `${text}\n` } }],
+            paragraphStyle: { namedStyleType },
+            ...extra
+        }
+    };
+}
+
+const DOCUMENT = {
+    title: 'Retirement guide',
+    body: {
+        content: [
+            { sectionBreak: {} },
+            { tableOfContents: { content: [paragraph('Why start early')] } },
+            paragraph('Retirement guide', 'TITLE'),
+            paragraph('Why start early', 'HEADING_1'),
+            paragraph('Compound growth rewards time in the market.'),
+            paragraph('Open an account', 'HEADING_2', {}),
+            paragraph('Pick a low-cost provider', 'NORMAL_TEXT', { bullet: { listId: 'list-1' } }),
+            {
+                table: {
+                    tableRows: [{
+                        tableCells: [
+                            { content: [paragraph('Age')] },
+                            { content: [paragraph('Target savings')] }
+                        ]
+                    }]
+                }
+            },
+            paragraph('   ')
+        ]
+    }
+};
+
+// A stand-in for the Docs API client: documents.get resolves to a response or rejects with an API error
+function stubClient(respond) {
+    const calls = [];
+    return {
+        calls,
+        documents: {
+            get: async params => {
+                calls.push(params);
+                return respond(params);
+            }
+        }
+    };
+}
+
+function apiError(message, status, inResponse = false) {
+    const error = new Error(message);
+    if (inResponse) {
+        error.response = { status };
+    } else {
+        error.code = status;
+    }
+    return error;
+}
+
+describe('GoogleDocsSource', () => {
+    it('turns a document into plain text with headings kept as their own lines', async () => {
+        const client = stubClient(() => ({ data: DOCUMENT }));
+        const source = new GoogleDocsSource(client);
+
+        const loaded = await source.load(`https://docs.google.com/document/d/${DOCUMENT_ID}/edit`);
+
+        assert.deepEqual(client.calls, [{ documentId: DOCUMENT_ID }]);
+        assert.equal(loaded.name, 'Retirement guide');
+        assert.equal(loaded.title, 'Retirement guide');
+        assert.equal(loaded.content, [
+            'Retirement guide',
+            'Why start early',
+            'Compound growth rewards time in the market.',
+            'Open an account',
+            '- Pick a low-cost provider',
+            'Age',
+            'Target savings'
+        ].join('\n\n'));
+        assert.deepEqual(loaded.headings, [
+            { level: 1, text: 'Retirement guide' },
+            { level: 1, text: 'Why start early' },
+            { level: 2, text: 'Open an account' }
+        ]);
+    });
+
+    it('accepts a bare document ID', async () => {
+        const client = stubClient(() => ({ data: DOCUMENT }));
+        await new GoogleDocsSource(client).load(DOCUMENT_ID);
+        assert.deepEqual(client.calls, [{ documentId: DOCUMENT_ID }]);
+    });
+
+    it('rejects references that are not a Docs link or ID without calling the API', async () => {
+        const client = stubClient(() => ({ data: DOCUMENT }));
+        await assert.rejects(new GoogleDocsSource(client).load('https://example.com/page'), /Enter a Google Docs link or document ID/);
+        assert.equal(client.calls.length, 0);
+    });
+
+    it('reports documents that do not exist', async () => {
+        const client = stubClient(() => {
+            throw apiError('Requested entity was not found.', 404);
+        });
+        await assert.rejects(new GoogleDocsSource(client).load(DOCUMENT_ID), /Google Doc not found or not shared with this app/);
+    });
+
+    it('reports documents the app has no permission to read', async () => {
+        const client = stubClient(() => {
+            throw apiError('The caller does not have permission', 403, true);
+        });
+        await assert.rejects(new GoogleDocsSource(client).load(DOCUMENT_ID), /Google Doc not found or not shared with this app/);
+    });
+
+    it('passes other API errors on unchanged', async () => {
+        const client = stubClient(() => {
+            throw apiError('Backend Error', 500);
+        });
+        await assert.rejects(new GoogleDocsSource(client).load(DOCUMENT_ID), /^Error: Backend Error$/);
+    });
+
+    it('counts as configured when a client is injected', () => {
+        assert.equal(new GoogleDocsSource(stubClient(() => ({}))).isConfigured(), true);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ingestService = require('../server/services/ingestService');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name));
+}
+
+describe('ingestService files', () => {
+    it('extracts the article text and existing metadata from HTML, leaving out navigation and footers', async () => {
+        const result = await ingestService.ingestFile(fixture('article.html'), 'article.html', 'text/html');
+
+        assert.equal(result.source.type, 'html');
+        assert.equal(result.existing.title, 'Old page title | Example Advisors');
+        assert.equal(result.existing.description, 'The meta description this page has today.');
+        assert.match(result.content, /Starting early gives your savings decades to grow\./);
+        assert.doesNotMatch(result.content, /Services|cookies|Share this article|Copyright/);
+    });
+
+    it('extracts text and the first heading from a DOCX file', async () => {
+        const result = await ingestService.ingestFile(fixture('article.docx'), 'article.docx');
+
+        assert.equal(result.source.type, 'docx');
+        assert.equal(result.existing.title, 'Budgeting for a new baby');
+        assert.match(result.content, /Plan for childcare costs before the baby arrives\./);
+    });
+
+    it('extracts text, title and subject from a PDF file', async () => {
+        const result = await ingestService.ingestFile(fixture('article.pdf'), 'article.pdf', 'application/pdf');
+
+        assert.equal(result.source.type, 'pdf');
+        assert.equal(result.existing.title, 'Paying down debt');
+        assert.equal(result.existing.description, 'How to clear debt faster');
+        assert.match(result.content, /Pay off the highest interest debt first\./);
+    });
+
+    it('rejects file types it cannot read', async () => {
+        await assert.rejects(
+            ingestService.ingestFile(Buffer.from('plain'), 'notes.txt', 'text/plain'),
+            /Unsupported file type/
+        );
+    });
+});
+
+describe('ingestService URLs', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            switch (req.url) {
+                case '/article':
+                    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+                    return res.end(fixture('article.html'));
+                case '/moved':
+                    res.writeHead(301, { Location: '/article' });
+                    return res.end();
+                case '/metadata':
+                    res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+                    return res.end();
+                default:
+                    res.writeHead(404);
+                    return res.end();
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    // The stand-in server lives on loopback, which imports are never allowed to reach
+    function allowLoopback() {
+        const isBlockedAddress = ingestService.isBlockedAddress.bind(ingestService);
+        ingestService.isBlockedAddress = address => address !== '127.0.0.1' && isBlockedAddress(address);
+    }
+
+    afterEach(() => {
+        delete ingestService.isBlockedAddress;
+    });
+
+    it('blocks loopback, private, link-local and reserved addresses', () => {
+        ['127.0.0.1', '10.0.0.5', '172.16.4.1', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+            '::1', '::ffff:7f00:1', 'fd00::1', 'fe80::1'].forEach(address => {
+            assert.equal(ingestService.isBlockedAddress(address), true, address);
+        });
+        ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'].forEach(address => {
+            assert.equal(ingestService.isBlockedAddress(address), false, address);
+        });
+    });
+
+    it('refuses to fetch from this machine by address or by name', async () => {
+        const port = server.address().port;
+        await assert.rejects(ingestService.ingestUrl(`${baseUrl}/article`), /private or reserved address/);
+        await assert.rejects(ingestService.ingestUrl(`http://localhost:${port}/article`), /private or reserved address/);
+        await assert.rejects(ingestService.ingestUrl('http://169.254.169.254/latest/meta-data/'), /private or reserved address/);
+    });
+
+    it('refuses URLs that are not http or https', async () => {
+        await assert.rejects(ingestService.ingestUrl('file:///etc/passwd'), /Only http and https URLs/);
+    });
+
+    it('fetches a page and follows redirects', async () => {
+        allowLoopback();
+        const result = await ingestService.ingestUrl(`${baseUrl}/moved`);
+
+        assert.equal(result.source.type, 'url');
+        assert.equal(result.source.name, `${baseUrl}/article`);
+        assert.equal(result.existing.title, 'Old page title | Example Advisors');
+        assert.match(result.content, /Even small monthly contributions add up over time\./);
+    });
+
+    it('checks every redirect hop against the blocked addresses', async () => {
+        allowLoopback();
+        await assert.rejects(ingestService.ingestUrl(`${baseUrl}/metadata`), /169\.254\.169\.254 is a private or reserved address/);
+    });
+
+    it('reports pages that do not load', async () => {
+        allowLoopback();
+        await assert.rejects(ingestService.ingestUrl(`${baseUrl}/missing`), /Page returned HTTP 404/);
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalFileSource = require('../server/services/sources/localFileSource');
+
+describe('LocalFileSource', () => {
+    let directory;
+    let source;
+
+    // content/ is the source's root; secret.txt sits next to it, outside the root
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'local-source-'));
+        const root = path.join(directory, 'content');
+        fs.mkdirSync(path.join(root, 'guides'), { recursive: true });
+        fs.writeFileSync(path.join(root, 'guides', 'budget.md'), 'Track spending for a month.\n');
+        fs.writeFileSync(path.join(directory, 'secret.txt'), 'Not for import');
+        fs.symlinkSync(path.join(directory, 'secret.txt'), path.join(root, 'escape.txt'));
+        fs.symlinkSync(directory, path.join(root, 'parent'));
+        fs.symlinkSync(path.join(root, 'guides', 'budget.md'), path.join(root, 'latest.md'));
+        source = new LocalFileSource(root);
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('reads text files under the root', async () => {
+        const loaded = await source.load('guides/budget.md');
+        assert.equal(loaded.name, path.join('guides', 'budget.md'));
+        assert.equal(loaded.content, 'Track spending for a month.');
+    });
+
+    it('follows symlinks that stay inside the root', async () => {
+        const loaded = await source.load('latest.md');
+        assert.equal(loaded.content, 'Track spending for a month.');
+    });
+
+    it('refuses paths that climb out of the root', async () => {
+        await assert.rejects(source.load('../secret.txt'), /File path must be inside the content folder/);
+    });
+
+    it('refuses symlinks that point outside the root', async () => {
+        await assert.rejects(source.load('escape.txt'), /File path must be inside the content folder/);
+        await assert.rejects(source.load('parent/secret.txt'), /File path must be inside the content folder/);
+    });
+
+    it('reports missing files', async () => {
+        await assert.rejects(source.load('guides/missing.md'), /File not found: guides\/missing\.md/);
+        await assert.rejects(source.load('guides'), /File not found: guides/);
+    });
+});
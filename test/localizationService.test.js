@@ -0,0 +1,65 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const complianceService = require('../server/services/complianceService');
+const localizationService = require('../server/services/localizationService');
+
+const TEXT = 'Plan your 401k contributions early.';
+
+describe('localizationService', () => {
+    const dismissal = { id: 1, ruleId: 'us_term:401k', textHash: complianceService.hashText(TEXT), justification: 'Approved for the US site' };
+
+    after(() => {
+        complianceService.removeDismissal(dismissal);
+    });
+
+    it('swaps US terms for their Canadian alternatives', () => {
+        const result = localizationService.localizeText(TEXT);
+
+        assert.equal(result.localized, 'Plan your RRSP contributions early.');
+        assert.deepEqual(result.substitutions.map(entry => [entry.original, entry.replacement]), [['401k', 'RRSP']]);
+        assert.equal(result.flags.length, 1);
+    });
+
+    it('uses "Canadian" before a noun and drops "the" before the country name', () => {
+        const result = localizationService.localizeText('The U.S. tax code treats savings held in the USA differently.');
+        assert.equal(result.localized, 'The Canadian tax code treats savings held in Canada differently.');
+
+        assert.equal(localizationService.localizeText('Many retirees live in the United States.').localized, 'Many retirees live in Canada.');
+        assert.equal(localizationService.localizeText('The United States government sets the rules.').localized, 'The Canadian government sets the rules.');
+        assert.equal(localizationService.localizeText('The USA is large.').localized, 'Canada is large.');
+    });
+
+    it('keeps the full stop when "U.S." ends a sentence', () => {
+        assert.equal(localizationService.localizeText('Most of it is held in the U.S.').localized, 'Most of it is held in Canada.');
+        assert.equal(localizationService.localizeText('Rules differ in the U.S. Most people rent.').localized, 'Rules differ in Canada. Most people rent.');
+        assert.equal(localizationService.localizeText('Rules differ in the U.S., mostly.').localized, 'Rules differ in Canada, mostly.');
+    });
+
+    it('does not let an acronym capitalize the replacement mid-sentence', () => {
+        assert.equal(localizationService.localizeText('Enter the ZIP codes for each branch.').localized, 'Enter the postal codes for each branch.');
+        assert.equal(localizationService.localizeText('ZIP codes are required.').localized, 'Postal codes are required.');
+        assert.equal(localizationService.localizeText('Find your ZIP Code.').localized, 'Find your Postal Code.');
+        assert.equal(localizationService.localizeText('FILE WITH THE IRS').localized, 'FILE WITH THE CRA');
+    });
+
+    it('flags every swap that changes a currency', () => {
+        const result = localizationService.localizeText('Fees are charged in American dollars, or USD 50 for wires.');
+
+        assert.equal(result.localized, 'Fees are charged in Canadian dollars, or CAD 50 for wires.');
+        assert.deepEqual(result.flags.map(flag => flag.match), ['American', 'dollars', 'USD']);
+        assert.ok(result.substitutions.every(entry => entry.flagged));
+
+        const adjective = localizationService.localizeText('Fees are charged in U.S. dollars.');
+        assert.equal(adjective.localized, 'Fees are charged in Canadian dollars.');
+        assert.deepEqual(adjective.flags.map(flag => flag.match), ['U.S.', 'dollars']);
+    });
+
+    it('still localizes text whose US term a reviewer dismissed', () => {
+        complianceService.addDismissal(dismissal);
+        assert.equal(complianceService.check(TEXT).findings.length, 0);
+
+        const result = localizationService.localizeText(TEXT);
+        assert.equal(result.localized, 'Plan your RRSP contributions early.');
+        assert.equal(result.flags.length, 1);
+    });
+});
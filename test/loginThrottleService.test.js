@@ -0,0 +1,49 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const loginThrottleService = require('../server/services/loginThrottleService');
+
+function fail(ip, username, times) {
+    for (let i = 0; i < times; i++) {
+        loginThrottleService.recordFailure(ip, username);
+    }
+}
+
+describe('loginThrottleService', () => {
+    beforeEach(() => {
+        loginThrottleService.failures.clear();
+    });
+
+    it('lets attempts through until a username has five failures', () => {
+        fail('203.0.113.7', 'admin', 4);
+        assert.equal(loginThrottleService.retryAfter('203.0.113.7', 'admin'), 0);
+
+        fail('203.0.113.7', 'Admin ', 1);
+        assert.ok(loginThrottleService.retryAfter('203.0.113.7', 'admin') > 0);
+        assert.ok(loginThrottleService.retryAfter('198.51.100.2', 'admin') > 0, 'other addresses are refused for that username too');
+        assert.equal(loginThrottleService.retryAfter('203.0.113.7', 'writer'), 0);
+    });
+
+    it('refuses an address that tries many usernames', () => {
+        ['ana', 'ben', 'cal', 'dee'].forEach(username => fail('203.0.113.7', username, 5));
+        assert.ok(loginThrottleService.retryAfter('203.0.113.7', 'eve') > 0);
+        assert.equal(loginThrottleService.retryAfter('198.51.100.2', 'eve'), 0);
+    });
+
+    it('clears a username on success but keeps the address count', () => {
+        fail('203.0.113.7', 'admin', 4);
+        ['ana', 'ben', 'cal'].forEach(username => fail('203.0.113.7', username, 5));
+        loginThrottleService.recordSuccess('203.0.113.7', 'admin');
+
+        assert.equal(loginThrottleService.retryAfter('198.51.100.2', 'admin'), 0);
+        fail('203.0.113.7', 'writer', 1);
+        assert.ok(loginThrottleService.retryAfter('203.0.113.7', 'writer') > 0);
+    });
+
+    it('forgets failures once the window has passed', () => {
+        fail('203.0.113.7', 'admin', 5);
+        loginThrottleService.failures.forEach(entry => {
+            entry.startedAt -= 15 * 60 * 1000;
+        });
+        assert.equal(loginThrottleService.retryAfter('203.0.113.7', 'admin'), 0);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOptionsSchema, parseOptionsResponse, parsePartialOptions, cleanOption } = require('../server/services/optionSchema');
+
+describe('optionSchema', () => {
+    it('asks for exactly the number of options', () => {
+        const { options } = buildOptionsSchema(3, 'title').properties;
+        assert.equal(options.minItems, 3);
+        assert.equal(options.maxItems, 3);
+        assert.equal(options.description, 'Exactly 3 title options');
+    });
+
+    it('strips numbering, bullets, emphasis and wrapping quotes from an option', () => {
+        assert.equal(cleanOption('1. Save More'), 'Save More');
+        assert.equal(cleanOption('Option 2: Save More'), 'Save More');
+        assert.equal(cleanOption('- **Save** More'), 'Save More');
+        assert.equal(cleanOption('"“Save More”"'), 'Save More');
+        assert.equal(cleanOption('## Save   More'), 'Save More');
+        assert.equal(cleanOption('2024 Savings Guide'), '2024 Savings Guide');
+    });
+
+    it('reads options from JSON, with or without a code fence', () => {
+        assert.deepEqual(parseOptionsResponse('{"options": ["A", "B"]}', 2), { options: ['A', 'B'], errors: [], valid: true });
+        assert.deepEqual(parseOptionsResponse('```json\n["A", "B"]\n```', 2).options, ['A', 'B']);
+        assert.deepEqual(parseOptionsResponse('Here you go: {"options": ["1. A", "2. B"]} Enjoy!', 2).options, ['A', 'B']);
+    });
+
+    it('drops blank, repeated and preamble options and reports the shortfall', () => {
+        const result = parseOptionsResponse('{"options": ["Here are 3 titles:", "A", "a", " ", "B"]}', 3);
+        assert.deepEqual(result.options, ['A', 'B']);
+        assert.deepEqual(result.errors, ['Expected 3 options but got 2']);
+        assert.equal(result.valid, false);
+    });
+
+    it('keeps only as many options as were asked for', () => {
+        assert.deepEqual(parseOptionsResponse('{"options": ["A", "B", "C"]}', 2), { options: ['A', 'B'], errors: [], valid: true });
+    });
+
+    it('reports responses in the wrong shape', () => {
+        assert.deepEqual(parseOptionsResponse('{"titles": ["A"]}', 1).errors[0], 'Response must be an object with an "options" array');
+        assert.match(parseOptionsResponse('{"options": ["A",]}', 1).errors[0], /^Response is not valid JSON: /);
+        assert.deepEqual(parseOptionsResponse('{"options": ["A", 2]}', 1), { options: ['A'], errors: ['Every option must be a string'], valid: false });
+    });
+
+    it('falls back to one option per line when there is no JSON', () => {
+        const result = parseOptionsResponse('Sure! Here you go\n1. First\n2. Second', 2);
+        assert.deepEqual(result.options, ['First', 'Second']);
+        assert.deepEqual(result.errors, ['Response does not contain JSON']);
+        assert.equal(result.valid, false);
+    });
+
+    it('reads only the complete options from a response still streaming in', () => {
+        assert.deepEqual(parsePartialOptions('{"options": ["A", "B", "C', 3), ['A', 'B']);
+        assert.deepEqual(parsePartialOptions('{"options": ["Say \\"hi\\"", "B"', 3), ['Say "hi"', 'B']);
+        assert.deepEqual(parsePartialOptions('{"options": ["A"], "note": "not an option"}', 3), ['A']);
+        assert.deepEqual(parsePartialOptions('{"options": ', 3), []);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Two retries with no wait between them, and the circuit opening after three failures
+process.env.LLM_RETRIES = '2';
+process.env.LLM_BACKOFF_MS = '0';
+process.env.LLM_FAILURE_THRESHOLD = '3';
+
+const providerHealthService = require('../server/services/providerHealthService');
+
+// Keep the services' progress logs out of the test report
+mock.method(console, 'log', () => {});
+
+function provider(name) {
+    return { name, label: name, isConfigured: () => true };
+}
+
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// An operation that fails with each error in turn, then succeeds
+function failing(...errors) {
+    const operation = async () => {
+        operation.calls++;
+        if (errors.length > 0) {
+            throw errors.shift();
+        }
+        return 'ok';
+    };
+    operation.calls = 0;
+    return operation;
+}
+
+describe('providerHealthService.execute', () => {
+    it('retries failures and counts nothing when a retry succeeds', async () => {
+        const target = provider('recovers');
+        const operation = failing(httpError('Service Unavailable', 503), new Error('socket hang up'));
+
+        assert.equal(await providerHealthService.execute(target, operation), 'ok');
+        assert.equal(operation.calls, 3);
+        assert.equal(providerHealthService.breaker(target).status().consecutiveFailures, 0);
+    });
+
+    it('counts a call that fails every retry once', async () => {
+        const target = provider('down');
+        const operation = failing(...[1, 2, 3].map(() => httpError('Service Unavailable', 503)));
+
+        await assert.rejects(providerHealthService.execute(target, operation), /Service Unavailable/);
+        assert.equal(operation.calls, 3);
+        const status = providerHealthService.breaker(target).status();
+        assert.equal(status.consecutiveFailures, 1);
+        assert.equal(status.state, 'closed');
+    });
+
+    it('opens the circuit only after the threshold of failed calls', async () => {
+        const target = provider('flaky');
+        for (let call = 0; call < 3; call++) {
+            assert.equal(providerHealthService.isAvailable(target), true);
+            await assert.rejects(providerHealthService.execute(target, failing(...[1, 2, 3].map(() => new Error('timeout')))));
+        }
+        assert.equal(providerHealthService.breaker(target).status().state, 'open');
+        await assert.rejects(providerHealthService.execute(target, failing()), /unavailable after repeated failures/);
+    });
+
+    it('neither retries nor counts client errors', async () => {
+        const target = provider('strict');
+        for (const status of [400, 401, 403, 404]) {
+            const operation = failing(httpError('Bad request', status));
+            await assert.rejects(providerHealthService.execute(target, operation), /Bad request/);
+            assert.equal(operation.calls, 1);
+        }
+
+        const invalid = new Error('Invalid request input');
+        invalid.name = 'GoogleGenerativeAIRequestInputError';
+        await assert.rejects(providerHealthService.execute(target, failing(invalid)), /Invalid request input/);
+
+        const status = providerHealthService.breaker(target).status();
+        assert.equal(status.consecutiveFailures, 0);
+        assert.equal(status.state, 'closed');
+    });
+
+    it('retries rate limiting and request timeouts', async () => {
+        const target = provider('busy');
+        const operation = failing(httpError('Too Many Requests', 429), httpError('Request Timeout', 408));
+
+        assert.equal(await providerHealthService.execute(target, operation), 'ok');
+        assert.equal(operation.calls, 3);
+    });
+});
+
+describe('providerHealthService.summary', () => {
+    it('reports availability and circuit state without error text or models', () => {
+        const summary = providerHealthService.summary();
+
+        assert.ok(['ok', 'degraded'].includes(summary.status));
+        assert.ok(summary.providers.length > 0);
+        summary.providers.forEach(entry => {
+            assert.deepEqual(Object.keys(entry), ['name', 'available', 'circuit']);
+            assert.equal(typeof entry.circuit, 'string');
+        });
+    });
+});
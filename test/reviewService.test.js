@@ -0,0 +1,169 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Keep the reviews in a throwaway database rather than data/metadata.db
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'review-service-'));
+process.env.DATABASE_PATH = path.join(directory, 'reviews.db');
+
+const { getDatabase } = require('../server/config/database');
+const reviewService = require('../server/services/reviewService');
+const userService = require('../server/services/userService');
+const notificationService = require('../server/services/notificationService');
+
+// Keep the migration log out of the test report
+mock.method(console, 'log', () => {});
+
+const PASSWORD = 'correct horse battery';
+
+// The review error's status and message, for assert.rejects
+function reviewError(status, message) {
+    return error => error.status === status && message.test(error.message);
+}
+
+describe('reviewService', () => {
+    let writer;
+    let otherWriter;
+    let reviewer;
+
+    before(async () => {
+        writer = await userService.createLocal({ username: 'writer', password: PASSWORD });
+        otherWriter = await userService.createLocal({ username: 'other-writer', password: PASSWORD });
+        reviewer = await userService.createLocal({ username: 'reviewer', password: PASSWORD, role: 'reviewer' });
+    });
+
+    after(async () => {
+        (await getDatabase()).flush();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('workflow', () => {
+        const latestMessage = async user => (await notificationService.list(user.id)).notifications[0].message;
+
+        it('takes a draft through review, rejection, resubmission and approval', async () => {
+            const draft = await reviewService.create({ title: 'Plan for retirement early', contentType: 'article' }, writer);
+            assert.equal(draft.status, 'draft');
+            assert.equal(draft.submittedAt, null);
+
+            const submitted = await reviewService.submit(draft.id, { comment: 'Ready' }, writer);
+            assert.equal(submitted.status, 'in_review');
+            assert.match(await latestMessage(reviewer), /^writer submitted "Plan for retirement early" for review$/);
+
+            await assert.rejects(reviewService.decide(draft.id, { decision: 'reject' }, reviewer), reviewError(400, /Explain what needs to change/));
+            const rejected = await reviewService.decide(draft.id, { decision: 'reject', comment: 'Mention the tax benefit' }, reviewer);
+            assert.equal(rejected.status, 'rejected');
+            assert.equal(rejected.reviewer.id, reviewer.id);
+            assert.match(await latestMessage(writer), /rejected "Plan for retirement early": Mention the tax benefit$/);
+
+            const edited = await reviewService.update(draft.id, { title: 'Plan for retirement early and save on tax' }, writer);
+            assert.deepEqual(edited.events.at(-1).changes, {
+                title: { before: 'Plan for retirement early', after: 'Plan for retirement early and save on tax' }
+            });
+            assert.equal(edited.compliance.title.summary.status, 'yellow');
+
+            await reviewService.submit(draft.id, {}, writer);
+            assert.match(await latestMessage(reviewer), /resubmitted/);
+
+            const approved = await reviewService.decide(draft.id, { decision: 'approve' }, reviewer);
+            assert.equal(approved.status, 'approved');
+            assert.ok(approved.decidedAt);
+            assert.deepEqual(approved.events.map(event => event.action), ['created', 'submitted', 'rejected', 'edited', 'resubmitted', 'approved']);
+        });
+
+        it('does not let authors approve their own work', async () => {
+            const review = await reviewService.create({ title: 'Plan for retirement', submit: true }, reviewer);
+            await assert.rejects(reviewService.decide(review.id, { decision: 'approve' }, reviewer), reviewError(403, /You cannot review your own submission/));
+            await assert.rejects(reviewService.submit(review.id, {}, writer), reviewError(404, /Review not found/));
+        });
+
+        it('needs a comment to approve red-flagged text', async () => {
+            const review = await reviewService.create({ title: 'The best plan for retirement', submit: true }, writer);
+            await assert.rejects(reviewService.decide(review.id, { decision: 'approve' }, reviewer), reviewError(400, /why red-flagged text is approved/));
+            assert.equal((await reviewService.decide(review.id, { decision: 'approve', comment: 'Award name' }, reviewer)).status, 'approved');
+        });
+
+        it('lets authors edit drafts and rejected items, and reviewers edit items in review', async () => {
+            const review = await reviewService.create({ title: 'Plan for retirement', submit: true }, writer);
+            await assert.rejects(reviewService.update(review.id, { title: 'Changed' }, writer), reviewError(409, /only edit drafts and rejected items/));
+
+            const edited = await reviewService.update(review.id, { title: 'Plan for your retirement' }, reviewer);
+            assert.equal(edited.title, 'Plan for your retirement');
+            assert.match(await latestMessage(writer), /edited "Plan for your retirement"/);
+
+            await assert.rejects(reviewService.submit(review.id, {}, writer), reviewError(409, /Only drafts and rejected items can be submitted/));
+            await assert.rejects(reviewService.decide(review.id, { decision: 'maybe' }, reviewer), reviewError(400, /Decision must be approve or reject/));
+        });
+
+        it('shows writers only their own reviews', async () => {
+            await reviewService.create({ title: 'Another writer\'s draft' }, otherWriter);
+
+            const own = await reviewService.list({}, otherWriter);
+            assert.deepEqual(own.reviews.map(review => review.title), ['Another writer\'s draft']);
+            assert.equal(own.counts.draft, 1);
+            assert.ok((await reviewService.list({}, reviewer)).reviews.length > 1);
+        });
+    });
+
+    describe('dismissing findings', () => {
+        const submit = (data = {}) => reviewService.create({ title: 'The best plan for your savings', submit: true, ...data }, writer);
+        const ruleId = review => review.compliance.title.findings[0].ruleId;
+
+        it('lets a reviewer dismiss a finding on an item in review, with a justification', async () => {
+            const review = await submit({ title: 'The best plan for your retirement' });
+            assert.equal(review.complianceStatus, 'red');
+
+            await assert.rejects(
+                reviewService.dismissFinding(review.id, { field: 'title', ruleId: ruleId(review) }, reviewer),
+                reviewError(400, /Give a justification/)
+            );
+
+            const dismissed = await reviewService.dismissFinding(review.id, {
+                field: 'title',
+                ruleId: ruleId(review),
+                justification: 'Quoting the award name'
+            }, reviewer);
+            assert.equal(dismissed.complianceStatus, 'clean');
+            assert.equal(dismissed.compliance.title.dismissed[0].dismissal.justification, 'Quoting the award name');
+            assert.equal(dismissed.reviewer.id, reviewer.id);
+            assert.equal(dismissed.events.at(-1).action, 'dismissed');
+        });
+
+        it('does not let authors dismiss findings on their own submission', async () => {
+            const review = await submit();
+            await assert.rejects(
+                reviewService.dismissFinding(review.id, { field: 'title', ruleId: ruleId(review), justification: 'Fine' }, writer),
+                reviewError(403, /You cannot dismiss findings on your own submission/)
+            );
+        });
+
+        it('hides the review from other writers', async () => {
+            const review = await submit();
+            await assert.rejects(
+                reviewService.dismissFinding(review.id, { field: 'title', ruleId: ruleId(review), justification: 'Fine' }, otherWriter),
+                reviewError(404, /Review not found/)
+            );
+        });
+
+        it('only dismisses findings while the item is in review', async () => {
+            const draft = await submit({ submit: false });
+            await assert.rejects(
+                reviewService.dismissFinding(draft.id, { field: 'title', ruleId: ruleId(draft), justification: 'Fine' }, reviewer),
+                reviewError(409, /only be dismissed while the item is in review/)
+            );
+        });
+
+        it('refuses unknown fields and findings that are not in the text', async () => {
+            const review = await submit();
+            await assert.rejects(
+                reviewService.dismissFinding(review.id, { field: 'url', ruleId: ruleId(review), justification: 'Fine' }, reviewer),
+                reviewError(400, /Field must be title, description or socialCopy/)
+            );
+            await assert.rejects(
+                reviewService.dismissFinding(review.id, { field: 'title', ruleId: 'red:nothing', justification: 'Fine' }, reviewer),
+                reviewError(400, /That finding is not in this text/)
+            );
+        });
+    });
+});
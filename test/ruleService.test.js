@@ -0,0 +1,153 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Keep the rules in a throwaway database rather than data/metadata.db
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-service-'));
+process.env.DATABASE_PATH = path.join(directory, 'rules.db');
+
+const { getDatabase } = require('../server/config/database');
+const ruleService = require('../server/services/ruleService');
+const complianceService = require('../server/services/complianceService');
+
+// Keep the seed import log out of the test report
+mock.method(console, 'log', () => {});
+
+const ADMIN = { username: 'admin' };
+
+describe('ruleService', () => {
+    before(async () => {
+        await ruleService.reload();
+    });
+
+    after(async () => {
+        (await getDatabase()).flush();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('allowances', () => {
+        it('lets a rule through only for its clients and content types', async () => {
+            await ruleService.create({
+                list: 'red_words',
+                term: 'windfall',
+                allowedClients: 'Acme, Beta Bank',
+                allowedContentTypes: 'Video',
+                changeReason: 'Test'
+            }, ADMIN);
+
+            const terms = context => complianceService.check('A windfall awaits', context).findings.map(finding => finding.term);
+            assert.deepEqual(terms({ client: 'ACME' }), []);
+            assert.deepEqual(terms({ client: 'beta bank', contentType: 'article' }), []);
+            assert.deepEqual(terms({ contentType: 'video' }), []);
+            assert.deepEqual(terms({ client: 'Other', contentType: 'article' }), ['windfall']);
+            assert.deepEqual(terms(), ['windfall']);
+        });
+
+        it('skips the term inside its allowed phrases', async () => {
+            await ruleService.create({ list: 'yellow_words', term: 'bonus', exceptions: ['signing bonus'], changeReason: 'Test' }, ADMIN);
+
+            assert.equal(complianceService.check('Ask about the signing bonus').findings.length, 0);
+            assert.equal(complianceService.check('Ask about the bonus').findings.length, 1);
+        });
+
+        it('refuses allowed phrases without the term and unknown content types', async () => {
+            await assert.rejects(
+                ruleService.create({ list: 'yellow_words', term: 'perk', exceptions: 'company car', changeReason: 'Test' }, ADMIN),
+                /The allowed phrase "company car" does not contain "perk"/
+            );
+            await assert.rejects(
+                ruleService.create({ list: 'yellow_words', term: 'perk', allowedContentTypes: ['podcast'], changeReason: 'Test' }, ADMIN),
+                /Content types must be one of: article, video, email, social, landing/
+            );
+        });
+    });
+
+    describe('versions', () => {
+        const latest = async () => (await ruleService.listVersions())[0];
+
+        it('records every change as a new version with its author, reason and summary', async () => {
+            const first = (await ruleService.listVersions()).at(-1);
+            assert.equal(first.author, 'system');
+            assert.equal(first.summary, 'Initial rule set');
+
+            const before = await latest();
+            await ruleService.create({ list: 'red_words', term: 'jackpot', changeReason: 'Gambling language' }, ADMIN);
+            const after = await latest();
+            assert.equal(after.version, before.version + 1);
+            assert.equal(after.author, 'admin');
+            assert.equal(after.reason, 'Gambling language');
+            assert.equal(after.summary, 'Added "jackpot" to red words');
+            assert.equal(after.ruleCount, before.ruleCount + 1);
+        });
+
+        it('needs a reason for every change', async () => {
+            await assert.rejects(ruleService.create({ list: 'red_words', term: 'lottery', changeReason: ' ' }, ADMIN), /Give a reason for this change/);
+        });
+
+        it('lists the rules added, removed and changed between two versions', async () => {
+            const start = (await latest()).version;
+            const added = await ruleService.create({ list: 'red_words', term: 'payday', changeReason: 'Test' }, ADMIN);
+            const [jackpot] = await ruleService.list({ q: 'jackpot' });
+            await ruleService.update(jackpot.id, { reason: 'Sounds like gambling', changeReason: 'Test' }, ADMIN);
+            await ruleService.remove(added.id, 'Test', ADMIN);
+            const end = (await latest()).version;
+
+            const forward = await ruleService.diff(start, end - 1);
+            assert.deepEqual(forward.added.map(rule => rule.term), ['payday']);
+            assert.deepEqual(forward.removed, []);
+            assert.deepEqual(forward.changed.map(change => [change.before.term, change.fields]), [['jackpot', ['reason']]]);
+            assert.equal(forward.changed[0].after.reason, 'Sounds like gambling');
+
+            const overall = await ruleService.diff(start, end);
+            assert.deepEqual(overall.added, []);
+            assert.equal(overall.changed.length, 1);
+            assert.deepEqual((await ruleService.diff(end - 1, end)).removed.map(rule => rule.term), ['payday']);
+
+            await assert.rejects(ruleService.diff(start, 9999), /Version 9999 does not exist/);
+        });
+
+        it('rolls back to an earlier version as a new version and reloads the matchers', async () => {
+            const start = (await latest()).version;
+            await ruleService.create({ list: 'red_words', term: 'bonanza', changeReason: 'Test' }, ADMIN);
+            assert.equal(complianceService.check('A savings bonanza').summary.status, 'red');
+
+            const restored = await ruleService.rollback(start, 'Added by mistake', ADMIN);
+            assert.equal(restored.version, start + 2);
+            assert.equal(restored.summary, `Rolled back to version ${start}`);
+            assert.equal(restored.reason, 'Added by mistake');
+            assert.deepEqual(restored.rules, (await ruleService.getVersion(start)).rules);
+            assert.equal(complianceService.check('A savings bonanza').summary.status, 'clean');
+            assert.equal(complianceService.version, restored.version);
+        });
+
+        it('refuses a rollback that would change nothing or to a version that does not exist', async () => {
+            const current = (await latest()).version;
+            await assert.rejects(ruleService.rollback(current, 'Test', ADMIN), new RegExp(`The rules already match version ${current}`));
+            assert.equal(await ruleService.rollback(9999, 'Test', ADMIN), null);
+            await assert.rejects(ruleService.rollback(1, '', ADMIN), /Give a reason for this change/);
+        });
+    });
+
+    describe('enabled flag', () => {
+        it('reads "false" and "0" from a form post as off', async () => {
+            const rule = await ruleService.create({ list: 'yellow_words', term: 'bargain', changeReason: 'Test' }, ADMIN);
+            assert.equal(rule.enabled, true);
+
+            assert.equal((await ruleService.update(rule.id, { enabled: 'false', changeReason: 'Test' }, ADMIN)).enabled, false);
+            assert.equal((await ruleService.update(rule.id, { enabled: '1', changeReason: 'Test' }, ADMIN)).enabled, true);
+            assert.equal((await ruleService.update(rule.id, { enabled: '0', changeReason: 'Test' }, ADMIN)).enabled, false);
+            assert.equal((await ruleService.update(rule.id, { term: 'bargains', changeReason: 'Test' }, ADMIN)).enabled, false);
+        });
+
+        it('refuses values that are not on or off', async () => {
+            await assert.rejects(
+                ruleService.create({ list: 'yellow_words', term: 'steal', enabled: 'maybe', changeReason: 'Test' }, ADMIN),
+                /^Error: Enabled must be true or false$/
+            );
+            const [rule] = await ruleService.list({ q: 'bargains' });
+            await assert.rejects(ruleService.update(rule.id, { enabled: 'no', changeReason: 'Test' }, ADMIN), /Enabled must be true or false/);
+        });
+    });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const serpFitService = require('../server/services/serpFitService');
+
+const LONG_DESCRIPTION = 'Learn how to build an emergency fund that covers three to six months of expenses, where to keep it so it earns interest, and how to rebuild it after you use it for the unexpected.';
+
+describe('serpFitService', () => {
+    it('leaves options that fit alone', () => {
+        const title = 'How to Build an Emergency Fund That Lasts for Years';
+        const { text, fit } = serpFitService.fitOption(title, 'titles');
+
+        assert.equal(text, title);
+        assert.equal(fit.status, 'fits');
+        assert.equal(fit.trimmed, false);
+    });
+
+    it('cuts a long description at a word boundary without adding an ellipsis', () => {
+        const { text, fit } = serpFitService.fitOption(LONG_DESCRIPTION, 'descriptions');
+
+        assert.ok(LONG_DESCRIPTION.startsWith(text));
+        assert.ok(LONG_DESCRIPTION.charAt(text.length) === ' ' || LONG_DESCRIPTION.charAt(text.length) === ',');
+        assert.doesNotMatch(text, /…|\.\.\.$/);
+        assert.doesNotMatch(text, /\s(and|to|the|of)$/);
+        assert.notEqual(fit.status, 'truncated');
+        assert.equal(fit.trimmed, true);
+        assert.equal(fit.originalCharacters, [...LONG_DESCRIPTION].length);
+    });
+
+    it('cuts social copy without an ellipsis', () => {
+        const post = `${LONG_DESCRIPTION} ${LONG_DESCRIPTION} #EmergencyFund #Saving`;
+        const { text } = serpFitService.fitOption(post, 'socialCopy');
+
+        assert.ok(text.length <= 280);
+        assert.ok(post.startsWith(text));
+        assert.doesNotMatch(text, /…$/);
+    });
+
+    it('prefers a sentence end when it leaves enough text', () => {
+        const description = 'Build an emergency fund that covers three to six months of expenses and keep it in a high-interest savings account you can reach fast. Then rebuild it every time you use it for the unexpected.';
+        const { text } = serpFitService.fitOption(description, 'descriptions');
+
+        assert.equal(text, 'Build an emergency fund that covers three to six months of expenses and keep it in a high-interest savings account you can reach fast.');
+    });
+});